@@ -1,16 +1,43 @@
-import React, { createContext, useContext, useCallback} from 'react';
-import { useLocation } from 'react-router-dom';
-import __ManagerThemes from './__ManagerThemes';
+import React, { useLayoutEffect, useMemo, useRef, useSyncExternalStore } from 'react';
+import { Navigate, Route, Routes, useLocation } from 'react-router-dom';
+import { ACCESS_RESULT } from '../core/access/accessControl';
+import { __ROUTES } from '../core/config/routes/routes';
+import { createSliceStore, getRegisteredSlices, sortSlices } from '../core/context/sliceRegistry';
+import { ContextManager } from './contexts';
+import { useCan, useContextManager, useContextSlice } from './contextHooks';
+import useManagerThemes from './__ManagerThemes';
+import useManagerRoutes from './__ManagerRoutes';
+import useManagerAccess from './__ManagerAccess';
+import useManagerAuth from './__ManagerAuth';
 
 
 
 /*///////////////////////////////////////////////////////////////////////////////////////////////*/
-/*CONTEXT - NEW ---------------------------------------------------------------------------------*/
+/*CONTEXT - SLICES ------------------------------------------------------------------------------*/
 /*///////////////////////////////////////////////////////////////////////////////////////////////*/
 
 
 
-const ContextManager = createContext();
+// Monta el manager de un slice y publica su valor en el almacén; envuelve a los slices que dependen de él
+const SliceHost = ({ slice, store, children }) => {
+    // Las dependencias se reconstruyen desde la llave para no volver a seleccionar si el arreglo cambia de referencia
+    const depsKey = slice.deps.join('|');
+    const readDeps = useMemo(() => store.select(depsKey ? depsKey.split('|') : []), [store, depsKey]);
+    const deps = useSyncExternalStore(store.subscribe, readDeps, readDeps);
+    const { useManager } = slice;
+    const value = useManager(slice.config, deps);
+
+    // En el primer render los hijos leen el valor directamente; los cambios se publican tras el commit
+    store.init(slice.name, value);
+
+    useLayoutEffect(() => {
+        store.set(slice.name, value);
+    });
+
+    useLayoutEffect(() => () => store.remove(slice.name), [store, slice.name]);
+
+    return children;
+};
 
 
 
@@ -20,8 +47,27 @@ const ContextManager = createContext();
 
 
 
-// Proveedor del contexto
-const ContextManagerProvider = ({ children }) => {
+/**
+ * Proveedor del contexto. Cada concern global es un slice con su propio manager: los de la
+ * aplicación (`themes`, `router`, `auth`, `access`), los registrados con `registerSlice` y los
+ * indicados en `slices`.
+ *
+ * @param {Object} props
+ * @param {Object[]} [props.slices=[]] - Slices adicionales `{ name, useManager, deps, config }` (ver `registerSlice`). Un nombre repetido reemplaza al anterior.
+ *
+ * @note
+ * - Un cambio en un slice solo vuelve a renderizar su manager, los slices que dependen de él y los consumidores suscritos a él.
+ * - El orden de los slices debe mantenerse entre renders: añadir o quitar uno vuelve a montar los que van después.
+ */
+const ContextManagerProvider = ({
+    children,
+    routes = __ROUTES,
+    auth = {},
+    access = {},
+    loginRoute = 'LOGIN',
+    forbiddenRoute = null,
+    slices = [],
+}) => {
     
 
 
@@ -30,10 +76,13 @@ const ContextManagerProvider = ({ children }) => {
 
 
 
-    const appRoutes = {
-        NOTFOUND: '*',
-        FEED: '/',
-    }
+    // Las rutas se declaran en `core/config/routes/routes` (o se pasan por `routes`)
+    const builtinSlices = [
+        { name: 'themes', useManager: useManagerThemes },
+        { name: 'router', useManager: useManagerRoutes, config: { definitions: routes, loginRoute, forbiddenRoute } },
+        { name: 'auth', useManager: useManagerAuth, config: auth },
+        { name: 'access', deps: ['auth'], useManager: useManagerAccess, config: access },
+    ];
 
 
 
@@ -42,7 +91,9 @@ const ContextManagerProvider = ({ children }) => {
 
     
 
-    const location = useLocation().pathname;
+    const storeRef = useRef(null);
+    if (!storeRef.current) storeRef.current = createSliceStore();
+    const store = storeRef.current;
     
 
 
@@ -59,6 +110,11 @@ const ContextManagerProvider = ({ children }) => {
 
 
 
+    // Cada slice envuelve a los que van después, así sus dependencias ya están publicadas al montarlo
+    const tree = sortSlices([...builtinSlices, ...getRegisteredSlices(), ...slices]).reduceRight(
+        (child, slice) => <SliceHost key={slice.name} slice={slice} store={store}>{child}</SliceHost>,
+        children
+    );
 
 
 
@@ -77,10 +133,8 @@ const ContextManagerProvider = ({ children }) => {
 
 
     return (
-        <ContextManager.Provider value={{
-            themes: __ManagerThemes(),
-        }}>
-            {children}
+        <ContextManager.Provider value={store}>
+            {tree}
         </ContextManager.Provider>
     );
 };
@@ -88,13 +142,76 @@ const ContextManagerProvider = ({ children }) => {
 
 
 /*///////////////////////////////////////////////////////////////////////////////////////////////*/
-/*CONTEXT - PROVIDER-----------------------------------------------------------------------------*/
+/*COMPONENTS-------------------------------------------------------------------------------------*/
 /*///////////////////////////////////////////////////////////////////////////////////////////////*/
 
 
 
-// Custom hook para usar el contexto
-const useContextManager = () => {return useContext(ContextManager); };
+// Evalúa la guarda de una ruta y muestra su página (con su layout), o redirige
+const RouteGate = ({ route }) => {
+    const router = useContextSlice('router');
+    const access = useContextSlice('access');
+    const location = useLocation();
+    const notFound = router.routes.NOTFOUND;
+    const renderNotFound = () => (notFound && notFound !== route ? <RouteGate route={notFound} /> : null);
+
+    // Solo se redirige a rutas permitidas: una ruta de destino denegada volvería a redirigir en un bucle
+    const canEnter = (name) => {
+        const target = name && router.routes[name];
+        return Boolean(target) && access.checkGuard(target.guard) === ACCESS_RESULT.ALLOWED;
+    };
+
+    const result = access.checkGuard(route.guard);
+
+    if (result === ACCESS_RESULT.LOGIN) {
+        if (!canEnter(router.loginRoute)) return renderNotFound();
+        // La ubicación original queda en `state.from` para `router.redirectAfterLogin()`
+        return <Navigate to={router.buildPath(router.loginRoute)} replace state={{ from: location }} />;
+    }
+
+    if (result === ACCESS_RESULT.FORBIDDEN) {
+        const target = route.guard.redirectTo || router.forbiddenRoute;
+        return canEnter(target) ? <Navigate to={router.buildPath(target)} replace /> : renderNotFound();
+    }
+
+    if (result === ACCESS_RESULT.DISABLED) return renderNotFound();
+
+    if (route.redirectTo) {
+        if (!canEnter(route.redirectTo)) return renderNotFound();
+        return <Navigate to={router.buildPath(route.redirectTo, router.params)} replace />;
+    }
+
+    const Page = route.component;
+    const Layout = route.layout;
+    const page = Page ? <Page route={route} params={router.params} /> : null;
+
+    return Layout ? <Layout route={route}>{page}</Layout> : page;
+};
+
+// Genera las rutas de react-router a partir del registro
+const AppRoutes = () => {
+    const router = useContextSlice('router');
+
+    return (
+        <Routes>
+            {router.list.map((route) => (
+                <Route key={route.name} path={route.path} element={<RouteGate route={route} />} />
+            ))}
+        </Routes>
+    );
+};
+
+// Muestra su contenido solo si se cumplen los requisitos (mismos que `useCan`)
+const Can = ({ children, permission, role, feature, auth = false, fallback = null }) => {
+    const allowed = useCan({
+        auth,
+        roles: role,
+        permissions: permission,
+        features: feature,
+    });
+
+    return allowed ? children : fallback;
+};
 
 
 
@@ -104,4 +221,4 @@ const useContextManager = () => {return useContext(ContextManager); };
 
 
 
-export { useContextManager, ContextManagerProvider }
\ No newline at end of file
+export { useContextManager, ContextManagerProvider, AppRoutes, Can }
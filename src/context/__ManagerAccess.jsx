@@ -0,0 +1,62 @@
+import { useMemo } from "react";
+import { createAccessControl } from "../core/access/accessControl";
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*MANAGER----------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Administra el control de acceso de la aplicación (sesión, roles, permisos y banderas).
+ *
+ * @function useManagerAccess
+ * @param {Object} [access={}] - `{ isAuthenticated, roles, permissions, rolePermissions, features }` (ver `createAccessControl`).
+ * @param {Object} [deps={}] - Los slices de los que depende.
+ * @param {Object} [deps.auth] - La sesión (`useManagerAuth`). Los roles y permisos salen de su usuario, salvo que `access` los indique.
+ * @returns {Object} - `{ isAuthenticated, roles, permissions, hasRole, can, isEnabled, check, checkGuard }`.
+ */
+const useManagerAccess = (access = {}, { auth = null } = {}) => {
+    const user = auth ? auth.user : null;
+    const {
+        isAuthenticated = auth ? auth.isAuthenticated : undefined,
+        roles = user ? user.roles : undefined,
+        permissions = user ? user.permissions : undefined,
+        rolePermissions,
+        features,
+    } = access;
+
+
+
+    /*===========================================================================================*/
+    /* Use Hooks/customHooks --------------------------------------------------------------------*/
+
+
+
+    // Se recrea solo cuando cambia alguno de sus datos, no cuando cambia la referencia de `access`
+    const control = useMemo(
+        () => createAccessControl({ isAuthenticated, roles, permissions, rolePermissions, features }),
+        [isAuthenticated, roles, permissions, rolePermissions, features]
+    );
+
+
+
+    /*===========================================================================================*/
+    /* Return -----------------------------------------------------------------------------------*/
+
+
+
+    return control;
+}
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORT-----------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+export default useManagerAccess;
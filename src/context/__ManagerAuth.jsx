@@ -0,0 +1,257 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import {
+    normalizeSession,
+    isSessionExpired,
+    createTokenStorage,
+    createAuthChannel,
+    withRefreshLock,
+} from "../core/auth/authSession";
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*MANAGER----------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+// Máximo que acepta `setTimeout` (~24.8 días); plazos mayores se reprograman al vencer
+const MAX_TIMEOUT = 2147483647;
+
+/**
+ * Administra la sesión del usuario: inicio y cierre de sesión contra un adaptador, almacenamiento
+ * del token, renovación silenciosa antes de que expire y cierre de sesión en todas las pestañas.
+ *
+ * @function useManagerAuth
+ * @param {Object} [config={}]
+ * @param {Object} [config.adapter=null] - Adaptador `{ login(credentials), refresh(session), logout(session) }` (ver `createHttpAuthAdapter`). `refresh` y `logout` son opcionales.
+ * @param {Object} [config.storage] - Almacenamiento de la sesión (ver `createTokenStorage`). Por defecto `localStorage`.
+ * @param {number} [config.refreshMargin=60000] - Milisegundos antes de la expiración en que se renueva el token.
+ * @param {boolean} [config.syncTabs=true] - Si el inicio, la renovación y el cierre de sesión se comparten entre pestañas con `BroadcastChannel`.
+ * @returns {Object} - `{ user, session, isAuthenticated, status, error, expiresAt, login, logout, refresh, setUser, getAccessToken }`.
+ *
+ * @note
+ * - Sin `refresh` en el adaptador, la sesión se cierra al expirar.
+ * - Si la renovación falla la sesión se cierra y el error queda en `error`, salvo que otra pestaña ya haya guardado una sesión vigente.
+ * - Solo una pestaña renueva a la vez (Web Locks); las demás toman la sesión que esta guarda, así los `refreshToken` rotativos no se invalidan entre pestañas.
+ * - `getAccessToken()` resuelve un token vigente, renovándolo antes si está por expirar; útil en los interceptores del cliente HTTP.
+ */
+const useManagerAuth = ({ adapter = null, storage = null, refreshMargin = 60000, syncTabs = true } = {}) => {
+
+
+
+    /*===========================================================================================*/
+    /* Use useStates ----------------------------------------------------------------------------*/
+
+
+
+    const storageRef = useRef(null);
+    if (!storageRef.current) storageRef.current = storage || createTokenStorage();
+    const adapterRef = useRef(adapter);
+    adapterRef.current = adapter;
+    const channelRef = useRef(null);
+    const refreshPromiseRef = useRef(null);
+
+    const [session, setSession] = useState(() => {
+        const stored = normalizeSession(storageRef.current.load());
+        // Una sesión vencida solo sirve si se puede renovar
+        return stored && (!isSessionExpired(stored) || stored.refreshToken) ? stored : null;
+    });
+    const [status, setStatus] = useState('idle');
+    const [error, setError] = useState(null);
+    const sessionRef = useRef(session);
+    sessionRef.current = session;
+
+
+
+    /*===========================================================================================*/
+    /* Define Methods ---------------------------------------------------------------------------*/
+
+
+
+    // Sesión vigente guardada por otra pestaña (por ejemplo tras renovarla), distinta de `current`
+    const loadNewerSession = useCallback((current) => {
+        const stored = normalizeSession(storageRef.current.load());
+        if (!stored || isSessionExpired(stored)) return null;
+        return current && stored.accessToken === current.accessToken ? null : stored;
+    }, []);
+
+    // Guardar la sesión, persistirla y avisar a las demás pestañas
+    const applySession = useCallback((next, broadcast = true) => {
+        sessionRef.current = next;
+        setSession(next);
+        if (next) storageRef.current.save(next);
+        else storageRef.current.clear();
+        if (broadcast && channelRef.current) {
+            channelRef.current.postMessage(next ? { type: 'session', session: next } : { type: 'logout' });
+        }
+    }, []);
+
+    const login = useCallback(async (credentials) => {
+        const currentAdapter = adapterRef.current;
+        if (!currentAdapter || !currentAdapter.login) {
+            throw new Error('No hay un adaptador de autenticación configurado en ContextManagerProvider.');
+        }
+
+        setStatus('loading');
+        setError(null);
+        try {
+            const next = normalizeSession(await currentAdapter.login(credentials));
+            if (!next) throw new Error('El adaptador de autenticación no devolvió un token de acceso.');
+            applySession(next);
+            return next.user;
+        } catch (err) {
+            setError(err);
+            throw err;
+        } finally {
+            setStatus('idle');
+        }
+    }, [applySession]);
+
+    const logout = useCallback(async () => {
+        const previous = sessionRef.current;
+        applySession(null);
+        setError(null);
+
+        const currentAdapter = adapterRef.current;
+        if (!previous || !currentAdapter || !currentAdapter.logout) return;
+        try {
+            await currentAdapter.logout(previous);
+        } catch {
+            // La sesión local ya se cerró; un fallo del backend no debe mantenerla abierta
+        }
+    }, [applySession]);
+
+    // Renovar el token; las llamadas simultáneas comparten la misma solicitud
+    const refresh = useCallback(() => {
+        if (refreshPromiseRef.current) return refreshPromiseRef.current;
+
+        const previous = sessionRef.current;
+        const currentAdapter = adapterRef.current;
+        if (!previous) return Promise.resolve(null);
+        if (!currentAdapter || !currentAdapter.refresh) {
+            if (isSessionExpired(previous)) applySession(null);
+            return Promise.resolve(sessionRef.current);
+        }
+
+        setStatus('refreshing');
+        refreshPromiseRef.current = withRefreshLock(async () => {
+            // Otra pestaña pudo renovar mientras se esperaba el candado
+            const renewed = loadNewerSession(previous);
+            if (renewed) {
+                applySession(renewed, false);
+                return renewed;
+            }
+
+            try {
+                const next = normalizeSession(await currentAdapter.refresh(previous), previous);
+                if (!next) throw new Error('El adaptador de autenticación no devolvió un token de acceso.');
+                applySession(next);
+                return next;
+            } catch (err) {
+                // Si otra pestaña guardó una sesión vigente, se adopta en lugar de cerrar la sesión
+                const stored = loadNewerSession(previous);
+                if (stored) {
+                    applySession(stored, false);
+                    return stored;
+                }
+                setError(err);
+                applySession(null);
+                return null;
+            }
+        }).finally(() => {
+            refreshPromiseRef.current = null;
+            setStatus('idle');
+        });
+
+        return refreshPromiseRef.current;
+    }, [applySession, loadNewerSession]);
+
+    const setUser = useCallback((updater) => {
+        const previous = sessionRef.current;
+        if (!previous) return;
+        const user = typeof updater === 'function' ? updater(previous.user) : updater;
+        applySession({ ...previous, user });
+    }, [applySession]);
+
+    const getAccessToken = useCallback(async () => {
+        const current = sessionRef.current;
+        if (!current) return null;
+        if (!isSessionExpired(current, refreshMargin)) return current.accessToken;
+        const renewed = await refresh();
+        return renewed ? renewed.accessToken : null;
+    }, [refresh, refreshMargin]);
+
+
+
+    /*===========================================================================================*/
+    /* useEffects -------------------------------------------------------------------------------*/
+
+
+
+    // Renovar (o cerrar) la sesión antes de que expire
+    useEffect(() => {
+        if (!session || session.expiresAt === null) return;
+
+        // Sin renovación no hay nada que adelantar: la sesión se cierra al expirar
+        const canRefresh = Boolean(adapterRef.current && adapterRef.current.refresh);
+        const delay = Math.max(0, session.expiresAt - (canRefresh ? refreshMargin : 0) - Date.now());
+        const timeoutId = setTimeout(() => {
+            if (delay > MAX_TIMEOUT) setSession((current) => (current ? { ...current } : current));
+            else refresh();
+        }, Math.min(delay, MAX_TIMEOUT));
+
+        return () => clearTimeout(timeoutId);
+    }, [session, refreshMargin, refresh]);
+
+    // Compartir la sesión entre pestañas
+    useEffect(() => {
+        if (!syncTabs) return;
+
+        const channel = createAuthChannel();
+        if (!channel) return;
+
+        channel.onmessage = (event) => {
+            const message = event.data || {};
+            if (message.type === 'logout') applySession(null, false);
+            if (message.type === 'session') applySession(message.session, false);
+        };
+        channelRef.current = channel;
+
+        return () => {
+            channel.close();
+            channelRef.current = null;
+        };
+    }, [syncTabs, applySession]);
+
+
+
+    /*===========================================================================================*/
+    /* Return -----------------------------------------------------------------------------------*/
+
+
+
+    return {
+        user: session ? session.user : null,
+        session,
+        isAuthenticated: Boolean(session),
+        status,
+        error,
+        expiresAt: session ? session.expiresAt : null,
+        login,
+        logout,
+        refresh,
+        setUser,
+        getAccessToken,
+    }
+}
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORT-----------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+export default useManagerAuth;
@@ -0,0 +1,114 @@
+import { useCallback, useEffect, useMemo } from "react";
+import { matchRoutes, useLocation, useNavigate } from "react-router-dom";
+import { createRouteRegistry, resolveRoute, buildPath as buildRoutePath } from "../core/router/routeRegistry";
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*MANAGER----------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Administra el registro de rutas: la ruta actual, el título del documento y la navegación por nombre.
+ *
+ * @function useManagerRoutes
+ * @param {Object} config
+ * @param {Object} config.definitions - Las rutas declaradas (ver `__ROUTES` en `core/config/routes/routes`).
+ * @param {string} [config.loginRoute='LOGIN'] - Ruta a la que se redirige cuando una página requiere sesión.
+ * @param {string} [config.forbiddenRoute=null] - Ruta a la que se redirige cuando falta un rol o permiso. Si no se indica se muestra la ruta `NOTFOUND`.
+ * @returns {Object} - `{ routes, list, current, params, navigate, buildPath, isActive, redirectAfterLogin, loginRoute, forbiddenRoute }`.
+ */
+const useManagerRoutes = ({ definitions, loginRoute = 'LOGIN', forbiddenRoute = null }) => {
+
+
+
+    /*===========================================================================================*/
+    /* Use Hooks/customHooks --------------------------------------------------------------------*/
+
+
+
+    const registry = useMemo(() => createRouteRegistry(definitions), [definitions]);
+    const location = useLocation();
+    const navigateTo = useNavigate();
+
+    const match = useMemo(() => {
+        const matches = matchRoutes(registry.list.map((route) => ({ path: route.path, route })), location);
+        return matches ? matches[matches.length - 1] : null;
+    }, [registry, location]);
+
+    const current = match ? match.route.route : null;
+    const params = useMemo(() => (match ? match.params : {}), [match]);
+
+
+
+    /*===========================================================================================*/
+    /* Define Methods ---------------------------------------------------------------------------*/
+
+
+
+    const buildPath = useCallback(
+        (target, routeParams = {}, query = null) => buildRoutePath(resolveRoute(registry.routes, target), routeParams, query),
+        [registry]
+    );
+
+    const navigate = useCallback((target, routeParams = {}, { query = null, replace = false, state } = {}) => {
+        navigateTo(buildPath(target, routeParams, query), { replace, state });
+    }, [navigateTo, buildPath]);
+
+    const isActive = useCallback((target) => {
+        const name = typeof target === 'string' ? target : target && target.name;
+        return Boolean(current) && current.name === name;
+    }, [current]);
+
+    // Volver a la página que pidió iniciar sesión (guardada por la guarda en `location.state.from`)
+    const redirectAfterLogin = useCallback((fallback = 'FEED', fallbackParams = {}) => {
+        const from = location.state && location.state.from;
+        const target = from ? `${from.pathname}${from.search || ''}${from.hash || ''}` : buildPath(fallback, fallbackParams);
+        navigateTo(target, { replace: true });
+    }, [location, navigateTo, buildPath]);
+
+
+
+    /*===========================================================================================*/
+    /* useEffects -------------------------------------------------------------------------------*/
+
+
+
+    // Actualizar el título del documento con el de la ruta actual
+    useEffect(() => {
+        if (!current || !current.title) return;
+        document.title = typeof current.title === 'function' ? current.title(params) : current.title;
+    }, [current, params]);
+
+
+
+    /*===========================================================================================*/
+    /* Return -----------------------------------------------------------------------------------*/
+
+
+
+    return {
+        routes: registry.routes,
+        list: registry.list,
+        current,
+        params,
+        navigate,
+        buildPath,
+        isActive,
+        redirectAfterLogin,
+        loginRoute,
+        forbiddenRoute,
+    }
+}
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORT-----------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+export default useManagerRoutes;
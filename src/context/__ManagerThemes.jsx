@@ -11,7 +11,13 @@ import useEnum from "../hooks/useEnum";
 
 
 
-const __ManagerThemes = () => {
+/**
+ * Administra los temas de la aplicación (claro u oscuro) sobre las variables CSS de `core/config/themes`.
+ *
+ * @function useManagerThemes
+ * @returns {Object} - `{ names, theme, methods: { utils, is } }`. `theme()` devuelve el tema actual.
+ */
+const useManagerThemes = () => {
 
 
 
@@ -21,9 +27,9 @@ const __ManagerThemes = () => {
 
 
     const Themes_Names = useEnum({ DARK: "dark", LIGHT: "light", });
-    const [Themes_Themes, setThemes_Themes] = useState(__THEMES);
-    const [Themes_useSystemColorScheme, setThemes_useSystemColorScheme] = useState(false);
-    const [Themes_Persistent, setThemes_Persistent] = useState(__THEMES_PERSISTENTS);
+    const [Themes_Themes] = useState(__THEMES);
+    const [Themes_useSystemColorScheme] = useState(false);
+    const [Themes_Persistent] = useState(__THEMES_PERSISTENTS);
 
 
 
@@ -32,14 +38,7 @@ const __ManagerThemes = () => {
 
 
 
-    const {
-        currentTheme,
-        switchTheme,
-        updateVariable,
-        switchAndUpdateVariables,
-        getActivationOrder,
-        getThemeVariables
-    } = useCSSVariables({ 
+    const { currentTheme, switchTheme } = useCSSVariables({ 
         themesVariables: Themes_Themes, 
         useSystemColorScheme: Themes_useSystemColorScheme, 
         persistentVariables: Themes_Persistent 
@@ -58,6 +57,7 @@ const __ManagerThemes = () => {
             if (currentTheme() === Themes_Names.DARK) { switchTheme(Themes_Names.LIGHT) }
             else if (currentTheme() === Themes_Names.LIGHT) { switchTheme(Themes_Names.DARK) };
         },
+        setTheme: (themeName) => switchTheme(themeName),
     }
 
     const manager_is = {
@@ -89,4 +89,4 @@ const __ManagerThemes = () => {
 
 
 
-export default __ManagerThemes();
\ No newline at end of file
+export default useManagerThemes;
\ No newline at end of file
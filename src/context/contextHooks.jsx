@@ -0,0 +1,86 @@
+import { useContext, useRef, useSyncExternalStore } from 'react';
+import { ContextManager } from './contexts';
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*UTILS------------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+const identity = (value) => value;
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*HOOKS------------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+// Obtener el almacén del proveedor más cercano
+const useSliceStore = () => {
+    const store = useContext(ContextManager);
+    if (!store) throw new Error('useContextManager debe usarse dentro de ContextManagerProvider.');
+    return store;
+};
+
+// Suscribirse a una parte del almacén; el componente solo se renderiza si cambia lo seleccionado
+const useStoreSelector = (read, selector) => {
+    const store = useSliceStore();
+    const cacheRef = useRef(null);
+
+    const getSnapshot = () => {
+        const source = read(store);
+        const cache = cacheRef.current;
+        // Mientras la fuente y el selector sean los mismos se reutiliza el resultado (el selector puede crear objetos)
+        if (cache && Object.is(cache.source, source) && cache.selector === selector) return cache.selected;
+        const selected = selector(source);
+        cacheRef.current = { source, selector, selected };
+        return selected;
+    };
+
+    return useSyncExternalStore(store.subscribe, getSnapshot, getSnapshot);
+};
+
+/**
+ * Consulta el estado global `{ themes, router, auth, access, ... }`.
+ *
+ * @param {function} [selector] - Extrae la parte que interesa; el componente solo se vuelve a renderizar cuando cambia. Sin selector se suscribe a todos los slices.
+ * @returns {*}
+ *
+ * @example
+ * const user = useContextManager((state) => state.auth.user);
+ */
+const useContextManager = (selector = identity) => useStoreSelector((store) => store.getState(), selector);
+
+/**
+ * Consulta un solo slice; el componente ignora los cambios del resto.
+ *
+ * @param {string} name - El nombre del slice.
+ * @param {function} [selector] - Extrae la parte del slice que interesa.
+ * @returns {*}
+ *
+ * @example
+ * const { navigate } = useContextSlice('router');
+ * const isDark = useContextSlice('themes', (themes) => themes.methods.is.isDarkTheme());
+ */
+const useContextSlice = (name, selector = identity) => useStoreSelector((store) => store.getSlice(name), selector);
+
+// Custom hook para consultar permisos: recibe un permiso, o { auth, roles, permissions, features }
+const useCan = (requirements) => {
+    const access = useContextSlice('access');
+    if (typeof requirements === 'string' || Array.isArray(requirements)) return access.can(requirements);
+    return access.check(requirements);
+};
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORTS----------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+export { useContextManager, useContextSlice, useCan }
@@ -0,0 +1,6 @@
+import { createContext } from 'react';
+
+// Contexto del ContextManager. Vive aparte para que lo compartan el proveedor (`ContextManager.jsx`) y los hooks (`contextHooks.jsx`)
+
+// El valor del contexto es el almacén de slices, que no cambia: los consumidores se suscriben a él
+export const ContextManager = createContext(null);
@@ -0,0 +1,144 @@
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*CONSTANTS--------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+// Resultados posibles de `checkGuard`
+const ACCESS_RESULT = Object.freeze({
+    ALLOWED: 'allowed',
+    LOGIN: 'login',
+    FORBIDDEN: 'forbidden',
+    DISABLED: 'disabled',
+});
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*UTILS------------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Indica si un permiso concedido cubre el permiso pedido. Admite comodines: `'*'` cubre todo
+ * y `'posts.*'` cubre `'posts.edit'`, `'posts.delete'`, etc.
+ * @function permissionMatches
+ * @param {string} granted - El permiso concedido.
+ * @param {string} requested - El permiso pedido.
+ * @returns {boolean}
+ */
+function permissionMatches(granted, requested) {
+    if (granted === '*' || granted === requested) return true;
+    return granted.endsWith('.*') && requested.startsWith(granted.slice(0, -1));
+}
+
+/**
+ * Convierte un valor o lista de valores en arreglo.
+ * @function toList
+ * @param {*} value - Un valor, un arreglo, o `null`/`undefined`.
+ * @returns {Array} - El arreglo (vacío si no hay valor).
+ */
+function toList(value) {
+    if (value === null || value === undefined) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*FACTORY & EXPORTABLES--------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Crea el control de acceso (RBAC) a partir de la sesión y de los permisos de cada rol.
+ *
+ * @function createAccessControl
+ * @param {Object} [config={}] - Configuración del control de acceso.
+ * @param {boolean} [config.isAuthenticated=false] - Si hay una sesión iniciada.
+ * @param {Array<string>} [config.roles=[]] - Los roles del usuario.
+ * @param {Array<string>} [config.permissions=[]] - Permisos concedidos directamente al usuario.
+ * @param {Object} [config.rolePermissions={}] - Permisos de cada rol, por ejemplo `{ admin: ['*'], editor: ['posts.*'] }`.
+ * @param {Object|Array<string>} [config.features={}] - Banderas de funcionalidades activas: un objeto `{ nombre: boolean }` o una lista de nombres.
+ * @returns {Object} - `{ isAuthenticated, roles, permissions, hasRole, can, isEnabled, check, checkGuard }`.
+ *
+ * @example
+ * const access = createAccessControl({
+ *   isAuthenticated: true,
+ *   roles: ['editor'],
+ *   rolePermissions: { editor: ['posts.*'], admin: ['*'] },
+ *   features: { newEditor: true },
+ * });
+ *
+ * access.can('posts.edit');          // true
+ * access.can('users.delete');        // false
+ * access.hasRole(['admin', 'editor']); // true (basta con uno)
+ * access.isEnabled('newEditor');     // true
+ *
+ * @note
+ * - `can` y `isEnabled` con una lista exigen todos los elementos; `hasRole` con una lista exige al menos uno.
+ * - Los permisos admiten comodines (`'*'`, `'posts.*'`).
+ */
+function createAccessControl({
+    isAuthenticated = false,
+    roles = [],
+    permissions = [],
+    rolePermissions = {},
+    features = {},
+} = {}) {
+    const userRoles = toList(roles);
+    const granted = [
+        ...toList(permissions),
+        ...userRoles.flatMap((role) => toList(rolePermissions[role])),
+    ];
+    const enabledFeatures = new Set(
+        Array.isArray(features) ? features : Object.keys(features).filter((name) => features[name])
+    );
+
+    const hasRole = (role) => {
+        const requested = toList(role);
+        return requested.length === 0 || requested.some((name) => userRoles.includes(name));
+    };
+
+    const can = (permission) => toList(permission).every((requested) => (
+        granted.some((item) => permissionMatches(item, requested))
+    ));
+
+    const isEnabled = (feature) => toList(feature).every((name) => enabledFeatures.has(name));
+
+    // Comprobar varios requisitos a la vez: `{ auth, roles, permissions, features }`
+    const check = (requirements = {}) => checkGuard(requirements) === ACCESS_RESULT.ALLOWED;
+
+    // Evaluar la guarda de una ruta. Las banderas van primero: una funcionalidad apagada
+    // se comporta como si la ruta no existiera, haya o no sesión
+    const checkGuard = ({ auth = false, roles: requiredRoles, permissions: requiredPermissions, features: requiredFeatures } = {}) => {
+        if (!isEnabled(requiredFeatures)) return ACCESS_RESULT.DISABLED;
+        const needsSession = auth || toList(requiredRoles).length > 0 || toList(requiredPermissions).length > 0;
+        if (needsSession && !isAuthenticated) return ACCESS_RESULT.LOGIN;
+        if (!hasRole(requiredRoles) || !can(requiredPermissions)) return ACCESS_RESULT.FORBIDDEN;
+        return ACCESS_RESULT.ALLOWED;
+    };
+
+    return {
+        isAuthenticated,
+        roles: userRoles,
+        permissions: granted,
+        hasRole,
+        can,
+        isEnabled,
+        check,
+        checkGuard,
+    };
+}
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORTS----------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+export { ACCESS_RESULT, createAccessControl };
@@ -0,0 +1,245 @@
+import { createFetchClient } from '../fetch/fetchClient';
+import { parseResponse } from '../fetch/fetchResponse';
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*CONSTANTS--------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+const DEFAULT_STORAGE_KEY = 'authSession';
+const CHANNEL_NAME = 'auth';
+const REFRESH_LOCK_NAME = 'auth:refresh';
+const DEFAULT_ENDPOINTS = {
+    login: '/auth/login',
+    refresh: '/auth/refresh',
+    logout: '/auth/logout',
+};
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*UTILS------------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Decodifica la carga útil de un JWT sin verificar su firma.
+ * @function decodeTokenPayload
+ * @param {string} token - El token.
+ * @returns {Object|null} - La carga útil, o `null` si el token no es un JWT.
+ */
+function decodeTokenPayload(token) {
+    if (typeof token !== 'string') return null;
+    const [, payload] = token.split('.');
+    if (!payload) return null;
+
+    try {
+        const base64 = payload.replace(/-/g, '+').replace(/_/g, '/');
+        return JSON.parse(atob(base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '=')));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Convierte una fecha de expiración (ms, segundos, ISO o `Date`) a milisegundos.
+ * @function toTimestamp
+ * @param {number|string|Date} value - La fecha.
+ * @returns {number|null} - Los milisegundos desde la época, o `null` si no es válida.
+ */
+function toTimestamp(value) {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) return value.getTime();
+    if (typeof value === 'number') return value < 1e12 ? value * 1000 : value;
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORTABLES------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Obtiene la fecha de expiración (`exp`) de un JWT.
+ *
+ * @function getTokenExpiry
+ * @param {string} token - El token.
+ * @returns {number|null} - La expiración en milisegundos, o `null` si el token no la indica.
+ */
+function getTokenExpiry(token) {
+    const payload = decodeTokenPayload(token);
+    return payload && typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+}
+
+/**
+ * Normaliza la respuesta de un adaptador de autenticación a la forma de sesión que usa la aplicación.
+ *
+ * @function normalizeSession
+ * @param {Object} result - `{ user, accessToken, refreshToken, expiresAt, expiresIn }`. También acepta `token`, `access_token`, `refresh_token` y `expires_in`.
+ * @param {Object} [previous=null] - La sesión anterior, de la que se conservan `user` y `refreshToken` si la respuesta no los trae (habitual al renovar).
+ * @returns {Object|null} - `{ user, accessToken, refreshToken, expiresAt }`, o `null` si no hay token.
+ *
+ * @note
+ * - La expiración se toma de `expiresAt`, luego de `expiresIn` (segundos) y por último del `exp` del JWT. Si no hay ninguna, la sesión no expira.
+ */
+function normalizeSession(result, previous = null) {
+    if (!result) return null;
+    const accessToken = result.accessToken || result.token || result.access_token || null;
+    if (!accessToken) return null;
+
+    const expiresIn = result.expiresIn ?? result.expires_in;
+    const expiresAt = toTimestamp(result.expiresAt)
+        ?? (typeof expiresIn === 'number' ? Date.now() + expiresIn * 1000 : null)
+        ?? getTokenExpiry(accessToken);
+
+    return {
+        user: result.user ?? (previous ? previous.user : null),
+        accessToken,
+        refreshToken: result.refreshToken || result.refresh_token || (previous ? previous.refreshToken : null),
+        expiresAt,
+    };
+}
+
+/**
+ * Indica si una sesión ya expiró (o expira dentro del margen indicado).
+ *
+ * @function isSessionExpired
+ * @param {Object} session - La sesión normalizada.
+ * @param {number} [margin=0] - Milisegundos de anticipación.
+ * @returns {boolean}
+ */
+function isSessionExpired(session, margin = 0) {
+    if (!session) return true;
+    return session.expiresAt !== null && session.expiresAt - margin <= Date.now();
+}
+
+/**
+ * Crea el almacenamiento de la sesión sobre `localStorage` o `sessionStorage`.
+ *
+ * @function createTokenStorage
+ * @param {Object} [config={}] - Configuración del almacenamiento.
+ * @param {string} [config.key='authSession'] - La llave bajo la que se guarda la sesión.
+ * @param {Storage} [config.storage=localStorage] - `localStorage` (la sesión sobrevive al cerrar el navegador) o `sessionStorage` (solo la pestaña actual).
+ * @returns {Object} - `{ load, save, clear }`, síncronos para poder restaurar la sesión en el primer render.
+ *
+ * @note
+ * - Guardar tokens en `localStorage` los expone a cualquier script de la página (XSS). Si el backend lo permite, es preferible un `refreshToken` en una cookie `HttpOnly` y guardar aquí solo el token de acceso.
+ */
+function createTokenStorage({ key = DEFAULT_STORAGE_KEY, storage = typeof localStorage !== 'undefined' ? localStorage : null } = {}) {
+    return {
+        load: () => {
+            if (!storage) return null;
+            try {
+                const stored = storage.getItem(key);
+                return stored ? JSON.parse(stored) : null;
+            } catch {
+                return null;
+            }
+        },
+        save: (session) => {
+            if (storage) storage.setItem(key, JSON.stringify(session));
+        },
+        clear: () => {
+            if (storage) storage.removeItem(key);
+        },
+    };
+}
+
+/**
+ * Crea un adaptador de autenticación para un backend HTTP con JSON.
+ *
+ * @function createHttpAuthAdapter
+ * @param {Object} [config={}] - Configuración del adaptador.
+ * @param {Object} [config.client=createFetchClient()] - El cliente HTTP (por ejemplo el de `useFetchClient`).
+ * @param {Object} [config.endpoints] - URLs `{ login, refresh, logout }`. Por defecto `/auth/login`, `/auth/refresh` y `/auth/logout`. Con `refresh: null` no hay renovación silenciosa.
+ * @param {function} [config.mapSession] - Convierte la respuesta del backend en `{ user, accessToken, refreshToken, expiresAt | expiresIn }`.
+ * @returns {Object} - El adaptador `{ login(credentials), refresh(session), logout(session) }`.
+ *
+ * @example
+ * const adapter = createHttpAuthAdapter({
+ *   client: createFetchClient({ baseURL: 'https://api.example.com' }),
+ *   mapSession: (body) => ({ user: body.profile, accessToken: body.jwt, refreshToken: body.refresh }),
+ * });
+ *
+ * <ContextManagerProvider auth={{ adapter }}>...</ContextManagerProvider>
+ */
+function createHttpAuthAdapter({ client = createFetchClient(), endpoints = {}, mapSession = (body) => body } = {}) {
+    const urls = { ...DEFAULT_ENDPOINTS, ...endpoints };
+
+    const post = async (url, body, accessToken = null) => {
+        const response = await client.request(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
+            },
+            body: JSON.stringify(body),
+        });
+        return parseResponse(response, 'json');
+    };
+
+    return {
+        login: async (credentials) => mapSession(await post(urls.login, credentials)),
+        refresh: urls.refresh
+            ? async (session) => mapSession(await post(urls.refresh, { refreshToken: session.refreshToken }, session.accessToken))
+            : null,
+        logout: urls.logout
+            ? async (session) => {
+                await post(urls.logout, { refreshToken: session.refreshToken }, session.accessToken);
+            }
+            : null,
+    };
+}
+
+/**
+ * Abre el canal que comparte la sesión entre pestañas del mismo origen.
+ *
+ * @function createAuthChannel
+ * @returns {BroadcastChannel|null} - El canal, o `null` si el navegador no soporta `BroadcastChannel`.
+ */
+function createAuthChannel() {
+    if (typeof BroadcastChannel === 'undefined') return null;
+    return new BroadcastChannel(CHANNEL_NAME);
+}
+
+/**
+ * Ejecuta la renovación de la sesión con un candado compartido entre pestañas (Web Locks), de modo
+ * que solo una pestaña renueve a la vez y las demás esperen a que termine.
+ *
+ * @function withRefreshLock
+ * @param {function} callback - Función asíncrona a ejecutar con el candado tomado.
+ * @returns {Promise} - El resultado de `callback`.
+ *
+ * @note
+ * - Sin `navigator.locks` (navegadores antiguos o contextos no seguros) `callback` se ejecuta directamente.
+ */
+function withRefreshLock(callback) {
+    if (typeof navigator === 'undefined' || !navigator.locks) return Promise.resolve().then(callback);
+    return navigator.locks.request(REFRESH_LOCK_NAME, callback);
+}
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORTS----------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+export {
+    getTokenExpiry,
+    normalizeSession,
+    isSessionExpired,
+    createTokenStorage,
+    createHttpAuthAdapter,
+    createAuthChannel,
+    withRefreshLock,
+};
@@ -0,0 +1,49 @@
+import GemiDashboard from "../../../libs/gemi/GemiDashboard/GemiDashboard";
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*ROUTES-----------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*
+    ~~~ Define aqui tus (ROUTES).
+    -   Cada {key} es el nombre de la ruta (en mayusculas), y se usa para navegar: navigate(routes.FEED)
+    -   Cada {value} es un objeto con:
+            path        ->  La ruta de react-router ('/', '/posts/:id', '/docs/:slug?', '*')
+            component   ->  El componente de la pagina
+            title       ->  Titulo del documento, texto o funcion que recibe los parametros
+            layout      ->  Componente que envuelve la pagina, recibe { route, children }
+            redirectTo  ->  Nombre de otra ruta, en lugar de un componente
+            meta        ->  Datos libres de la ruta (breadcrumbs, iconos, etc)
+            guard       ->  { auth, roles, permissions, features, redirectTo } para restringir el acceso
+    -   Las rutas con guard.auth (o con roles/permisos) redirigen a la ruta de login si no hay sesion
+*/
+
+
+
+const routes = {
+    FEED: {
+        path: '/',
+        component: GemiDashboard,
+        title: 'Geminis',
+    },
+    NOTFOUND: {
+        path: '*',
+        redirectTo: 'FEED',
+    },
+    //agregar mas de ser necesario
+}
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORT-----------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+const __ROUTES = routes;
+
+
+
+export { __ROUTES };
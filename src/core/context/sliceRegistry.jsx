@@ -0,0 +1,189 @@
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*CONSTANTS--------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+// Slices registrados por los módulos de cada funcionalidad (ver `registerSlice`)
+const registeredSlices = new Map();
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*UTILS------------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Valida y normaliza la definición de un slice.
+ * @function normalizeSlice
+ * @param {Object} definition - `{ name, useManager, deps, config }`.
+ * @returns {Object} - La definición normalizada.
+ * @throws {Error} - Si falta el nombre o el manager.
+ */
+function normalizeSlice(definition) {
+    if (!definition || typeof definition.name !== 'string' || !definition.name) {
+        throw new Error('Cada slice debe tener un nombre (name).');
+    }
+    if (typeof definition.useManager !== 'function') {
+        throw new Error(`El slice "${definition.name}" debe indicar su manager (useManager).`);
+    }
+
+    return {
+        name: definition.name,
+        useManager: definition.useManager,
+        deps: definition.deps || [],
+        config: definition.config,
+    };
+}
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORTABLES------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Registra el slice de una funcionalidad para que `ContextManagerProvider` lo monte sin tener que editarlo.
+ *
+ * @function registerSlice
+ * @param {Object} definition - La definición del slice.
+ * @param {string} definition.name - El nombre con el que se consulta (`useContextSlice(name)`).
+ * @param {function} definition.useManager - El hook que administra el slice. Recibe `(config, deps)`, donde `deps` son los valores de los slices de los que depende.
+ * @param {string[]} [definition.deps=[]] - Los slices que deben montarse antes que este.
+ * @param {*} [definition.config] - Se pasa tal cual como primer argumento de `useManager`.
+ * @returns {function} - Función que quita el registro.
+ *
+ * @example
+ * // features/cart/cartSlice.jsx
+ * registerSlice({ name: 'cart', deps: ['auth'], useManager: (config, { auth }) => useManagerCart(auth.user) });
+ *
+ * @note
+ * - Registrar de nuevo un nombre reemplaza la definición anterior.
+ * - El registro se lee al renderizar el proveedor: conviene registrar al importar el módulo, no dentro de un componente.
+ */
+function registerSlice(definition) {
+    const slice = normalizeSlice(definition);
+    registeredSlices.set(slice.name, slice);
+    return () => {
+        if (registeredSlices.get(slice.name) === slice) registeredSlices.delete(slice.name);
+    };
+}
+
+/**
+ * Obtiene los slices registrados con `registerSlice`, en orden de registro.
+ *
+ * @function getRegisteredSlices
+ * @returns {Object[]}
+ */
+function getRegisteredSlices() {
+    return Array.from(registeredSlices.values());
+}
+
+/**
+ * Ordena los slices para que cada uno quede después de sus dependencias.
+ *
+ * @function sortSlices
+ * @param {Object[]} definitions - Las definiciones. Si un nombre se repite gana la última.
+ * @returns {Object[]} - Las definiciones normalizadas y ordenadas.
+ * @throws {Error} - Si una dependencia no existe o hay un ciclo.
+ */
+function sortSlices(definitions) {
+    const byName = new Map();
+    definitions.forEach((definition) => {
+        const slice = normalizeSlice(definition);
+        byName.delete(slice.name);
+        byName.set(slice.name, slice);
+    });
+
+    const sorted = [];
+    const state = new Map(); // nombre -> 'visiting' | 'done'
+
+    const visit = (slice, chain) => {
+        const status = state.get(slice.name);
+        if (status === 'done') return;
+        if (status === 'visiting') {
+            throw new Error(`Dependencia circular entre slices: ${[...chain, slice.name].join(' -> ')}.`);
+        }
+
+        state.set(slice.name, 'visiting');
+        slice.deps.forEach((dep) => {
+            if (!byName.has(dep)) throw new Error(`El slice "${slice.name}" depende de "${dep}", que no está registrado.`);
+            visit(byName.get(dep), [...chain, slice.name]);
+        });
+        state.set(slice.name, 'done');
+        sorted.push(slice);
+    };
+
+    byName.forEach((slice) => visit(slice, []));
+    return sorted;
+}
+
+/**
+ * Crea el almacén donde los slices publican su valor y los consumidores se suscriben.
+ *
+ * @function createSliceStore
+ * @returns {Object} - `{ getState, getSlice, has, init, set, remove, subscribe, select }`.
+ *
+ * @note
+ * - El estado es inmutable: cada cambio crea un objeto nuevo, así que `getState` sirve como snapshot de `useSyncExternalStore`.
+ * - `init` no avisa a los suscriptores; solo se usa en el primer render del slice, cuando aún no hay nadie leyendo su valor.
+ * - `select(names)` devuelve un lector que conserva la misma referencia mientras no cambie ninguno de esos slices.
+ */
+function createSliceStore() {
+    let state = {};
+    const listeners = new Set();
+
+    const notify = () => listeners.forEach((listener) => listener());
+    const has = (name) => Object.prototype.hasOwnProperty.call(state, name);
+
+    return {
+        getState: () => state,
+        getSlice: (name) => state[name],
+        has,
+        init: (name, value) => {
+            if (!has(name)) state = { ...state, [name]: value };
+        },
+        set: (name, value) => {
+            if (has(name) && Object.is(state[name], value)) return;
+            state = { ...state, [name]: value };
+            notify();
+        },
+        remove: (name) => {
+            if (!has(name)) return;
+            const { [name]: _REMOVED, ...rest } = state;
+            state = rest;
+            notify();
+        },
+        subscribe: (listener) => {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+        select: (names) => {
+            let last = null;
+            return () => {
+                const changed = !last || names.some((name) => !Object.is(last[name], state[name]));
+                if (changed) last = Object.fromEntries(names.map((name) => [name, state[name]]));
+                return last;
+            };
+        },
+    };
+}
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORTS----------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+export {
+    registerSlice,
+    getRegisteredSlices,
+    sortSlices,
+    createSliceStore,
+};
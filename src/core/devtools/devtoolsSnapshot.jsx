@@ -0,0 +1,147 @@
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*CONSTANTS--------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+const SNAPSHOT_VERSION = 1;
+const MAX_DEPTH = 20;
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*UTILS------------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Indica si un valor es un objeto plano (no un arreglo, fecha, elemento del DOM, etc.).
+ * @function isPlainObject
+ * @param {*} value - El valor.
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    if (value === null || typeof value !== 'object') return false;
+    const prototype = Object.getPrototypeOf(value);
+    return prototype === Object.prototype || prototype === null;
+}
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORTABLES------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Convierte cualquier valor en uno que se pueda mostrar y guardar como JSON.
+ *
+ * @function serializeValue
+ * @param {*} value - El valor.
+ * @returns {*} - Una copia serializable.
+ *
+ * @note
+ * - Las funciones se muestran como `"ƒ nombre()"`, las referencias circulares como `"[Circular]"` y los nodos del DOM como `"<tag>"`.
+ * - Las fechas se convierten a ISO, los `Map` a objetos y los `Set` a arreglos.
+ */
+function serializeValue(value) {
+    const seen = new WeakSet();
+
+    const visit = (current, depth) => {
+        if (typeof current === 'function') return `ƒ ${current.name || 'anonymous'}()`;
+        if (typeof current === 'bigint') return current.toString();
+        if (typeof current === 'symbol') return current.toString();
+        if (current === undefined) return null;
+        if (current === null || typeof current !== 'object') return current;
+
+        if (current instanceof Date) return current.toISOString();
+        if (typeof Node !== 'undefined' && current instanceof Node) return `<${(current.nodeName || 'node').toLowerCase()}>`;
+        if (seen.has(current)) return '[Circular]';
+        if (depth >= MAX_DEPTH) return '[…]';
+
+        seen.add(current);
+        let result;
+        if (Array.isArray(current)) result = current.map((item) => visit(item, depth + 1));
+        else if (current instanceof Map) result = Object.fromEntries([...current].map(([key, item]) => [String(key), visit(item, depth + 1)]));
+        else if (current instanceof Set) result = [...current].map((item) => visit(item, depth + 1));
+        else result = Object.fromEntries(Object.entries(current).map(([key, item]) => [key, visit(item, depth + 1)]));
+        seen.delete(current);
+
+        return result;
+    };
+
+    return visit(value, 0);
+}
+
+/**
+ * Arma la instantánea del estado global que exporta el panel de devtools.
+ *
+ * @function createSnapshot
+ * @param {Object} state
+ * @param {Object} [state.slices={}] - Los slices del `ContextManagerProvider` (solo informativos: no se importan).
+ * @param {Object} [state.items=null] - Los items de `useItemHolder`.
+ * @param {Object} [state.cache={}] - Las entradas de la caché de `useFetch` (`llave -> datos`).
+ * @param {string} [state.theme=null] - El tema actual.
+ * @param {string} [state.language=null] - El idioma actual.
+ * @returns {Object} - `{ version, createdAt, slices, items, cache, theme, language }`.
+ */
+function createSnapshot({ slices = {}, items = null, cache = {}, theme = null, language = null } = {}) {
+    return {
+        version: SNAPSHOT_VERSION,
+        createdAt: new Date().toISOString(),
+        slices: serializeValue(slices),
+        items: items ? serializeValue(items) : null,
+        cache: serializeValue(cache),
+        theme,
+        language,
+    };
+}
+
+/**
+ * Lee una instantánea exportada con `createSnapshot`.
+ *
+ * @function parseSnapshot
+ * @param {string|Object} source - El JSON o el objeto ya leído.
+ * @returns {Object} - La instantánea, con `items`, `cache`, `theme` y `language` normalizados.
+ * @throws {Error} - Si el JSON no es válido o no es una instantánea de esta versión.
+ */
+function parseSnapshot(source) {
+    let snapshot = source;
+    if (typeof source === 'string') {
+        try {
+            snapshot = JSON.parse(source);
+        } catch (error) {
+            throw new Error(`La instantánea no es un JSON válido: ${error.message}`);
+        }
+    }
+
+    if (!isPlainObject(snapshot) || snapshot.version !== SNAPSHOT_VERSION) {
+        throw new Error(`La instantánea no es válida (se esperaba la versión ${SNAPSHOT_VERSION}).`);
+    }
+    if (snapshot.items !== null && snapshot.items !== undefined && !isPlainObject(snapshot.items)) {
+        throw new Error('La instantánea no es válida: "items" debe ser un objeto.');
+    }
+    if (snapshot.cache !== undefined && !isPlainObject(snapshot.cache)) {
+        throw new Error('La instantánea no es válida: "cache" debe ser un objeto.');
+    }
+
+    return {
+        ...snapshot,
+        items: snapshot.items || null,
+        cache: snapshot.cache || {},
+        theme: typeof snapshot.theme === 'string' ? snapshot.theme : null,
+        language: typeof snapshot.language === 'string' ? snapshot.language : null,
+    };
+}
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORTS----------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+export { serializeValue, createSnapshot, parseSnapshot };
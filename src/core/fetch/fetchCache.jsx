@@ -0,0 +1,293 @@
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*CONSTANTS--------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+const DEFAULT_TTL = 5 * 60 * 1000;
+const DEFAULT_STALE_TIME = 0;
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*UTILS------------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Serializa el cuerpo de una solicitud para poder usarlo como parte de una llave de caché.
+ * @function serializeBody
+ * @param {*} body - El cuerpo de la solicitud (`string`, `URLSearchParams`, objeto plano, etc).
+ * @returns {string} - Representación en texto del cuerpo, o una cadena vacía si no hay cuerpo.
+ */
+function serializeBody(body) {
+    if (body === undefined || body === null) return '';
+    if (typeof body === 'string') return body;
+    if (body instanceof URLSearchParams) return body.toString();
+    if (Object.prototype.toString.call(body) === '[object Object]' || Array.isArray(body)) {
+        return JSON.stringify(body);
+    }
+    // FormData, Blob, streams, etc. no se pueden serializar de forma estable
+    return Object.prototype.toString.call(body);
+}
+
+/**
+ * Construye la llave de caché de una solicitud a partir de su URL, método y cuerpo.
+ * La URL va primero para que `invalidate('/api/users')` afecte a todas las variantes de ese recurso.
+ *
+ * @function buildCacheKey
+ * @param {string} url - La URL de la solicitud.
+ * @param {Object} [options={}] - Las opciones de `fetch` (`method`, `body`).
+ * @returns {string} - La llave de caché, por ejemplo `"/api/users GET"` o `"/api/users POST {"name":"John"}"`.
+ *
+ * @example
+ * buildCacheKey('/api/users'); // "/api/users GET"
+ * buildCacheKey('/api/users', { method: 'post', body: { name: 'John' } }); // '/api/users POST {"name":"John"}'
+ */
+function buildCacheKey(url, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    const body = serializeBody(options.body);
+    return body ? `${url} ${method} ${body}` : `${url} ${method}`;
+}
+
+/**
+ * Normaliza una lista de objetivos de caché (`'llave o prefijo'`, `{ key }` o `{ url, options }`) a llaves de caché.
+ * @function resolveCacheTargets
+ * @param {Array|function} targets - Lista de objetivos, o función que la retorna a partir de los argumentos dados.
+ * @param {Array} args - Argumentos que se pasan a `targets` si es una función.
+ * @returns {Array<Object>} - Lista de objetivos con su llave `key` resuelta.
+ */
+function resolveCacheTargets(targets, args) {
+    const list = typeof targets === 'function' ? targets(...args) : targets;
+    if (!list) return [];
+    return (Array.isArray(list) ? list : [list]).map((target) => (
+        typeof target === 'string'
+            ? { key: target }
+            : { ...target, key: target.key || buildCacheKey(target.url, target.options) }
+    ));
+}
+
+/**
+ * Crea un error de cancelación compatible con el que lanza `fetch` al abortar.
+ * @function createAbortError
+ * @returns {Error} - Un error cuyo `name` es `'AbortError'`.
+ */
+function createAbortError() {
+    const error = new Error('The operation was aborted.');
+    error.name = 'AbortError';
+    return error;
+}
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*FACTORY & EXPORTABLES--------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Crea un almacén de caché para solicitudes HTTP, pensado para compartirse entre todas las
+ * instancias de `useFetch` mediante `FetchCacheProvider`.
+ *
+ * @function createFetchCache
+ * @param {Object} [config={}] - Configuración por defecto del almacén.
+ * @param {number} [config.ttl=300000] - Tiempo de vida (ms) de cada entrada. Pasado ese tiempo la entrada se descarta.
+ * @param {number} [config.staleTime=0] - Tiempo (ms) durante el cual una entrada se considera fresca. Una entrada obsoleta se sigue sirviendo, pero se revalida en segundo plano.
+ * @returns {Object} - El almacén de caché.
+ *
+ * @returns {function} get - Obtener una entrada vigente por su llave (`{ data, updatedAt, staleAt, expiresAt }`).
+ * @returns {function} set - Guardar datos bajo una llave, con `ttl` y `staleTime` opcionales por entrada.
+ * @returns {function} mutate - Actualizar los datos de una entrada existente con un valor o una función `(prev) => next`.
+ * @returns {function} isStale - Indica si la entrada no existe o ya no está fresca.
+ * @returns {function} dedupe - Ejecutar una solicitud compartiendo la promesa con las solicitudes idénticas en curso.
+ * @returns {function} invalidate - Marcar como obsoletas las entradas cuya llave coincide o empieza con el prefijo dado, y avisar a los suscriptores para que se revaliden.
+ * @returns {function} remove - Eliminar las entradas cuya llave coincide o empieza con el prefijo dado.
+ * @returns {function} subscribe - Escuchar los eventos (`'update'`, `'invalidate'`, `'remove'`) de una llave.
+ * @returns {function} keys - Obtener todas las llaves almacenadas.
+ * @returns {function} clear - Vaciar el almacén.
+ *
+ * @example
+ * import { createFetchCache, buildCacheKey } from './fetchCache';
+ *
+ * const cache = createFetchCache({ ttl: 60000, staleTime: 5000 });
+ * const key = buildCacheKey('/api/users');
+ *
+ * const users = await cache.dedupe(key, (signal) => fetch('/api/users', { signal }).then(r => r.json()));
+ * cache.set(key, users);
+ *
+ * cache.invalidate('/api/users'); // los useFetch montados sobre '/api/users...' se revalidan
+ *
+ * @note
+ * - Las solicitudes idénticas en curso comparten una sola petición de red (`dedupe`).
+ * - La petición compartida solo se aborta cuando todos los consumidores que pasaron un `signal` la han cancelado.
+ * - Cada consumidor que cancela recibe el motivo de su `signal` (por ejemplo un error de tiempo límite), o un `AbortError`.
+ * - `invalidate` no borra los datos: permite seguir mostrando la información anterior mientras llega la nueva (stale-while-revalidate).
+ *
+ * @internal
+ * - Las entradas se guardan en un `Map` con sus marcas de tiempo `staleAt` y `expiresAt`.
+ * - Las solicitudes en curso se guardan en otro `Map` con su `AbortController` y el número de consumidores.
+ * - Los suscriptores se guardan por llave en un `Set`, de modo que cada llave notifica solo a quienes la observan.
+ */
+function createFetchCache({ ttl = DEFAULT_TTL, staleTime = DEFAULT_STALE_TIME } = {}) {
+    const entries = new Map();
+    const inFlight = new Map();
+    const listeners = new Map();
+
+    const matches = (key, keyOrPrefix) => key === keyOrPrefix || key.startsWith(keyOrPrefix);
+
+    const notify = (key, event) => {
+        const keyListeners = listeners.get(key);
+        if (!keyListeners) return;
+        keyListeners.forEach((listener) => listener(event, entries.get(key)));
+    };
+
+    const get = (key) => {
+        const entry = entries.get(key);
+        if (!entry) return undefined;
+        if (entry.expiresAt <= Date.now()) {
+            entries.delete(key);
+            return undefined;
+        }
+        return entry;
+    };
+
+    const set = (key, data, options = {}) => {
+        const now = Date.now();
+        const entryTTL = options.ttl ?? ttl;
+        const entryStaleTime = options.staleTime ?? staleTime;
+        entries.set(key, {
+            data,
+            updatedAt: now,
+            staleAt: now + entryStaleTime,
+            expiresAt: now + entryTTL,
+        });
+        notify(key, 'update');
+        return data;
+    };
+
+    const mutate = (key, updater) => {
+        const entry = get(key);
+        const next = typeof updater === 'function' ? updater(entry ? entry.data : undefined) : updater;
+        if (entry) {
+            entries.set(key, { ...entry, data: next, updatedAt: Date.now() });
+            notify(key, 'update');
+            return next;
+        }
+        return set(key, next);
+    };
+
+    const isStale = (key) => {
+        const entry = get(key);
+        return !entry || entry.staleAt <= Date.now();
+    };
+
+    const dedupe = (key, fetcher, { signal } = {}) => {
+        let request = inFlight.get(key);
+
+        if (!request) {
+            const controller = new AbortController();
+            request = { controller, consumers: 0 };
+            request.promise = Promise.resolve()
+                .then(() => fetcher(controller.signal))
+                .finally(() => {
+                    if (inFlight.get(key) === request) inFlight.delete(key);
+                });
+            inFlight.set(key, request);
+        }
+
+        if (!signal) return request.promise;
+
+        const current = request;
+        current.consumers += 1;
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                current.consumers -= 1;
+                if (current.consumers === 0) {
+                    current.controller.abort();
+                    if (inFlight.get(key) === current) inFlight.delete(key);
+                }
+                reject(signal.reason || createAbortError());
+            };
+
+            if (signal.aborted) {
+                onAbort();
+                return;
+            }
+
+            signal.addEventListener('abort', onAbort, { once: true });
+            current.promise
+                .then(resolve, reject)
+                .finally(() => signal.removeEventListener('abort', onAbort));
+        });
+    };
+
+    const collectKeys = (keyOrPrefix) => {
+        const keys = new Set([...entries.keys(), ...listeners.keys()]);
+        return [...keys].filter((key) => matches(key, keyOrPrefix));
+    };
+
+    const invalidate = (keyOrPrefix) => {
+        const keys = collectKeys(keyOrPrefix);
+        keys.forEach((key) => {
+            const entry = entries.get(key);
+            if (entry) entries.set(key, { ...entry, staleAt: 0 });
+            notify(key, 'invalidate');
+        });
+        return keys;
+    };
+
+    const remove = (keyOrPrefix) => {
+        const keys = collectKeys(keyOrPrefix).filter((key) => entries.has(key));
+        keys.forEach((key) => {
+            entries.delete(key);
+            notify(key, 'remove');
+        });
+        return keys;
+    };
+
+    const subscribe = (key, listener) => {
+        if (!listeners.has(key)) listeners.set(key, new Set());
+        listeners.get(key).add(listener);
+
+        return () => {
+            const keyListeners = listeners.get(key);
+            if (!keyListeners) return;
+            keyListeners.delete(listener);
+            if (keyListeners.size === 0) listeners.delete(key);
+        };
+    };
+
+    const keys = () => [...entries.keys()];
+
+    const clear = () => {
+        const allKeys = keys();
+        entries.clear();
+        allKeys.forEach((key) => notify(key, 'remove'));
+    };
+
+    return {
+        get,
+        set,
+        mutate,
+        isStale,
+        dedupe,
+        invalidate,
+        remove,
+        subscribe,
+        keys,
+        clear,
+    };
+}
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORTS----------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+export { createFetchCache, buildCacheKey, resolveCacheTargets, createAbortError };
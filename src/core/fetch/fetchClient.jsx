@@ -0,0 +1,245 @@
+import { FetchError } from './fetchError';
+import { createFetchError } from './fetchResponse';
+import { trackDownloadProgress, xhrTransport } from './fetchProgress';
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*UTILS------------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Convierte cualquier formato de cabeceras (`Headers`, arreglo de pares u objeto) en un objeto plano.
+ * Los nombres de las cabeceras se normalizan a minúsculas.
+ * @function normalizeHeaders
+ * @param {Headers|Array|Object} [headers={}] - Las cabeceras a normalizar.
+ * @returns {Object} - Un objeto plano con las cabeceras.
+ */
+function normalizeHeaders(headers = {}) {
+    return Object.fromEntries(new Headers(headers || {}));
+}
+
+/**
+ * Une la URL base del cliente con la URL de la solicitud, salvo que esta última sea absoluta.
+ * @function joinURL
+ * @param {string} baseURL - La URL base del cliente.
+ * @param {string} url - La URL de la solicitud.
+ * @returns {string} - La URL final.
+ */
+function joinURL(baseURL, url) {
+    if (!baseURL || /^([a-z][a-z\d+\-.]*:)?\/\//i.test(url)) return url;
+    return `${baseURL.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`;
+}
+
+/**
+ * Crea una lista ordenada de interceptores con los métodos `use` y `eject`.
+ * @function createInterceptorList
+ * @returns {Object} - La lista de interceptores.
+ */
+function createInterceptorList() {
+    const handlers = [];
+
+    return {
+        use: (onFulfilled, onRejected) => {
+            handlers.push({ onFulfilled, onRejected });
+            return handlers.length - 1;
+        },
+        eject: (id) => {
+            if (handlers[id]) handlers[id] = null;
+        },
+        clear: () => {
+            handlers.length = 0;
+        },
+        forEach: (fn) => {
+            handlers.forEach((handler) => {
+                if (handler) fn(handler);
+            });
+        },
+    };
+}
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*FACTORY & EXPORTABLES--------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Crea un cliente HTTP configurable sobre `fetch`, con URL base, cabeceras por defecto, tiempo límite
+ * e interceptores ordenados de solicitud y respuesta.
+ *
+ * @function createFetchClient
+ * @param {Object} [config={}] - Configuración del cliente.
+ * @param {string} [config.baseURL=''] - URL base que se antepone a las URLs relativas.
+ * @param {Object} [config.headers={}] - Cabeceras que se envían en todas las solicitudes.
+ * @param {number} [config.timeout=0] - Tiempo límite (ms) por defecto de cada solicitud. `0` desactiva el límite.
+ * @param {function} [config.transport=null] - Transporte `(url, init) => Promise<Response>` que reemplaza a `fetch` (por ejemplo el de `createMockTransport` en pruebas).
+ * @returns {Object} - El cliente HTTP.
+ *
+ * @returns {function} request - Ejecutar una solicitud `(url, options)`. Resuelve con un `Response` exitoso o rechaza con un `FetchError`.
+ * @returns {Object} interceptors - Listas `request` y `response`, cada una con `use`, `eject` y `clear`.
+ * @returns {Object} defaults - La configuración por defecto del cliente (`baseURL`, `headers`, `timeout`, `transport`), modificable en caliente.
+ *
+ * @example
+ * import { createFetchClient } from './fetchClient';
+ *
+ * const api = createFetchClient({ baseURL: 'https://api.example.com', timeout: 10000 });
+ *
+ * // Inyectar el token en todas las solicitudes
+ * api.interceptors.request.use((config) => ({
+ *   ...config,
+ *   headers: { ...config.headers, authorization: `Bearer ${localStorage.getItem('token')}` },
+ * }));
+ *
+ * // Renovar el token ante un 401 y repetir la solicitud una sola vez
+ * api.interceptors.response.use(null, async (error, { attempt, replay }) => {
+ *   if (error.status === 401 && attempt === 0) {
+ *     await refreshToken();
+ *     return replay();
+ *   }
+ *   throw error;
+ * });
+ *
+ * // Normalizar los errores del backend
+ * api.interceptors.response.use(null, (error) => {
+ *   if (error.body && error.body.detail) error.message = error.body.detail;
+ *   throw error;
+ * });
+ *
+ * const response = await api.request('/users', { method: 'GET' });
+ *
+ * @note
+ * - Los interceptores de solicitud reciben la configuración `{ url, method, headers, body, ... }` y deben retornarla (pueden ser asíncronos).
+ * - Los interceptores de respuesta reciben `(response, context)` o `(error, context)`, donde `context` es `{ config, attempt, replay }`.
+ * - Las respuestas no exitosas se convierten en un `FetchError` antes de pasar por los interceptores de respuesta, que pueden recuperarse retornando otra respuesta (por ejemplo `replay()`).
+ * - `replay(overrides)` vuelve a ejecutar la solicitud pasando otra vez por los interceptores de solicitud, incrementando `attempt`.
+ * - La respuesta (o el error) de `replay()` ya pasó por todos los interceptores de respuesta, así que los que siguen al que la devolvió la dejan pasar sin procesarla de nuevo.
+ * - Si se supera el tiempo límite la solicitud se aborta y se rechaza con un `FetchError` de código `'TIMEOUT'`.
+ * - Las opciones `onUploadProgress` y `onDownloadProgress` informan el progreso (ver `createProgressTracker`). Con `onUploadProgress` la solicitud se envía con `XMLHttpRequest`, ya que `fetch` no expone el progreso de subida.
+ * - Con un `transport` propio todas las solicitudes pasan por él (recibe también `onUploadProgress` y `onDownloadProgress`); los interceptores, la URL base y el tiempo límite se siguen aplicando.
+ *
+ * @internal
+ * - Los interceptores se guardan en arreglos; `eject` deja un hueco para conservar los identificadores del resto.
+ * - El tiempo límite usa un `AbortController` propio enlazado al `signal` del consumidor, de modo que ambas cancelaciones funcionan.
+ */
+function createFetchClient({ baseURL = '', headers = {}, timeout = 0, transport = null } = {}) {
+    const defaults = { baseURL, headers: normalizeHeaders(headers), timeout, transport };
+    const interceptors = {
+        request: createInterceptorList(),
+        response: createInterceptorList(),
+    };
+
+    // Elegir el transporte: el configurado, XHR cuando se pide progreso de subida, o fetch
+    const send = async (finalURL, { onUploadProgress, onDownloadProgress, ...init }) => {
+        if (defaults.transport) return defaults.transport(finalURL, { ...init, onUploadProgress, onDownloadProgress });
+        if (onUploadProgress) return xhrTransport(finalURL, { ...init, onUploadProgress, onDownloadProgress });
+
+        const response = await fetch(finalURL, init);
+        return onDownloadProgress ? trackDownloadProgress(response, onDownloadProgress) : response;
+    };
+
+    // Ejecutar la solicitud de red aplicando el tiempo límite
+    const dispatch = async ({ url, timeout: requestTimeout, signal, ...init }) => {
+        const finalURL = joinURL(defaults.baseURL, url);
+        const ms = requestTimeout ?? defaults.timeout;
+        if (!ms) return send(finalURL, { ...init, signal });
+
+        const controller = new AbortController();
+        const onAbort = () => controller.abort(signal.reason);
+        if (signal) {
+            if (signal.aborted) controller.abort(signal.reason);
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        const timer = setTimeout(() => {
+            controller.abort(new FetchError(`Error: la solicitud superó el tiempo límite de ${ms} ms`, { code: 'TIMEOUT', url: finalURL }));
+        }, ms);
+
+        try {
+            return await send(finalURL, { ...init, signal: controller.signal });
+        } finally {
+            clearTimeout(timer);
+            // El `signal` del consumidor puede vivir más que la solicitud (por ejemplo uno compartido)
+            if (signal) signal.removeEventListener('abort', onAbort);
+        }
+    };
+
+    const execute = async (url, options, attempt) => {
+        let config = {
+            ...options,
+            url,
+            headers: { ...normalizeHeaders(defaults.headers), ...normalizeHeaders(options.headers) },
+        };
+
+        const requestHandlers = [];
+        interceptors.request.forEach((handler) => requestHandlers.push(handler));
+        for (const { onFulfilled, onRejected } of requestHandlers) {
+            try {
+                if (onFulfilled) config = await onFulfilled(config);
+            } catch (err) {
+                if (!onRejected) throw err;
+                config = await onRejected(err);
+            }
+        }
+
+        // El resultado de `replay()` ya pasó por toda la cadena de respuesta: los interceptores
+        // que siguen al que lo pidió no lo deben procesar otra vez
+        let replayed = null;
+        const context = {
+            config,
+            attempt,
+            replay: (overrides = {}) => execute(url, { ...options, ...overrides }, attempt + 1).then(
+                (response) => {
+                    replayed = { response };
+                    return response;
+                },
+                (error) => {
+                    replayed = { error };
+                    throw error;
+                }
+            ),
+        };
+        const isReplayed = (key, value) => Boolean(replayed) && key in replayed && Object.is(replayed[key], value);
+
+        let promise = dispatch(config).then(async (response) => {
+            if (!response.ok) throw await createFetchError(response);
+            return response;
+        });
+
+        interceptors.response.forEach(({ onFulfilled, onRejected }) => {
+            promise = promise.then(
+                onFulfilled ? (response) => (isReplayed('response', response) ? response : onFulfilled(response, context)) : undefined,
+                onRejected
+                    ? (error) => {
+                        if (isReplayed('error', error)) throw error;
+                        return onRejected(error, context);
+                    }
+                    : undefined
+            );
+        });
+
+        return promise;
+    };
+
+    const request = (url, options = {}) => execute(url, options, 0);
+
+    return {
+        request,
+        interceptors,
+        defaults,
+    };
+}
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORTS----------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+export { createFetchClient, joinURL, normalizeHeaders };
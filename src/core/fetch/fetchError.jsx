@@ -0,0 +1,55 @@
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*ERRORS-----------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Error de una solicitud HTTP. Además del mensaje, conserva la información de la respuesta
+ * para que los consumidores puedan reaccionar según el estado o el cuerpo del error.
+ *
+ * @class FetchError
+ * @extends Error
+ * @param {string} message - Mensaje del error.
+ * @param {Object} [details={}] - Información de la respuesta.
+ * @param {string} [details.code='HTTP_ERROR'] - Código del error: `'HTTP_ERROR'`, `'PARSE_ERROR'`, `'VALIDATION_ERROR'`, `'GRAPHQL_ERROR'`, etc.
+ * @param {number} [details.status=0] - Código de estado HTTP.
+ * @param {string} [details.statusText=''] - Texto del estado HTTP.
+ * @param {Headers|null} [details.headers=null] - Cabeceras de la respuesta.
+ * @param {*} [details.body=null] - Cuerpo de la respuesta de error, ya interpretado.
+ * @param {string} [details.url=''] - URL de la solicitud.
+ * @param {Error} [details.cause] - Error original, si lo hay.
+ * @param {Array<Object>} [details.issues=[]] - Problemas de validación del cuerpo (`{ path, message, expected, received }`) si la respuesta no cumple su esquema, o los `errors` de una respuesta GraphQL.
+ *
+ * @example
+ * try {
+ *   await parseResponse(response);
+ * } catch (err) {
+ *   if (err instanceof FetchError && err.status === 422) {
+ *     console.log(err.body.errors);
+ *   }
+ * }
+ */
+class FetchError extends Error {
+    constructor(message, { code = 'HTTP_ERROR', status = 0, statusText = '', headers = null, body = null, url = '', cause, issues = [] } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = 'FetchError';
+        this.code = code;
+        this.status = status;
+        this.statusText = statusText;
+        this.headers = headers;
+        this.body = body;
+        this.url = url;
+        this.issues = issues;
+    }
+}
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORTS----------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+export { FetchError };
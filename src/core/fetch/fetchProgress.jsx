@@ -0,0 +1,231 @@
+import { createAbortError } from './fetchCache';
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*CONSTANTS--------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*UTILS------------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Convierte las cabeceras en texto de `XMLHttpRequest.getAllResponseHeaders()` en un objeto `Headers`.
+ * @function parseXHRHeaders
+ * @param {string} raw - Las cabeceras en texto, una por línea.
+ * @returns {Headers} - Las cabeceras de la respuesta.
+ */
+function parseXHRHeaders(raw) {
+    const headers = new Headers();
+    (raw || '').trim().split(/[\r\n]+/).forEach((line) => {
+        const index = line.indexOf(':');
+        if (index <= 0) return;
+        headers.append(line.slice(0, index).trim(), line.slice(index + 1).trim());
+    });
+    return headers;
+}
+
+/**
+ * Crea un error de red compatible con el que lanza `fetch` cuando la solicitud no obtiene respuesta.
+ * @function createNetworkError
+ * @returns {TypeError} - El error de red.
+ */
+function createNetworkError() {
+    return new TypeError('Failed to fetch');
+}
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORTABLES------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Crea un medidor de progreso que, a partir de los bytes transferidos, calcula el porcentaje,
+ * la velocidad y el tiempo restante estimado.
+ *
+ * @function createProgressTracker
+ * @param {string} phase - La fase que se mide: `'upload'` o `'download'`.
+ * @param {function} onProgress - Callback que recibe cada evento de progreso.
+ * @returns {function} - Función `(loaded, total) => void` que emite un evento `{ phase, loaded, total, percent, rate, eta, done }`.
+ *
+ * @example
+ * const report = createProgressTracker('download', (event) => console.log(`${event.percent}% - faltan ${event.eta} ms`));
+ * report(512, 2048); // { phase: 'download', loaded: 512, total: 2048, percent: 25, ... }
+ *
+ * @note
+ * - `total` es `null` cuando el servidor no envía `Content-Length`; en ese caso `percent` y `eta` también son `null`.
+ * - `rate` se expresa en bytes por segundo y `eta` en milisegundos.
+ */
+function createProgressTracker(phase, onProgress) {
+    const startedAt = Date.now();
+
+    return (loaded, total) => {
+        const knownTotal = typeof total === 'number' && total > 0 ? total : null;
+        const elapsed = Math.max(1, Date.now() - startedAt);
+        const rate = (loaded / elapsed) * 1000;
+        const percent = knownTotal ? Math.min(100, Math.round((loaded / knownTotal) * 100)) : null;
+        const eta = knownTotal && rate > 0 ? Math.max(0, Math.round(((knownTotal - loaded) / rate) * 1000)) : null;
+
+        onProgress({
+            phase,
+            loaded,
+            total: knownTotal,
+            percent,
+            rate,
+            eta,
+            done: knownTotal ? loaded >= knownTotal : false,
+        });
+    };
+}
+
+/**
+ * Envuelve una respuesta de `fetch` para informar el progreso de descarga mientras se lee el cuerpo.
+ * La respuesta resultante se puede leer con `parseResponse` como cualquier otra.
+ *
+ * @function trackDownloadProgress
+ * @param {Response} response - La respuesta original.
+ * @param {function} onProgress - Callback que recibe cada evento de progreso (ver `createProgressTracker`).
+ * @returns {Response} - Una respuesta equivalente cuyo cuerpo informa el progreso al leerse.
+ *
+ * @example
+ * const response = trackDownloadProgress(await fetch('/reports/2024.pdf'), (e) => setPercent(e.percent));
+ * const blob = await response.blob();
+ *
+ * @note
+ * - El total se toma de la cabecera `Content-Length`. Si la respuesta está comprimida el total puede no coincidir con los bytes leídos.
+ */
+function trackDownloadProgress(response, onProgress) {
+    if (!response.body || typeof ReadableStream === 'undefined') return response;
+
+    const total = Number(response.headers.get('Content-Length')) || null;
+    const report = createProgressTracker('download', onProgress);
+    const reader = response.body.getReader();
+    let loaded = 0;
+
+    const body = new ReadableStream({
+        async pull(controller) {
+            const { done, value } = await reader.read();
+            if (done) {
+                // Sin Content-Length el total solo se conoce al terminar
+                if (!total) report(loaded, loaded);
+                controller.close();
+                return;
+            }
+            loaded += value.byteLength;
+            report(loaded, total);
+            controller.enqueue(value);
+        },
+        cancel(reason) {
+            return reader.cancel(reason);
+        },
+    });
+
+    const tracked = new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+    });
+    // `url` y `redirected` no se pueden pasar al constructor de Response
+    Object.defineProperty(tracked, 'url', { value: response.url });
+    return tracked;
+}
+
+/**
+ * Ejecuta una solicitud con `XMLHttpRequest` para poder informar el progreso de subida, que `fetch`
+ * no expone. Recibe los mismos argumentos que `fetch` y resuelve con un `Response`.
+ *
+ * @function xhrTransport
+ * @param {string} url - La URL de la solicitud.
+ * @param {Object} [init={}] - Las opciones de `fetch` (`method`, `headers`, `body`, `signal`, `credentials`).
+ * @param {function} [init.onUploadProgress] - Callback de progreso de subida (ver `createProgressTracker`).
+ * @param {function} [init.onDownloadProgress] - Callback de progreso de descarga.
+ * @returns {Promise<Response>} - La respuesta. Rechaza con `TypeError` si falla la red o con el motivo del `signal` si se cancela.
+ *
+ * @example
+ * const form = new FormData();
+ * form.append('file', file);
+ *
+ * const response = await xhrTransport('/api/uploads', {
+ *   method: 'POST',
+ *   body: form,
+ *   onUploadProgress: (e) => console.log(`Subido ${e.percent}%`),
+ * });
+ *
+ * @note
+ * - Los cuerpos `FormData` se envían como `multipart/form-data` con su límite generado por el navegador; no se debe fijar `Content-Type` a mano.
+ * - `credentials: 'include'` activa `withCredentials`.
+ */
+function xhrTransport(url, { method = 'GET', headers = {}, body = null, signal, credentials, onUploadProgress, onDownloadProgress } = {}) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(signal.reason || createAbortError());
+            return;
+        }
+
+        const xhr = new XMLHttpRequest();
+        xhr.open(method.toUpperCase(), url, true);
+        xhr.responseType = 'blob';
+        xhr.withCredentials = credentials === 'include';
+        new Headers(headers).forEach((value, name) => xhr.setRequestHeader(name, value));
+
+        if (onUploadProgress && xhr.upload) {
+            const report = createProgressTracker('upload', onUploadProgress);
+            xhr.upload.onprogress = (event) => report(event.loaded, event.lengthComputable ? event.total : null);
+        }
+        if (onDownloadProgress) {
+            const report = createProgressTracker('download', onDownloadProgress);
+            xhr.onprogress = (event) => report(event.loaded, event.lengthComputable ? event.total : null);
+        }
+
+        const onAbort = () => xhr.abort();
+        const cleanup = () => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+        };
+
+        xhr.onload = () => {
+            cleanup();
+            const status = xhr.status;
+            const response = new Response(NULL_BODY_STATUSES.includes(status) ? null : xhr.response, {
+                status,
+                statusText: xhr.statusText,
+                headers: parseXHRHeaders(xhr.getAllResponseHeaders()),
+            });
+            Object.defineProperty(response, 'url', { value: xhr.responseURL || url });
+            resolve(response);
+        };
+        xhr.onerror = () => {
+            cleanup();
+            reject(createNetworkError());
+        };
+        xhr.ontimeout = xhr.onerror;
+        xhr.onabort = () => {
+            cleanup();
+            reject((signal && signal.reason) || createAbortError());
+        };
+
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        xhr.send(body);
+    });
+}
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORTS----------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+export { createProgressTracker, trackDownloadProgress, xhrTransport };
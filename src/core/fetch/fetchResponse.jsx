@@ -0,0 +1,143 @@
+import { FetchError } from './fetchError';
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*CONSTANTS--------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+const RESPONSE_TYPES = ['json', 'text', 'blob', 'arrayBuffer', 'formData', 'stream', 'auto'];
+const EMPTY_BODY_STATUSES = [204, 205, 304];
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*UTILS------------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Determina el tipo de lectura adecuado a partir de la cabecera `Content-Type`.
+ * @function resolveResponseType
+ * @param {Response} response - La respuesta de `fetch`.
+ * @returns {string} - `'json'`, `'text'`, `'formData'` o `'blob'`.
+ */
+function resolveResponseType(response) {
+    const contentType = (response.headers.get('Content-Type') || '').toLowerCase();
+
+    if (contentType.includes('application/json') || contentType.includes('+json')) return 'json';
+    if (contentType.startsWith('text/') || contentType.includes('xml')) return 'text';
+    if (contentType.includes('multipart/form-data') || contentType.includes('application/x-www-form-urlencoded')) return 'formData';
+    if (!contentType) return 'text';
+    return 'blob';
+}
+
+/**
+ * Indica si la respuesta no tiene cuerpo (204, 205, 304 o `Content-Length: 0`).
+ * @function isEmptyResponse
+ * @param {Response} response - La respuesta de `fetch`.
+ * @returns {boolean} - `true` si la respuesta no tiene cuerpo.
+ */
+function isEmptyResponse(response) {
+    return EMPTY_BODY_STATUSES.includes(response.status) || response.headers.get('Content-Length') === '0';
+}
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORTABLES------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Lee el cuerpo de una respuesta según el tipo solicitado.
+ *
+ * @function parseResponse
+ * @param {Response} response - La respuesta de `fetch`.
+ * @param {string} [responseType='json'] - Cómo leer el cuerpo: `'json'`, `'text'`, `'blob'`, `'arrayBuffer'`, `'formData'`, `'stream'` o `'auto'` (según `Content-Type`).
+ * @returns {Promise<*>} - El cuerpo interpretado, o `null` si la respuesta no tiene cuerpo.
+ * @throws {FetchError} - Con `code: 'PARSE_ERROR'` si el cuerpo no se puede interpretar con el tipo indicado.
+ *
+ * @example
+ * const response = await fetch('/api/report.csv');
+ * const csv = await parseResponse(response, 'text');
+ *
+ * @example
+ * const response = await fetch('/api/users/1', { method: 'DELETE' });
+ * await parseResponse(response); // null (204 No Content)
+ *
+ * @note
+ * - `'json'` tolera cuerpos vacíos y retorna `null` en lugar de lanzar.
+ * - `'stream'` retorna el `ReadableStream` sin leerlo; no debe cachearse ni compartirse entre consumidores.
+ */
+async function parseResponse(response, responseType = 'json') {
+    if (!RESPONSE_TYPES.includes(responseType)) {
+        throw new Error(`El tipo de respuesta '${responseType}' no es válido. Tipos válidos: ${RESPONSE_TYPES.join(', ')}`);
+    }
+
+    if (isEmptyResponse(response)) return null;
+    if (responseType === 'stream') return response.body;
+
+    const type = responseType === 'auto' ? resolveResponseType(response) : responseType;
+
+    try {
+        if (type === 'json') {
+            const text = await response.text();
+            return text ? JSON.parse(text) : null;
+        }
+        return await response[type]();
+    } catch (err) {
+        throw new FetchError(`Error: no se pudo interpretar la respuesta como '${type}'`, {
+            code: 'PARSE_ERROR',
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.headers,
+            url: response.url,
+            cause: err,
+        });
+    }
+}
+
+/**
+ * Crea un `FetchError` a partir de una respuesta no exitosa, interpretando su cuerpo de error.
+ *
+ * @function createFetchError
+ * @param {Response} response - La respuesta de `fetch` con `ok === false`.
+ * @returns {Promise<FetchError>} - El error con estado, cabeceras y cuerpo de la respuesta.
+ *
+ * @example
+ * const response = await fetch('/api/users');
+ * if (!response.ok) throw await createFetchError(response);
+ */
+async function createFetchError(response) {
+    let body = null;
+    try {
+        body = await parseResponse(response, 'auto');
+    } catch {
+        body = null;
+    }
+
+    const detail = body && typeof body === 'object' && typeof body.message === 'string' ? body.message : response.statusText;
+
+    return new FetchError(`Error: ${detail || response.status}`, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+        body,
+        url: response.url,
+    });
+}
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORTS----------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+export { parseResponse, createFetchError, RESPONSE_TYPES };
@@ -0,0 +1,109 @@
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*CONSTANTS--------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+// Estados 4xx que sí vale la pena reintentar: Request Timeout, Too Early y Too Many Requests
+const RETRYABLE_CLIENT_STATUSES = [408, 425, 429];
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORTABLES------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Predicado de reintento por defecto. Reintenta errores de red, tiempos límite y respuestas 5xx,
+ * pero no las cancelaciones, los errores de interpretación o de validación ni los 4xx que nunca tendrán éxito.
+ *
+ * @function defaultShouldRetry
+ * @param {Error} error - El error de la solicitud (normalmente un `FetchError`).
+ * @param {number} attempt - Número del reintento que se haría (empieza en 1).
+ * @returns {boolean} - `true` si la solicitud debe reintentarse.
+ *
+ * @example
+ * defaultShouldRetry(new TypeError('Failed to fetch'), 1); // true
+ * defaultShouldRetry(new FetchError('Error: Not Found', { status: 404 }), 1); // false
+ */
+function defaultShouldRetry(error) {
+    if (!error || error.name === 'AbortError') return false;
+    if (error.code === 'PARSE_ERROR' || error.code === 'VALIDATION_ERROR') return false;
+    if (typeof error.status === 'number' && error.status >= 400 && error.status < 500) {
+        return RETRYABLE_CLIENT_STATUSES.includes(error.status);
+    }
+    return true;
+}
+
+/**
+ * Interpreta la cabecera `Retry-After` (segundos o fecha HTTP) y la convierte a milisegundos.
+ *
+ * @function parseRetryAfter
+ * @param {Headers|null} headers - Las cabeceras de la respuesta.
+ * @returns {number|null} - Milisegundos a esperar, o `null` si la cabecera no existe o no es válida.
+ *
+ * @example
+ * parseRetryAfter(new Headers({ 'Retry-After': '120' })); // 120000
+ * parseRetryAfter(new Headers({ 'Retry-After': 'Wed, 21 Oct 2026 07:28:00 GMT' })); // ms hasta esa fecha
+ */
+function parseRetryAfter(headers) {
+    const value = headers && typeof headers.get === 'function' ? headers.get('Retry-After') : null;
+    if (!value) return null;
+
+    if (/^\d+$/.test(value.trim())) return Number(value.trim()) * 1000;
+
+    const date = Date.parse(value);
+    if (Number.isNaN(date)) return null;
+    return Math.max(0, date - Date.now());
+}
+
+/**
+ * Calcula la espera antes de un reintento con retroceso exponencial y, opcionalmente, jitter.
+ *
+ * @function computeBackoff
+ * @param {number} attempt - Número del reintento (empieza en 1).
+ * @param {Object} [config={}] - Configuración del retroceso.
+ * @param {number} [config.retryDelay=1000] - Espera base (ms) del primer reintento.
+ * @param {number} [config.maxRetryDelay=30000] - Espera máxima (ms).
+ * @param {boolean} [config.jitter=true] - Si se aplica una variación aleatoria para evitar reintentos sincronizados.
+ * @returns {number} - Milisegundos a esperar.
+ *
+ * @example
+ * computeBackoff(1, { jitter: false }); // 1000
+ * computeBackoff(3, { jitter: false }); // 4000
+ * computeBackoff(3);                    // entre 2000 y 4000
+ *
+ * @note
+ * - El jitter usado es "equal jitter": la mitad de la espera es fija y la otra mitad aleatoria.
+ */
+function computeBackoff(attempt, { retryDelay = 1000, maxRetryDelay = 30000, jitter = true } = {}) {
+    const exponential = Math.min(maxRetryDelay, retryDelay * 2 ** Math.max(0, attempt - 1));
+    if (!jitter) return exponential;
+    return exponential / 2 + Math.random() * (exponential / 2);
+}
+
+/**
+ * Calcula la espera antes de un reintento, respetando `Retry-After` cuando la respuesta lo indica.
+ *
+ * @function getRetryDelay
+ * @param {Error} error - El error de la solicitud.
+ * @param {number} attempt - Número del reintento (empieza en 1).
+ * @param {Object} [config={}] - Configuración del retroceso (ver `computeBackoff`).
+ * @returns {number} - Milisegundos a esperar.
+ */
+function getRetryDelay(error, attempt, config = {}) {
+    const retryAfter = parseRetryAfter(error && error.headers);
+    return retryAfter !== null ? retryAfter : computeBackoff(attempt, config);
+}
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORTS----------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+export { defaultShouldRetry, parseRetryAfter, computeBackoff, getRetryDelay };
@@ -0,0 +1,213 @@
+import { FetchError } from './fetchError';
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*CONSTANTS--------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+const PERSISTED_QUERY_NOT_FOUND = 'PersistedQueryNotFound';
+const PERSISTED_QUERY_NOT_FOUND_CODE = 'PERSISTED_QUERY_NOT_FOUND';
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*UTILS------------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Serializa un valor a JSON con las claves de los objetos ordenadas, para que `{ a, b }` y `{ b, a }`
+ * produzcan la misma llave de caché.
+ * @function stableStringify
+ * @param {*} value - El valor a serializar.
+ * @returns {string} - El JSON con las claves ordenadas.
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value)
+            .filter((key) => value[key] !== undefined)
+            .sort()
+            .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Calcula un hash corto y síncrono (FNV-1a de 32 bits) de un documento GraphQL, ignorando las
+ * diferencias de espacios en blanco. Solo distingue documentos en la llave de caché; no es criptográfico.
+ * @function hashDocument
+ * @param {string} query - El documento GraphQL.
+ * @returns {string} - El hash en hexadecimal.
+ */
+function hashDocument(query) {
+    const text = (query || '').replace(/\s+/g, ' ').trim();
+    let hash = 0x811c9dc5;
+    for (let index = 0; index < text.length; index += 1) {
+        hash ^= text.charCodeAt(index);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORTABLES------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Obtiene el nombre de la operación de un documento GraphQL.
+ *
+ * @function getOperationName
+ * @param {string} query - El documento GraphQL.
+ * @returns {string|null} - El nombre de la primera operación con nombre, o `null` si es anónima.
+ *
+ * @example
+ * getOperationName('query GetUser($id: ID!) { user(id: $id) { name } }'); // 'GetUser'
+ * getOperationName('{ viewer { id } }'); // null
+ */
+function getOperationName(query) {
+    const match = /\b(?:query|mutation|subscription)\s+([_A-Za-z][_0-9A-Za-z]*)/.exec(query || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * Construye la llave de caché de una operación GraphQL a partir de su nombre, el servidor y sus variables.
+ * Comparte el almacén con las solicitudes REST, por lo que se puede invalidar con el mismo `invalidate`.
+ *
+ * @function buildGraphQLCacheKey
+ * @param {string} operationName - El nombre de la operación.
+ * @param {Object} [variables={}] - Las variables de la operación.
+ * @param {string} [endpoint='/graphql'] - La URL del servidor GraphQL, para no mezclar operaciones homónimas de distintos servidores.
+ * @param {string} [query=''] - El documento GraphQL. Solo se usa en operaciones anónimas, que se distinguen por un hash del documento.
+ * @returns {string} - La llave, por ejemplo `'graphql:GetUser /graphql {"id":1}'` o `'graphql:anonymous:1a2b3c4d /graphql {}'`.
+ *
+ * @example
+ * buildGraphQLCacheKey('GetUser', { id: 1 }); // 'graphql:GetUser /graphql {"id":1}'
+ * cache.invalidate('graphql:GetUser');          // invalida GetUser con cualquier servidor y variables
+ * cache.invalidate('graphql:anonymous');        // invalida todas las operaciones anónimas
+ */
+function buildGraphQLCacheKey(operationName, variables = {}, endpoint = '/graphql', query = '') {
+    const operation = operationName || `anonymous:${hashDocument(query)}`;
+    return `graphql:${operation} ${endpoint} ${stableStringify(variables || {})}`;
+}
+
+/**
+ * Calcula el hash SHA-256 (hexadecimal) de un documento GraphQL, usado por las consultas persistidas.
+ *
+ * @function hashQuery
+ * @param {string} query - El documento GraphQL.
+ * @returns {Promise<string>} - El hash en hexadecimal.
+ *
+ * @note
+ * - Usa `crypto.subtle`, disponible solo en contextos seguros (HTTPS o `localhost`); en otros casos la promesa se rechaza. Conviene generar los hashes al compilar y pasarlos con `hash`.
+ */
+async function hashQuery(query) {
+    const bytes = new TextEncoder().encode(query);
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Prepara la solicitud HTTP de una operación GraphQL, por POST (cuerpo JSON) o por GET (parámetros en la URL).
+ *
+ * @function buildGraphQLRequest
+ * @param {string} endpoint - La URL del servidor GraphQL.
+ * @param {Object} operation - `{ query, variables, operationName, hash, includeQuery }`.
+ * @param {string} [method='POST'] - `'POST'` o `'GET'`.
+ * @returns {Object} - `{ url, options }` para `useFetch` o `client.request`.
+ *
+ * @note
+ * - Con `hash` se agrega la extensión `persistedQuery` (protocolo de consultas persistidas automáticas); el documento solo se envía si `includeQuery` es `true`.
+ */
+function buildGraphQLRequest(endpoint, { query, variables, operationName, hash, includeQuery = true }, method = 'POST') {
+    const payload = {
+        operationName: operationName || undefined,
+        variables: variables && Object.keys(variables).length > 0 ? variables : undefined,
+        query: includeQuery || !hash ? query : undefined,
+        extensions: hash ? { persistedQuery: { version: 1, sha256Hash: hash } } : undefined,
+    };
+
+    if (method.toUpperCase() === 'GET') {
+        const params = new URLSearchParams();
+        Object.entries(payload).forEach(([name, value]) => {
+            if (value === undefined) return;
+            params.set(name, typeof value === 'string' ? value : JSON.stringify(value));
+        });
+        const separator = endpoint.includes('?') ? '&' : '?';
+        return { url: `${endpoint}${separator}${params}`, options: { method: 'GET' } };
+    }
+
+    return {
+        url: endpoint,
+        options: {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload),
+        },
+    };
+}
+
+/**
+ * Indica si la respuesta de GraphQL pide reenviar el documento porque el servidor no conoce el hash.
+ * @function isPersistedQueryNotFound
+ * @param {Object} envelope - La respuesta `{ data, errors }`.
+ * @returns {boolean}
+ */
+function isPersistedQueryNotFound(envelope) {
+    const errors = (envelope && envelope.errors) || [];
+    return errors.some((error) => (
+        error.message === PERSISTED_QUERY_NOT_FOUND ||
+        (error.extensions && error.extensions.code === PERSISTED_QUERY_NOT_FOUND_CODE)
+    ));
+}
+
+/**
+ * Convierte los errores de una respuesta GraphQL en un `FetchError` de código `'GRAPHQL_ERROR'`.
+ *
+ * @function createGraphQLError
+ * @param {Object} envelope - La respuesta `{ data, errors }`.
+ * @param {string} [url=''] - La URL del servidor GraphQL.
+ * @returns {FetchError|null} - El error, con los errores de GraphQL en `issues` y la respuesta en `body`, o `null` si no hay errores.
+ */
+function createGraphQLError(envelope, url = '') {
+    const errors = (envelope && envelope.errors) || [];
+    if (errors.length === 0) return null;
+
+    const message = errors.length === 1
+        ? errors[0].message
+        : `${errors[0].message} (y ${errors.length - 1} error(es) más)`;
+
+    return new FetchError(`Error de GraphQL: ${message}`, {
+        code: 'GRAPHQL_ERROR',
+        status: 200,
+        body: envelope,
+        url,
+        issues: errors,
+    });
+}
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORTS----------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+export {
+    getOperationName,
+    buildGraphQLCacheKey,
+    hashQuery,
+    buildGraphQLRequest,
+    isPersistedQueryNotFound,
+    createGraphQLError,
+};
@@ -0,0 +1,421 @@
+import { createAbortError } from './fetchCache';
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*CONSTANTS--------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+const MOCK_ORIGIN = 'http://localhost';
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*UTILS------------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Espera el tiempo indicado, rechazando si el `signal` se cancela antes.
+ * @function wait
+ * @param {number} ms - Milisegundos a esperar.
+ * @param {AbortSignal} [signal] - Señal de cancelación de la solicitud.
+ * @returns {Promise<void>}
+ */
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(signal.reason || createAbortError());
+            return;
+        }
+        if (!ms) {
+            resolve();
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason || createAbortError());
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Compila un patrón de URL (`'/api/users/:id'`, `'/api/files/*'`, una URL absoluta o una `RegExp`)
+ * en una función que retorna los parámetros capturados, o `null` si la URL no coincide.
+ * Si el patrón es un texto sin `?`, se compara solo contra la ruta (sin la query).
+ * @function compilePattern
+ * @param {string|RegExp} pattern - El patrón de URL.
+ * @returns {function} - Función `(url: URL) => Object|null`.
+ */
+function compilePattern(pattern) {
+    if (pattern instanceof RegExp) {
+        return (url) => {
+            const match = url.href.match(pattern) || `${url.pathname}${url.search}`.match(pattern);
+            return match ? { ...(match.groups || {}) } : null;
+        };
+    }
+
+    const isAbsolute = /^[a-z][a-z\d+\-.]*:\/\//i.test(pattern);
+    const withQuery = pattern.includes('?');
+    const names = [];
+    const source = pattern
+        .replace(/[.+^${}()|[\]\\?]/g, '\\$&')
+        .replace(/:(\w+)/g, (_, name) => {
+            names.push(name);
+            return '([^/?#]+)';
+        })
+        .replace(/\*/g, '.*');
+    const regex = new RegExp(`^${source}/?$`);
+
+    return (url) => {
+        const target = isAbsolute
+            ? `${url.origin}${url.pathname}${withQuery ? url.search : ''}`
+            : `${url.pathname}${withQuery ? url.search : ''}`;
+        const match = target.match(regex);
+        if (!match) return null;
+        return Object.fromEntries(names.map((name, index) => [name, decodeURIComponent(match[index + 1])]));
+    };
+}
+
+/**
+ * Interpreta el cuerpo de una solicitud para guardarlo en el registro de llamadas.
+ * Los textos JSON se convierten a objeto; el resto (`FormData`, `Blob`, etc) se guarda tal cual.
+ * @function readRequestBody
+ * @param {*} body - El cuerpo de la solicitud.
+ * @returns {*} - El cuerpo interpretado.
+ */
+function readRequestBody(body) {
+    if (typeof body !== 'string') return body ?? null;
+    try {
+        return JSON.parse(body);
+    } catch {
+        return body;
+    }
+}
+
+/**
+ * Construye un `Response` a partir de la descripción de una ruta simulada.
+ * Los objetos y arreglos se envían como JSON; los textos como `text/plain`.
+ * @function buildMockResponse
+ * @param {Object} description - `{ status, statusText, headers, body }`.
+ * @param {string} url - La URL de la solicitud (queda en `response.url`).
+ * @returns {Response} - La respuesta simulada.
+ */
+function buildMockResponse({ status = 200, statusText = '', headers = {}, body = null }, url) {
+    const responseHeaders = new Headers(headers);
+    let payload = body;
+
+    if (NULL_BODY_STATUSES.includes(status) || body === undefined || body === null) {
+        payload = null;
+    } else if (Array.isArray(body) || Object.prototype.toString.call(body) === '[object Object]') {
+        payload = JSON.stringify(body);
+        if (!responseHeaders.has('Content-Type')) responseHeaders.set('Content-Type', 'application/json');
+    } else if (typeof body === 'string' && !responseHeaders.has('Content-Type')) {
+        responseHeaders.set('Content-Type', 'text/plain');
+    }
+
+    const response = new Response(payload, { status, statusText, headers: responseHeaders });
+    Object.defineProperty(response, 'url', { value: url });
+    return response;
+}
+
+/**
+ * Lee el cuerpo de una respuesta real para guardarlo en un fixture, sin consumir la original.
+ * @function readResponseBody
+ * @param {Response} response - La respuesta real.
+ * @returns {Promise<*>} - El cuerpo como JSON si es posible, o como texto.
+ */
+async function readResponseBody(response) {
+    const text = await response.clone().text();
+    if (!text) return null;
+    try {
+        return JSON.parse(text);
+    } catch {
+        return text;
+    }
+}
+
+/**
+ * Transporte por defecto para pasar las solicitudes a la red real.
+ * @function defaultTransport
+ * @param {string} url - La URL de la solicitud.
+ * @param {Object} init - Las opciones de `fetch`.
+ * @returns {Promise<Response>}
+ */
+function defaultTransport(url, options = {}) {
+    const { onUploadProgress: _onUploadProgress, onDownloadProgress: _onDownloadProgress, ...init } = options;
+    return fetch(url, init);
+}
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*FACTORY & EXPORTABLES--------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Crea un transporte simulado en memoria para probar componentes que usan `useFetch`, `useMutation`
+ * o `useInfiniteFetch` sin un backend real. Las rutas se declaran por método y patrón de URL, y cada
+ * solicitud queda registrada para poder verificarla después.
+ *
+ * @function createMockTransport
+ * @param {Object} [config={}] - Configuración del transporte.
+ * @param {number} [config.delay=0] - Latencia (ms) por defecto de todas las respuestas.
+ * @param {string} [config.onUnhandled='error'] - Qué hacer con las solicitudes sin ruta: `'error'` (rechazar con un `Error`) o `'passthrough'` (enviarlas a la red real).
+ * @param {function} [config.passthrough] - Transporte usado en modo `'passthrough'`. Por defecto `fetch`.
+ * @returns {Object} - El transporte simulado.
+ *
+ * @returns {function} transport - El transporte `(url, init) => Promise<Response>` para `createFetchClient` o `FetchClientProvider`.
+ * @returns {function} on - Declarar una ruta `(method, pattern, response)`. `response` es `{ status, headers, body, delay }` o una función `(request) => respuesta | Response`.
+ * @returns {function} get - Atajo de `on('GET', pattern, response)`; también existen `post`, `put`, `patch` y `delete`.
+ * @returns {function} loadFixtures - Registrar como rutas los fixtures grabados con `createRequestRecorder` (arreglo o texto JSON).
+ * @returns {function} calls - Obtener las solicitudes registradas, opcionalmente filtradas por `(method, pattern)`.
+ * @returns {function} lastCall - Obtener la última solicitud registrada, opcionalmente filtrada por `(method, pattern)`.
+ * @returns {function} called - Indica si se hizo alguna solicitud que coincida con `(method, pattern)`.
+ * @returns {function} assertCalled - Lanzar un error si no se hizo la solicitud `(method, pattern, { times, body })`.
+ * @returns {function} assertNotCalled - Lanzar un error si se hizo la solicitud `(method, pattern)`.
+ * @returns {function} resetCalls - Limpiar el registro de solicitudes, conservando las rutas.
+ * @returns {function} reset - Limpiar el registro de solicitudes y todas las rutas.
+ *
+ * @example
+ * import { createMockTransport } from './mockTransport';
+ * import { FetchClientProvider } from '../../hooks/providers/FetchClientProvider';
+ * import { FetchCacheProvider } from '../../hooks/providers/FetchCacheProvider';
+ *
+ * const mock = createMockTransport({ delay: 50 });
+ *
+ * mock.get('/api/users', { body: [{ id: 1, name: 'Ana' }] });
+ * mock.get('/api/users/:id', ({ params }) => ({ body: { id: Number(params.id), name: 'Ana' } }));
+ * mock.post('/api/users', ({ body }) => ({ status: 201, body: { id: 2, ...body } }));
+ * mock.delete('/api/users/:id', { status: 403, body: { detail: 'Sin permisos' } });
+ *
+ * render(
+ *   <FetchCacheProvider>
+ *     <FetchClientProvider baseURL="/api" transport={mock.transport}>
+ *       <UserList />
+ *     </FetchClientProvider>
+ *   </FetchCacheProvider>
+ * );
+ *
+ * mock.assertCalled('GET', '/api/users', { times: 1 });
+ * mock.assertCalled('POST', '/api/users', { body: { name: 'Luis' } });
+ * mock.assertNotCalled('DELETE', '/api/users/:id');
+ *
+ * @note
+ * - Los patrones admiten parámetros (`:id`), comodines (`*`), URLs absolutas y `RegExp`. Sin `?` en el patrón, la query no se compara y queda disponible en `request.query`.
+ * - Si varias rutas coinciden se usa la última declarada, de modo que una prueba puede sobrescribir las rutas comunes.
+ * - La función de una ruta recibe `{ method, url, path, params, query, headers, body, signal }`, donde `body` ya está interpretado si era JSON.
+ * - La latencia (`delay`) respeta el `signal` de la solicitud, por lo que las cancelaciones y el `timeout` del cliente funcionan igual que con la red real.
+ * - Conviene usar un `FetchCacheProvider` por prueba para que la caché no se comparta entre pruebas.
+ *
+ * @internal
+ * - Las rutas se guardan en un arreglo con su patrón ya compilado; las solicitudes en otro arreglo en el orden en que se hicieron.
+ */
+function createMockTransport({ delay = 0, onUnhandled = 'error', passthrough = defaultTransport } = {}) {
+    let routes = [];
+    let history = [];
+
+    const on = (method, pattern, response) => {
+        routes.push({
+            method: method.toUpperCase(),
+            pattern,
+            match: compilePattern(pattern),
+            response,
+        });
+    };
+
+    const matchesCall = (call, method, pattern) => {
+        if (method && method !== '*' && call.method !== method.toUpperCase()) return false;
+        return !pattern || compilePattern(pattern)(new URL(call.url, MOCK_ORIGIN)) !== null;
+    };
+
+    const transport = async (url, init = {}) => {
+        const method = (init.method || 'GET').toUpperCase();
+        const parsed = new URL(url, MOCK_ORIGIN);
+        const request = {
+            method,
+            url,
+            path: parsed.pathname,
+            query: Object.fromEntries(parsed.searchParams),
+            headers: Object.fromEntries(new Headers(init.headers || {})),
+            body: readRequestBody(init.body),
+            signal: init.signal,
+            timestamp: Date.now(),
+        };
+
+        const { signal: _signal, ...call } = request;
+        history.push(call);
+
+        let params = null;
+        const route = [...routes].reverse().find((candidate) => {
+            if (candidate.method !== '*' && candidate.method !== method) return false;
+            params = candidate.match(parsed);
+            return params !== null;
+        });
+
+        if (!route) {
+            if (onUnhandled === 'passthrough') return passthrough(url, init);
+            throw new Error(`Mock: no hay una ruta para ${method} ${url}`);
+        }
+
+        const description = typeof route.response === 'function'
+            ? await route.response({ ...request, params })
+            : route.response;
+
+        await wait(description && description.delay !== undefined ? description.delay : delay, init.signal);
+
+        if (description instanceof Response) return description;
+        return buildMockResponse(description || {}, url);
+    };
+
+    const loadFixtures = (fixtures) => {
+        const list = typeof fixtures === 'string' ? JSON.parse(fixtures) : fixtures;
+        list.forEach(({ method = 'GET', url, status, statusText, headers, body }) => {
+            const { pathname, search } = new URL(url, MOCK_ORIGIN);
+            const pattern = /^[a-z][a-z\d+\-.]*:\/\//i.test(url) ? url : `${pathname}${search}`;
+            on(method, pattern, { status, statusText, headers, body });
+        });
+    };
+
+    const calls = (method, pattern) => history.filter((call) => matchesCall(call, method, pattern));
+
+    const lastCall = (method, pattern) => {
+        const matching = calls(method, pattern);
+        return matching[matching.length - 1];
+    };
+
+    const called = (method, pattern) => calls(method, pattern).length > 0;
+
+    const assertCalled = (method, pattern, { times, body } = {}) => {
+        let matching = calls(method, pattern);
+        if (body !== undefined) {
+            matching = matching.filter((call) => JSON.stringify(call.body) === JSON.stringify(body));
+        }
+        if (matching.length === 0 || (times !== undefined && matching.length !== times)) {
+            const made = history.map((call) => `${call.method} ${call.url}`).join(', ') || 'ninguna';
+            throw new Error(
+                `Mock: se esperaba ${times !== undefined ? `${times} solicitud(es)` : 'al menos una solicitud'} ${method} ${pattern}` +
+                `${body !== undefined ? ` con el cuerpo ${JSON.stringify(body)}` : ''}, pero hubo ${matching.length}. Solicitudes hechas: ${made}.`
+            );
+        }
+    };
+
+    const assertNotCalled = (method, pattern) => {
+        const count = calls(method, pattern).length;
+        if (count > 0) throw new Error(`Mock: no se esperaba ninguna solicitud ${method} ${pattern}, pero hubo ${count}.`);
+    };
+
+    const resetCalls = () => {
+        history = [];
+    };
+
+    const reset = () => {
+        routes = [];
+        history = [];
+    };
+
+    return {
+        transport,
+        on,
+        get: (pattern, response) => on('GET', pattern, response),
+        post: (pattern, response) => on('POST', pattern, response),
+        put: (pattern, response) => on('PUT', pattern, response),
+        patch: (pattern, response) => on('PATCH', pattern, response),
+        delete: (pattern, response) => on('DELETE', pattern, response),
+        loadFixtures,
+        calls,
+        lastCall,
+        called,
+        assertCalled,
+        assertNotCalled,
+        resetCalls,
+        reset,
+    };
+}
+
+/**
+ * Crea un grabador de solicitudes: envuelve un transporte real y guarda cada respuesta como un
+ * fixture JSON, para reproducirla después sin red con `createMockTransport().loadFixtures(...)`.
+ *
+ * @function createRequestRecorder
+ * @param {Object} [config={}] - Configuración del grabador.
+ * @param {function} [config.transport] - Transporte real a envolver. Por defecto `fetch`.
+ * @returns {Object} - El grabador.
+ *
+ * @returns {function} transport - El transporte que graba, para `createFetchClient` o `FetchClientProvider`.
+ * @returns {function} fixtures - Obtener los fixtures grabados (`{ method, url, status, statusText, headers, body }`).
+ * @returns {function} toJSON - Obtener los fixtures como texto JSON, listo para guardarse en un archivo.
+ * @returns {function} clear - Descartar los fixtures grabados.
+ *
+ * @example
+ * import { createRequestRecorder } from './mockTransport';
+ *
+ * // 1. Grabar contra el backend real (por ejemplo desde la consola en desarrollo)
+ * const recorder = createRequestRecorder();
+ * const App = () => (
+ *   <FetchClientProvider baseURL="/api" transport={recorder.transport}>
+ *     <Dashboard />
+ *   </FetchClientProvider>
+ * );
+ * window.__saveFixtures = () => console.log(recorder.toJSON());
+ *
+ * // 2. Reproducir en las pruebas sin red
+ * import fixtures from './fixtures/dashboard.json';
+ * const mock = createMockTransport();
+ * mock.loadFixtures(fixtures);
+ *
+ * @note
+ * - Si la misma solicitud se graba varias veces, solo se conserva la última respuesta.
+ * - Los cuerpos que no son JSON se guardan como texto; los binarios no se pueden reproducir fielmente.
+ */
+function createRequestRecorder({ transport = defaultTransport } = {}) {
+    const recorded = new Map();
+
+    const recordingTransport = async (url, init = {}) => {
+        const response = await transport(url, init);
+        const method = (init.method || 'GET').toUpperCase();
+
+        recorded.set(`${method} ${url}`, {
+            method,
+            url,
+            status: response.status,
+            statusText: response.statusText,
+            headers: Object.fromEntries(response.headers),
+            body: await readResponseBody(response),
+        });
+
+        return response;
+    };
+
+    const fixtures = () => [...recorded.values()];
+
+    return {
+        transport: recordingTransport,
+        fixtures,
+        toJSON: () => JSON.stringify(fixtures(), null, 2),
+        clear: () => recorded.clear(),
+    };
+}
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORTS----------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+export { createMockTransport, createRequestRecorder };
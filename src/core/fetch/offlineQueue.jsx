@@ -0,0 +1,421 @@
+import { createFetchClient } from './fetchClient';
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*CONSTANTS--------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+const DEFAULT_STORAGE_KEY = 'offlineQueue';
+const DEFAULT_CONFLICT_STATUSES = [409, 412];
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_LOCK_NAME = 'offlineQueue:replay';
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*UTILS------------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Genera un identificador único para una solicitud encolada.
+ * @function createId
+ * @returns {string} - El identificador.
+ */
+function createId() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') return crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Convierte un error en un objeto serializable para poder persistirlo.
+ * @function serializeError
+ * @param {Error} error - El error a serializar.
+ * @returns {Object} - `{ name, message, status, body }`.
+ */
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: error.message,
+        status: error.status || 0,
+        body: error.body === undefined ? null : error.body,
+    };
+}
+
+/**
+ * Devuelve a `'pending'` una solicitud que quedó en `'replaying'` por un cierre inesperado.
+ * @function restoreItem
+ * @param {Object} item - La solicitud guardada.
+ * @returns {Object} - La solicitud lista para reenviarse.
+ */
+function restoreItem(item) {
+    return item.status === 'replaying' ? { ...item, status: 'pending' } : item;
+}
+
+/**
+ * Ejecuta el reenvío con un candado compartido entre pestañas (Web Locks), de modo que solo una
+ * pestaña reenvíe la cola a la vez y las demás esperen a que termine.
+ *
+ * @function withReplayLock
+ * @param {string} name - Nombre del candado.
+ * @param {function} callback - Función asíncrona a ejecutar con el candado tomado.
+ * @returns {Promise} - El resultado de `callback`.
+ *
+ * @note
+ * - Sin `navigator.locks` (navegadores antiguos o contextos no seguros) `callback` se ejecuta directamente.
+ */
+function withReplayLock(name, callback) {
+    if (typeof navigator === 'undefined' || !navigator.locks) return Promise.resolve().then(callback);
+    return navigator.locks.request(name, callback);
+}
+
+/**
+ * Crea un callback `onReplayed` que invalida en la caché las llaves guardadas en `meta.invalidate` al encolar.
+ * @function createReplayInvalidator
+ * @param {Object} cache - La caché creada con `createFetchCache`.
+ * @returns {function} - Callback `(item) => void`.
+ */
+function createReplayInvalidator(cache) {
+    return (item) => {
+        (item.meta.invalidate || []).forEach((key) => cache.invalidate(key));
+    };
+}
+
+/**
+ * Crea un adaptador de almacenamiento sobre `localStorage`.
+ *
+ * @function createLocalStorageAdapter
+ * @param {string} [key='offlineQueue'] - La llave bajo la que se guarda la cola.
+ * @returns {Object} - Adaptador con `load()` y `save(items)`, ambos asíncronos.
+ */
+function createLocalStorageAdapter(key = DEFAULT_STORAGE_KEY) {
+    return {
+        load: async () => {
+            const stored = localStorage.getItem(key);
+            return stored ? JSON.parse(stored) : [];
+        },
+        save: async (items) => {
+            localStorage.setItem(key, JSON.stringify(items));
+        },
+    };
+}
+
+/**
+ * Crea un adaptador de almacenamiento sobre IndexedDB, útil para colas grandes.
+ *
+ * @function createIndexedDBAdapter
+ * @param {Object} [config={}] - Configuración del adaptador.
+ * @param {string} [config.dbName='geminis'] - Nombre de la base de datos.
+ * @param {string} [config.storeName='offlineQueue'] - Nombre del almacén de objetos.
+ * @param {string} [config.key='items'] - Llave bajo la que se guarda la cola.
+ * @returns {Object} - Adaptador con `load()` y `save(items)`, ambos asíncronos.
+ */
+function createIndexedDBAdapter({ dbName = 'geminis', storeName = DEFAULT_STORAGE_KEY, key = 'items' } = {}) {
+    let dbPromise = null;
+
+    const open = () => {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(dbName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return dbPromise;
+    };
+
+    const run = async (mode, operation) => {
+        const db = await open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    };
+
+    return {
+        load: async () => (await run('readonly', (store) => store.get(key))) || [],
+        save: (items) => run('readwrite', (store) => store.put(items, key)),
+    };
+}
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*FACTORY & EXPORTABLES--------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Crea una cola persistente de solicitudes (outbox) para las mutaciones hechas sin conexión.
+ * Las solicitudes se guardan en el almacenamiento y se reenvían en orden cuando vuelve la red.
+ *
+ * @function createOfflineQueue
+ * @param {Object} [config={}] - Configuración de la cola.
+ * @param {Object} [config.storage=createLocalStorageAdapter()] - Adaptador de persistencia (`createLocalStorageAdapter` o `createIndexedDBAdapter`).
+ * @param {Object} [config.client=createFetchClient()] - Cliente HTTP con el que se reenvían las solicitudes (para conservar URL base e interceptores).
+ * @param {Array<number>} [config.conflictStatuses=[409, 412]] - Estados HTTP que se consideran conflictos.
+ * @param {number} [config.maxAttempts=5] - Intentos máximos por solicitud antes de marcarla como fallida.
+ * @param {function} [config.onConflict=null] - Callback `(item, error)` ante un conflicto. Puede retornar `'discard'` (por defecto), `'keep'` para conservarla como fallida, o `{ url, options }` para reemplazar la solicitud y reintentarla.
+ * @param {function} [config.onError=null] - Callback `(item, error)` cuando el servidor rechaza una solicitud (4xx) y se descarta.
+ * @param {function} [config.onReplayed=null] - Callback `(item, response)` cuando una solicitud se reenvía con éxito.
+ * @param {boolean} [config.autoReplay=true] - Si se reenvía la cola al volver la conexión (`networkStatusChange` de `useNetworkStatus` u `online`).
+ * @param {string} [config.lockName='offlineQueue:replay'] - Nombre del candado entre pestañas; las colas que comparten almacenamiento deben usar el mismo.
+ * @returns {Object} - La cola.
+ *
+ * @returns {function} enqueue - Encolar una solicitud `{ url, options, meta }`. El cuerpo debe ser un `string` para poder persistirse.
+ * @returns {function} replay - Reenviar en orden las solicitudes pendientes. Retorna una promesa compartida si ya hay un reenvío en curso.
+ * @returns {function} remove - Eliminar una solicitud por su `id`.
+ * @returns {function} clear - Vaciar la cola.
+ * @returns {function} getSnapshot - Obtener `{ items, isReplaying, lastError }`.
+ * @returns {function} subscribe - Escuchar los cambios de la cola.
+ * @returns {Promise} ready - Promesa que se resuelve cuando se ha cargado la cola persistida.
+ * @returns {function} start - Escuchar la reconexión para reenviar la cola (se llama al crearla si `autoReplay` es `true`).
+ * @returns {function} stop - Dejar de escuchar la reconexión.
+ *
+ * @example
+ * import { createOfflineQueue, createIndexedDBAdapter } from './offlineQueue';
+ *
+ * const queue = createOfflineQueue({
+ *   storage: createIndexedDBAdapter({ dbName: 'geminis' }),
+ *   onConflict: async (item, error) => {
+ *     const server = error.body;
+ *     if (window.confirm('El documento cambió en el servidor. ¿Sobrescribir?')) {
+ *       return { options: { ...item.options, headers: { ...item.options.headers, 'if-match': server.etag } } };
+ *     }
+ *     return 'discard';
+ *   },
+ * });
+ *
+ * await queue.enqueue({ url: '/api/notes', options: { method: 'POST', body: JSON.stringify({ text: 'Hola' }) } });
+ *
+ * @note
+ * - Las solicitudes se reenvían estrictamente en orden; el reenvío se detiene ante un error de red o 5xx y continúa en la siguiente reconexión.
+ * - Las solicitudes fallidas (por agotar `maxAttempts` o por un conflicto con `'keep'`) se conservan en la cola pero se saltan al reenviar, para no bloquear las siguientes; se pueden eliminar con `remove`.
+ * - Los 4xx que no son conflictos se descartan y se notifican con `onError`.
+ * - El `signal` de las opciones se descarta al encolar, ya que no es serializable.
+ * - Al crearse, la cola reenvía automáticamente lo que quedó pendiente de una sesión anterior si hay conexión.
+ * - Con varias pestañas abiertas sobre el mismo almacenamiento, solo una reenvía a la vez (Web Locks); la siguiente recarga la cola guardada antes de empezar, así no reenvía lo que otra ya envió.
+ *
+ * @internal
+ * - El estado se reemplaza de forma inmutable en cada cambio para que los suscriptores puedan comparar por referencia.
+ * - Las solicitudes que quedaron en estado `'replaying'` por un cierre inesperado vuelven a `'pending'` al cargarse.
+ * - Cada cambio se aplica sobre la versión guardada y no sobre la copia en memoria, para no pisar lo que otras pestañas encolaron o eliminaron; los cambios se encadenan para no intercalarse.
+ */
+function createOfflineQueue({
+    storage = createLocalStorageAdapter(),
+    client = createFetchClient(),
+    conflictStatuses = DEFAULT_CONFLICT_STATUSES,
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    onConflict = null,
+    onError = null,
+    onReplayed = null,
+    autoReplay = true,
+    lockName = DEFAULT_LOCK_NAME,
+} = {}) {
+    let items = [];
+    let writes = Promise.resolve();
+    let replaying = null;
+    let lastError = null;
+    let snapshot = { items, isReplaying: false, lastError };
+    const listeners = new Set();
+
+    const emit = () => {
+        snapshot = { items, isReplaying: replaying !== null, lastError };
+        listeners.forEach((listener) => listener(snapshot));
+    };
+
+    const persist = async () => {
+        try {
+            await storage.save(items);
+        } catch (err) {
+            console.error('No se pudo guardar la cola de solicitudes sin conexión:', err);
+        }
+    };
+
+    const ready = storage.load()
+        .then((stored) => {
+            items = [...(stored || []).map(restoreItem), ...items];
+            emit();
+        })
+        .catch((err) => console.error('No se pudo cargar la cola de solicitudes sin conexión:', err));
+
+    const loadStored = async () => {
+        try {
+            return (await storage.load()) || [];
+        } catch (err) {
+            console.error('No se pudo cargar la cola de solicitudes sin conexión:', err);
+            return items;
+        }
+    };
+
+    // Aplicar un cambio sobre la cola guardada (puede haberla modificado otra pestaña)
+    const change = (apply) => {
+        const run = writes.then(async () => {
+            await ready;
+            items = apply(await loadStored());
+            emit();
+            await persist();
+        });
+        writes = run.catch(() => {});
+        return run;
+    };
+
+    const update = (id, changes) => change((stored) => stored.map((item) => (item.id === id ? { ...item, ...changes } : item)));
+
+    const remove = (id) => change((stored) => stored.filter((item) => item.id !== id));
+
+    const clear = () => change(() => []);
+
+    const enqueue = async ({ url, options = {}, meta = {} }) => {
+        const { signal: _signal, ...serializableOptions } = options;
+        const { body } = serializableOptions;
+        if (body !== undefined && body !== null && typeof body !== 'string') {
+            throw new Error('Solo se pueden encolar solicitudes cuyo cuerpo sea un string (por ejemplo JSON).');
+        }
+
+        const item = {
+            id: createId(),
+            url,
+            options: serializableOptions,
+            meta,
+            createdAt: Date.now(),
+            status: 'pending',
+            attempts: 0,
+            error: null,
+        };
+
+        await change((stored) => [...stored, item]);
+        return item;
+    };
+
+    const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+    // Siguiente solicitud por reenviar; las fallidas se saltan
+    const nextPending = () => items.find((item) => item.status !== 'failed');
+
+    const processQueue = () => withReplayLock(lockName, async () => {
+        // Con el candado tomado, lo que quedó en `'replaying'` es de una pestaña que se cerró a mitad del reenvío
+        await change((stored) => stored.map(restoreItem));
+
+        while (!isOffline()) {
+            const item = nextPending();
+            if (!item) break;
+
+            if (item.attempts >= maxAttempts) {
+                await update(item.id, { status: 'failed' });
+                continue;
+            }
+
+            await update(item.id, { status: 'replaying', attempts: item.attempts + 1 });
+            if (!items.some(({ id }) => id === item.id)) continue;
+
+            try {
+                const response = await client.request(item.url, item.options);
+                await remove(item.id);
+                lastError = null;
+                if (onReplayed) await onReplayed(item, response);
+            } catch (err) {
+                const status = err.status || 0;
+
+                if (conflictStatuses.includes(status)) {
+                    const resolution = onConflict ? await onConflict(item, err) : 'discard';
+                    if (resolution === 'keep') {
+                        await update(item.id, { status: 'failed', error: serializeError(err) });
+                        continue;
+                    }
+                    if (resolution && typeof resolution === 'object') {
+                        await update(item.id, {
+                            url: resolution.url || item.url,
+                            options: resolution.options || item.options,
+                            status: 'pending',
+                        });
+                        continue;
+                    }
+                    await remove(item.id);
+                    continue;
+                }
+
+                if (status >= 400 && status < 500) {
+                    await remove(item.id);
+                    if (onError) onError(item, err);
+                    continue;
+                }
+
+                // Error de red o del servidor: se conserva para la próxima reconexión
+                lastError = serializeError(err);
+                await update(item.id, { status: 'pending', error: lastError });
+                break;
+            }
+        }
+    });
+
+    const replay = () => {
+        if (replaying) return replaying;
+        replaying = processQueue().finally(() => {
+            replaying = null;
+            emit();
+        });
+        emit();
+        return replaying;
+    };
+
+    const subscribe = (listener) => {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    };
+
+    const getSnapshot = () => snapshot;
+
+    // Reenviar al volver la conexión
+    const onNetworkStatusChange = (event) => {
+        if (event.detail && event.detail.isOnline) replay();
+    };
+    const onOnline = () => replay();
+
+    const start = () => {
+        if (typeof window === 'undefined') return;
+        window.addEventListener('networkStatusChange', onNetworkStatusChange);
+        window.addEventListener('online', onOnline);
+        ready.then(() => {
+            if (nextPending() && !isOffline()) replay();
+        });
+    };
+
+    const stop = () => {
+        if (typeof window === 'undefined') return;
+        window.removeEventListener('networkStatusChange', onNetworkStatusChange);
+        window.removeEventListener('online', onOnline);
+    };
+
+    if (autoReplay) start();
+
+    return {
+        enqueue,
+        replay,
+        remove,
+        clear,
+        getSnapshot,
+        subscribe,
+        ready,
+        start,
+        stop,
+    };
+}
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORTS----------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+export { createOfflineQueue, createLocalStorageAdapter, createIndexedDBAdapter, createReplayInvalidator };
@@ -0,0 +1,173 @@
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*UTILS------------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Indica si un valor es un contenedor que se puede comparar por partes (arreglo u objeto plano).
+ * @function isContainer
+ * @param {*} value - El valor a revisar.
+ * @returns {boolean} - `true` para arreglos y objetos planos.
+ */
+function isContainer(value) {
+    if (Array.isArray(value)) return true;
+    if (value === null || typeof value !== 'object') return false;
+    const prototype = Object.getPrototypeOf(value);
+    return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * Recorre dos valores y agrega a las listas los parches que transforman `prev` en `next` y su inverso.
+ * Las ramas que conservan la misma referencia se omiten sin recorrerlas.
+ * @function collectPatches
+ * @param {*} prev - El valor anterior.
+ * @param {*} next - El valor nuevo.
+ * @param {Array} path - Ruta del valor actual.
+ * @param {Array} patches - Lista de parches hacia adelante.
+ * @param {Array} inversePatches - Lista de parches inversos (en orden de generación).
+ */
+function collectPatches(prev, next, path, patches, inversePatches) {
+    if (Object.is(prev, next)) return;
+
+    const sameKind = isContainer(prev) && isContainer(next) && Array.isArray(prev) === Array.isArray(next);
+    if (!sameKind) {
+        patches.push({ op: 'replace', path, value: next });
+        inversePatches.push({ op: 'replace', path, value: prev });
+        return;
+    }
+
+    if (Array.isArray(next)) {
+        const common = Math.min(prev.length, next.length);
+        for (let index = 0; index < common; index += 1) {
+            collectPatches(prev[index], next[index], [...path, index], patches, inversePatches);
+        }
+        // Elementos agregados al final, en orden ascendente
+        for (let index = common; index < next.length; index += 1) {
+            patches.push({ op: 'add', path: [...path, index], value: next[index] });
+            inversePatches.push({ op: 'remove', path: [...path, index] });
+        }
+        // Elementos quitados del final, en orden descendente para que los índices sigan siendo válidos
+        for (let index = prev.length - 1; index >= common; index -= 1) {
+            patches.push({ op: 'remove', path: [...path, index] });
+            inversePatches.push({ op: 'add', path: [...path, index], value: prev[index] });
+        }
+        return;
+    }
+
+    Object.keys(next).forEach((key) => {
+        if (!Object.prototype.hasOwnProperty.call(prev, key)) {
+            patches.push({ op: 'add', path: [...path, key], value: next[key] });
+            inversePatches.push({ op: 'remove', path: [...path, key] });
+        } else {
+            collectPatches(prev[key], next[key], [...path, key], patches, inversePatches);
+        }
+    });
+    Object.keys(prev).forEach((key) => {
+        if (Object.prototype.hasOwnProperty.call(next, key)) return;
+        patches.push({ op: 'remove', path: [...path, key] });
+        inversePatches.push({ op: 'add', path: [...path, key], value: prev[key] });
+    });
+}
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORTABLES------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Calcula la diferencia estructural entre dos valores inmutables como una lista de parches,
+ * junto con los parches inversos que la deshacen.
+ *
+ * @function diffValues
+ * @param {*} prev - El valor anterior.
+ * @param {*} next - El valor nuevo.
+ * @returns {Object} - `{ patches, inversePatches }`. Ambas listas están vacías si no hubo cambios.
+ *
+ * @example
+ * const prev = { title: 'Hola', tags: ['a'] };
+ * const next = { ...prev, tags: [...prev.tags, 'b'] };
+ *
+ * diffValues(prev, next);
+ * // {
+ * //   patches: [{ op: 'add', path: ['tags', 1], value: 'b' }],
+ * //   inversePatches: [{ op: 'remove', path: ['tags', 1] }],
+ * // }
+ *
+ * @note
+ * - Cada parche es `{ op: 'replace' | 'add' | 'remove', path, value }`, donde `path` es la lista de claves o índices.
+ * - La comparación es por referencia: las partes que no cambiaron de referencia no se recorren, por lo que el costo depende del tamaño del cambio y no del documento. Los valores mutados en el lugar no se detectan.
+ * - Los parches guardan referencias a los valores, no copias profundas, así que comparten memoria con el estado.
+ */
+function diffValues(prev, next) {
+    const patches = [];
+    const inversePatches = [];
+    collectPatches(prev, next, [], patches, inversePatches);
+    return { patches, inversePatches: inversePatches.reverse() };
+}
+
+/**
+ * Aplica una lista de parches a un valor sin mutarlo, copiando solo los contenedores que cambian.
+ *
+ * @function applyPatches
+ * @param {*} base - El valor de partida.
+ * @param {Array<Object>} patches - Los parches a aplicar, en orden (ver `diffValues`).
+ * @returns {*} - El nuevo valor. Las partes no afectadas conservan su referencia.
+ *
+ * @example
+ * const { patches, inversePatches } = diffValues(prev, next);
+ * applyPatches(prev, patches);        // equivalente a next
+ * applyPatches(next, inversePatches); // equivalente a prev
+ */
+function applyPatches(base, patches) {
+    const owned = new Set();
+    const own = (value) => {
+        if (owned.has(value)) return value;
+        const copy = Array.isArray(value) ? [...value] : { ...value };
+        owned.add(copy);
+        return copy;
+    };
+
+    let root = base;
+
+    patches.forEach(({ op, path, value }) => {
+        if (path.length === 0) {
+            root = op === 'remove' ? undefined : value;
+            return;
+        }
+
+        root = own(root);
+        let parent = root;
+        for (let index = 0; index < path.length - 1; index += 1) {
+            const key = path[index];
+            parent[key] = own(parent[key]);
+            parent = parent[key];
+        }
+
+        const key = path[path.length - 1];
+        if (Array.isArray(parent) && op === 'add') {
+            parent.splice(key, 0, value);
+        } else if (Array.isArray(parent) && op === 'remove') {
+            parent.splice(key, 1);
+        } else if (op === 'remove') {
+            delete parent[key];
+        } else {
+            parent[key] = value;
+        }
+    });
+
+    return root;
+}
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORTS----------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+export { diffValues, applyPatches };
@@ -0,0 +1,103 @@
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*CONSTANTS--------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+const DEFAULT_DB_NAME = 'geminis-history';
+const DEFAULT_STORE_NAME = 'history';
+const CHANNEL_PREFIX = 'history:';
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORTABLES------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Crea un adaptador de almacenamiento del historial sobre `sessionStorage` (se conserva al recargar, por pestaña).
+ *
+ * @function createSessionStorageAdapter
+ * @param {string} key - La llave bajo la que se guarda el historial.
+ * @returns {Object} - Adaptador con `load()` y `save(snapshot)`, ambos asíncronos. `load` resuelve `null` si no hay nada guardado.
+ */
+function createSessionStorageAdapter(key) {
+    return {
+        load: async () => {
+            const stored = sessionStorage.getItem(key);
+            return stored ? JSON.parse(stored) : null;
+        },
+        save: async (snapshot) => {
+            sessionStorage.setItem(key, JSON.stringify(snapshot));
+        },
+    };
+}
+
+/**
+ * Crea un adaptador de almacenamiento del historial sobre IndexedDB, útil para documentos grandes
+ * o para conservar el historial al cerrar la pestaña.
+ *
+ * @function createIndexedDBHistoryAdapter
+ * @param {string} key - La llave bajo la que se guarda el historial.
+ * @param {Object} [config={}] - Configuración del adaptador.
+ * @param {string} [config.dbName='geminis-history'] - Nombre de la base de datos.
+ * @param {string} [config.storeName='history'] - Nombre del almacén de objetos.
+ * @returns {Object} - Adaptador con `load()` y `save(snapshot)`, ambos asíncronos. `load` resuelve `null` si no hay nada guardado.
+ *
+ * @note
+ * - IndexedDB guarda los valores con el algoritmo de clonado estructurado, por lo que admite `Date`, `Map` o `Set` en los estados, a diferencia de `sessionStorage`.
+ */
+function createIndexedDBHistoryAdapter(key, { dbName = DEFAULT_DB_NAME, storeName = DEFAULT_STORE_NAME } = {}) {
+    let dbPromise = null;
+
+    const open = () => {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(dbName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return dbPromise;
+    };
+
+    const run = async (mode, operation) => {
+        const db = await open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    };
+
+    return {
+        load: async () => (await run('readonly', (store) => store.get(key))) || null,
+        save: (snapshot) => run('readwrite', (store) => store.put(snapshot, key)),
+    };
+}
+
+/**
+ * Abre el canal que comparte un historial entre pestañas del mismo origen.
+ *
+ * @function createHistoryChannel
+ * @param {string} key - La llave del historial. Las pestañas con la misma llave comparten canal.
+ * @returns {BroadcastChannel|null} - El canal, o `null` si el navegador no soporta `BroadcastChannel`.
+ */
+function createHistoryChannel(key) {
+    if (typeof BroadcastChannel === 'undefined') return null;
+    return new BroadcastChannel(`${CHANNEL_PREFIX}${key}`);
+}
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORTS----------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+export { createSessionStorageAdapter, createIndexedDBHistoryAdapter, createHistoryChannel };
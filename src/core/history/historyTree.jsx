@@ -0,0 +1,163 @@
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*CONSTANTS--------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+// Identificador del estado inicial (la raíz del árbol no es una entrada)
+const ROOT_ID = 0;
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*UTILS------------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Indexa las entradas del historial por identificador.
+ * @function indexEntries
+ * @param {Array<Object>} entries - Las entradas del árbol.
+ * @returns {Map<number, Object>} - Las entradas por `id`.
+ */
+function indexEntries(entries) {
+    return new Map(entries.map((entry) => [entry.id, entry]));
+}
+
+/**
+ * Quita una entrada y todos sus descendientes.
+ * @function removeSubtree
+ * @param {Array<Object>} entries - Las entradas del árbol.
+ * @param {number} id - La entrada a quitar.
+ * @returns {Array<Object>} - Las entradas restantes.
+ */
+function removeSubtree(entries, id) {
+    const removed = new Set([id]);
+    // Las entradas se agregan después de su padre, así que basta una pasada en orden de id
+    [...entries].sort((a, b) => a.id - b.id).forEach((entry) => {
+        if (removed.has(entry.parentId)) removed.add(entry.id);
+    });
+    return entries.filter((entry) => !removed.has(entry.id));
+}
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORTABLES------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Obtiene los hijos directos de una entrada, del más antiguo al más reciente.
+ *
+ * @function getChildren
+ * @param {Array<Object>} entries - Las entradas del árbol.
+ * @param {number} id - La entrada padre (`ROOT_ID` para el estado inicial).
+ * @returns {Array<Object>} - Los hijos.
+ */
+function getChildren(entries, id) {
+    return entries.filter((entry) => entry.parentId === id).sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Obtiene el camino desde el estado inicial hasta una entrada.
+ *
+ * @function getPath
+ * @param {Array<Object>} entries - Las entradas del árbol.
+ * @param {number} id - La entrada destino.
+ * @returns {Array<Object>} - Las entradas del camino, de la más cercana a la raíz hasta `id` (vacío para `ROOT_ID` o un id desconocido).
+ */
+function getPath(entries, id) {
+    const byId = indexEntries(entries);
+    const path = [];
+    let entry = byId.get(id);
+    while (entry) {
+        path.unshift(entry);
+        entry = byId.get(entry.parentId);
+    }
+    return path;
+}
+
+/**
+ * Calcula los pasos para ir de una entrada a otra del árbol: las entradas que hay que deshacer
+ * hasta el ancestro común y las que hay que rehacer desde ahí.
+ *
+ * @function getTraversal
+ * @param {Array<Object>} entries - Las entradas del árbol.
+ * @param {number} fromId - La entrada actual.
+ * @param {number} toId - La entrada destino.
+ * @returns {Object} - `{ undo, redo }`: entradas a deshacer (en orden) y a rehacer (en orden).
+ */
+function getTraversal(entries, fromId, toId) {
+    const fromPath = getPath(entries, fromId);
+    const toPath = getPath(entries, toId);
+
+    let common = 0;
+    while (common < fromPath.length && common < toPath.length && fromPath[common].id === toPath[common].id) {
+        common += 1;
+    }
+
+    return {
+        undo: fromPath.slice(common).reverse(),
+        redo: toPath.slice(common),
+    };
+}
+
+/**
+ * Reduce el árbol a un máximo de entradas. Primero descarta las hojas más antiguas de las ramas
+ * abandonadas; si no quedan, convierte la entrada más antigua del camino actual en el nuevo estado inicial.
+ *
+ * @function pruneTree
+ * @param {Object} tree - `{ entries, currentId, selected }`.
+ * @param {number} maxEntries - Cantidad máxima de entradas.
+ * @returns {Object} - El árbol reducido (el mismo objeto si no hubo que recortar).
+ *
+ * @note
+ * - Al mover el estado inicial se descartan también las ramas que salían del estado inicial anterior, ya que sus parches dependen de él.
+ */
+function pruneTree(tree, maxEntries) {
+    const limit = Math.max(1, maxEntries);
+    if (tree.entries.length <= limit) return tree;
+
+    let { entries } = tree;
+    const selected = { ...tree.selected };
+
+    while (entries.length > limit) {
+        const activePath = new Set(getPath(entries, tree.currentId).map((entry) => entry.id));
+        const parents = new Set(entries.map((entry) => entry.parentId));
+        const abandoned = entries
+            .filter((entry) => !activePath.has(entry.id) && !parents.has(entry.id))
+            .sort((a, b) => a.id - b.id)[0];
+
+        if (abandoned) {
+            entries = entries.filter((entry) => entry.id !== abandoned.id);
+            if (selected[abandoned.parentId] === abandoned.id) delete selected[abandoned.parentId];
+            continue;
+        }
+
+        const [oldest] = getPath(entries, tree.currentId);
+        getChildren(entries, ROOT_ID).forEach((sibling) => {
+            if (sibling.id !== oldest.id) entries = removeSubtree(entries, sibling.id);
+        });
+        entries = entries
+            .filter((entry) => entry.id !== oldest.id)
+            .map((entry) => (entry.parentId === oldest.id ? { ...entry, parentId: ROOT_ID } : entry));
+        if (selected[oldest.id] !== undefined) selected[ROOT_ID] = selected[oldest.id];
+        delete selected[oldest.id];
+    }
+
+    const currentId = entries.some((entry) => entry.id === tree.currentId) ? tree.currentId : ROOT_ID;
+    return { entries, currentId, selected };
+}
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORTS----------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+export { ROOT_ID, getChildren, getPath, getTraversal, pruneTree };
@@ -0,0 +1,181 @@
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*CONSTANTS--------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+// Conversión entre el texto de la URL y cada tipo soportado. `undefined` indica un valor inválido
+const CODECS = {
+    string: {
+        parse: (text) => text,
+        serialize: (value) => String(value),
+    },
+    number: {
+        parse: (text) => {
+            if (text.trim() === '') return undefined;
+            const value = Number(text);
+            return Number.isFinite(value) ? value : undefined;
+        },
+        serialize: (value) => String(value),
+    },
+    boolean: {
+        parse: (text) => {
+            if (text === 'true' || text === '1') return true;
+            if (text === 'false' || text === '0') return false;
+            return undefined;
+        },
+        serialize: (value) => (value ? 'true' : 'false'),
+    },
+    date: {
+        parse: (text) => {
+            const value = new Date(text);
+            return Number.isNaN(value.getTime()) ? undefined : value;
+        },
+        // Las fechas sin hora se escriben como `YYYY-MM-DD`
+        serialize: (value) => {
+            const iso = value.toISOString();
+            return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+        },
+    },
+};
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*UTILS------------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Normaliza la definición de un parámetro: `'number'` equivale a `{ type: 'number' }`.
+ * @function normalizeField
+ * @param {string} name - El nombre del parámetro.
+ * @param {string|Object} field - La definición.
+ * @returns {Object} - `{ type, of, default, parse, serialize }`.
+ * @throws {Error} - Si el tipo no existe.
+ */
+function normalizeField(name, field) {
+    const definition = typeof field === 'string' ? { type: field } : { ...field };
+    const type = definition.type || 'string';
+
+    if (type === 'array') {
+        const item = normalizeField(name, definition.of || 'string');
+        return { ...definition, type, item, default: definition.default ?? [] };
+    }
+
+    const codec = CODECS[type];
+    if (!codec && !(definition.parse && definition.serialize)) {
+        throw new Error(`El parámetro "${name}" tiene un tipo desconocido: "${type}". Usa string, number, boolean, date, array o indica parse y serialize.`);
+    }
+
+    return {
+        ...definition,
+        type,
+        parse: definition.parse || codec.parse,
+        serialize: definition.serialize || codec.serialize,
+        default: definition.default ?? null,
+    };
+}
+
+/**
+ * Compara dos valores de parámetros (las fechas por su hora y los arreglos elemento a elemento).
+ * @function isSameValue
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function isSameValue(a, b) {
+    if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((item, index) => isSameValue(item, b[index]));
+    }
+    return Object.is(a, b);
+}
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORTABLES------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Lee los parámetros de la URL como un objeto tipado.
+ *
+ * @function parseQuery
+ * @param {string} search - La cadena de consulta (`location.search`), con o sin `?`.
+ * @param {Object} schema - Los parámetros y su tipo: `{ page: { type: 'number', default: 1 }, tags: { type: 'array', of: 'string' }, from: 'date' }`.
+ * @returns {Object} - Un valor por cada parámetro del esquema; los ausentes o inválidos toman su `default` (o `null`, o `[]` en los arreglos).
+ *
+ * @note
+ * - Los arreglos se leen de la llave repetida (`?tags=a&tags=b`); los elementos inválidos se descartan.
+ * - Los booleanos aceptan `true`/`false` y `1`/`0`.
+ */
+function parseQuery(search, schema) {
+    const params = new URLSearchParams(search);
+
+    return Object.fromEntries(Object.entries(schema).map(([name, field]) => {
+        const definition = normalizeField(name, field);
+
+        if (definition.type === 'array') {
+            if (!params.has(name)) return [name, definition.default];
+            const items = params.getAll(name)
+                .filter((text) => text !== '')
+                .map((text) => definition.item.parse(text))
+                .filter((item) => item !== undefined);
+            return [name, items];
+        }
+
+        const text = params.get(name);
+        const value = text === null ? undefined : definition.parse(text);
+        return [name, value === undefined ? definition.default : value];
+    }));
+}
+
+/**
+ * Escribe un objeto tipado en la cadena de consulta.
+ *
+ * @function serializeQuery
+ * @param {Object} values - Los valores a escribir.
+ * @param {Object} schema - El mismo esquema que `parseQuery`.
+ * @param {string} [search=''] - La cadena de consulta actual; se conservan los parámetros que no están en el esquema.
+ * @returns {string} - La nueva cadena, con `?` delante, o `''` si no queda ningún parámetro.
+ *
+ * @note
+ * - Los valores iguales a su `default`, `null` o `undefined` se quitan de la URL, para que quede lo más corta posible.
+ */
+function serializeQuery(values, schema, search = '') {
+    const params = new URLSearchParams(search);
+
+    Object.entries(schema).forEach(([name, field]) => {
+        const definition = normalizeField(name, field);
+        const value = values[name];
+        params.delete(name);
+
+        if (value === null || value === undefined || isSameValue(value, definition.default)) return;
+
+        if (definition.type === 'array') {
+            value.forEach((item) => params.append(name, definition.item.serialize(item)));
+            // Un arreglo vacío distinto del valor por defecto se conserva como `?tags=`
+            if (value.length === 0) params.append(name, '');
+            return;
+        }
+
+        params.set(name, definition.serialize(value));
+    });
+
+    const query = params.toString();
+    return query ? `?${query}` : '';
+}
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORTS----------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+export { parseQuery, serializeQuery, isSameValue };
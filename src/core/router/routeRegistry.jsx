@@ -0,0 +1,168 @@
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*CONSTANTS--------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+const PARAM_PATTERN = /:([A-Za-z_][A-Za-z0-9_]*)(\?)?/g;
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*UTILS------------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Convierte un valor o lista de valores en arreglo.
+ * @function toList
+ * @param {*} value - Un valor, un arreglo, o `null`/`undefined`.
+ * @returns {Array} - El arreglo (vacío si no hay valor).
+ */
+function toList(value) {
+    if (value === null || value === undefined) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Completa la declaración de una ruta con sus valores por defecto.
+ * @function normalizeRoute
+ * @param {string} name - El nombre de la ruta en el registro.
+ * @param {Object|string} definition - La declaración (o solo el `path`).
+ * @returns {Object} - La ruta normalizada y congelada.
+ */
+function normalizeRoute(name, definition) {
+    const route = typeof definition === 'string' ? { path: definition } : definition;
+    if (!route || typeof route.path !== 'string') {
+        throw new Error(`La ruta "${name}" necesita un "path".`);
+    }
+
+    const guard = route.guard || {};
+    const roles = toList(guard.roles);
+    const permissions = toList(guard.permissions);
+    return Object.freeze({
+        name,
+        path: route.path,
+        component: route.component || null,
+        title: route.title || null,
+        layout: route.layout || null,
+        redirectTo: route.redirectTo || null,
+        meta: Object.freeze({ ...(route.meta || {}) }),
+        params: Object.freeze([...route.path.matchAll(PARAM_PATTERN)].map((match) => match[1])),
+        guard: Object.freeze({
+            auth: Boolean(guard.auth) || roles.length > 0 || permissions.length > 0,
+            roles: Object.freeze(roles),
+            permissions: Object.freeze(permissions),
+            features: Object.freeze(toList(guard.features)),
+            redirectTo: guard.redirectTo || null,
+        }),
+    });
+}
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORTABLES------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Crea el registro de rutas de la aplicación a partir de sus declaraciones.
+ *
+ * @function createRouteRegistry
+ * @param {Object} definitions - Las rutas por nombre. Cada una es `{ path, component, title, layout, redirectTo, meta, guard }`, o solo el `path`.
+ * @returns {Object} - `{ routes, list }`: las rutas normalizadas por nombre y en orden de declaración.
+ *
+ * @example
+ * const { routes } = createRouteRegistry({
+ *   FEED: { path: '/', component: Feed, title: 'Inicio' },
+ *   POST: { path: '/posts/:id', component: Post, title: ({ id }) => `Post ${id}` },
+ *   ADMIN: { path: '/admin', component: Admin, guard: { roles: 'admin' } },
+ *   NOTFOUND: { path: '*', redirectTo: 'FEED' },
+ * });
+ *
+ * routes.POST.params; // ['id']
+ *
+ * @note
+ * - `guard` acepta `{ auth, roles, permissions, features, redirectTo }`. Indicar roles o permisos implica `auth: true`.
+ * - `title` puede ser un texto o una función que recibe los parámetros de la ruta.
+ * - `layout` es un componente que envuelve la página y recibe `route` y `children`.
+ * - Las rutas quedan congeladas (`Object.freeze`), así que el registro no se puede modificar por accidente.
+ */
+function createRouteRegistry(definitions) {
+    const routes = {};
+    Object.entries(definitions).forEach(([name, definition]) => {
+        routes[name] = normalizeRoute(name, definition);
+    });
+
+    return {
+        routes: Object.freeze(routes),
+        list: Object.freeze(Object.values(routes)),
+    };
+}
+
+/**
+ * Obtiene una ruta del registro por su nombre o a partir de la propia ruta.
+ *
+ * @function resolveRoute
+ * @param {Object} routes - Las rutas por nombre (`routes` de `createRouteRegistry`).
+ * @param {Object|string} target - La ruta (`routes.FEED`) o su nombre (`'FEED'`).
+ * @returns {Object} - La ruta.
+ * @throws {Error} - Si la ruta no existe en el registro.
+ */
+function resolveRoute(routes, target) {
+    const name = typeof target === 'string' ? target : target && target.name;
+    const route = name ? routes[name] : null;
+    if (!route) throw new Error(`La ruta "${name}" no existe en el registro.`);
+    return route;
+}
+
+/**
+ * Construye la URL de una ruta reemplazando sus parámetros.
+ *
+ * @function buildPath
+ * @param {Object} route - La ruta normalizada.
+ * @param {Object} [params={}] - Los valores de los parámetros (`:id`, `:slug?` y `*`).
+ * @param {Object} [query=null] - Parámetros de búsqueda. Se omiten los `null` y `undefined`.
+ * @returns {string} - La URL.
+ * @throws {Error} - Si falta un parámetro obligatorio.
+ *
+ * @example
+ * buildPath(routes.POST, { id: 42 }, { tab: 'comments' }); // '/posts/42?tab=comments'
+ */
+function buildPath(route, params = {}, query = null) {
+    let path = route.path.replace(PARAM_PATTERN, (_match, name, optional) => {
+        const value = params[name];
+        if (value === undefined || value === null || value === '') {
+            if (optional) return '';
+            throw new Error(`Falta el parámetro "${name}" para la ruta "${route.name}".`);
+        }
+        return encodeURIComponent(value);
+    });
+
+    if (path.endsWith('*')) path = `${path.slice(0, -1)}${params['*'] || ''}`;
+    path = path.replace(/\/{2,}/g, '/');
+    if (path.length > 1 && path.endsWith('/')) path = path.slice(0, -1);
+    if (!path.startsWith('/')) path = `/${path}`;
+
+    const search = new URLSearchParams();
+    Object.entries(query || {}).forEach(([name, value]) => {
+        if (value === null || value === undefined) return;
+        toList(value).forEach((item) => search.append(name, String(item)));
+    });
+    const queryString = search.toString();
+
+    return queryString ? `${path}?${queryString}` : path;
+}
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORTS----------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+export { createRouteRegistry, resolveRoute, buildPath };
@@ -0,0 +1,38 @@
+import React, { useMemo } from "react";
+import { Router, createPath } from "react-router-dom";
+import useBrowserHistory from "../useBrowserHistory";
+
+// Tipos de navegación de react-router según el aviso de `useBrowserHistory`
+const NAVIGATION_TYPES = { push: "PUSH", replace: "REPLACE", pop: "POP" };
+
+const toPath = (to) => (typeof to === "string" ? to : createPath(to));
+
+// Router de react-router que navega con `useBrowserHistory`, para que sus navegaciones pasen por los bloqueadores
+// (ver `useNavigationBlocker`). Reemplaza a `BrowserRouter`, que escucha `popstate` por su cuenta
+export const BrowserHistoryRouter = ({ children, basename }) => {
+    const { currentLocation, navigationType, pushHistory, replaceHistory, go } = useBrowserHistory();
+
+    const navigator = useMemo(() => ({
+        createHref: toPath,
+        push: (to, state) => {
+            pushHistory(toPath(to), state);
+        },
+        replace: (to, state) => {
+            replaceHistory(toPath(to), state);
+        },
+        go: (delta) => {
+            go(delta);
+        },
+    }), [pushHistory, replaceHistory, go]);
+
+    return (
+        <Router
+            basename={basename}
+            location={currentLocation}
+            navigationType={NAVIGATION_TYPES[navigationType]}
+            navigator={navigator}
+        >
+            {children}
+        </Router>
+    );
+};
@@ -0,0 +1,15 @@
+import React, { useState } from "react";
+import { createFetchCache } from "../../core/fetch/fetchCache";
+import { FetchCacheContext } from "./contexts";
+
+// Proveedor de la caché de solicitudes (ver `useFetchCache`)
+export const FetchCacheProvider = ({ children, cache = null, ttl, staleTime }) => {
+    // La caché se crea una sola vez por proveedor
+    const [store] = useState(() => cache || createFetchCache({ ttl, staleTime }));
+
+    return (
+        <FetchCacheContext.Provider value={store}>
+            {children}
+        </FetchCacheContext.Provider>
+    );
+};
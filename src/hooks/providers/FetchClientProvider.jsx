@@ -0,0 +1,15 @@
+import React, { useState } from "react";
+import { createFetchClient } from "../../core/fetch/fetchClient";
+import { FetchClientContext } from "./contexts";
+
+// Proveedor del cliente HTTP (ver `useFetchClient`)
+export const FetchClientProvider = ({ children, client = null, baseURL, headers, timeout, transport }) => {
+    // El cliente se crea una sola vez por proveedor
+    const [instance] = useState(() => client || createFetchClient({ baseURL, headers, timeout, transport }));
+
+    return (
+        <FetchClientContext.Provider value={instance}>
+            {children}
+        </FetchClientContext.Provider>
+    );
+};
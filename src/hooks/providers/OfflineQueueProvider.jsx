@@ -0,0 +1,33 @@
+import React, { useEffect, useState } from "react";
+import { createOfflineQueue, createReplayInvalidator } from "../../core/fetch/offlineQueue";
+import { OfflineQueueContext } from "./contexts";
+import { useFetchCache } from "./useFetchCache";
+import { useFetchClient } from "./useFetchClient";
+
+// Proveedor de la cola de solicitudes sin conexión (ver `useOfflineQueue`)
+export const OfflineQueueProvider = ({ children, queue = null, storage, onConflict, onError }) => {
+    const client = useFetchClient();
+    const cache = useFetchCache();
+
+    // La cola se crea una sola vez por proveedor, con el cliente y la caché del árbol
+    const [instance] = useState(() => queue || createOfflineQueue({
+        storage,
+        client,
+        onConflict,
+        onError,
+        autoReplay: false,
+        onReplayed: createReplayInvalidator(cache),
+    }));
+
+    // Escuchar la reconexión mientras el proveedor está montado
+    useEffect(() => {
+        instance.start();
+        return () => instance.stop();
+    }, [instance]);
+
+    return (
+        <OfflineQueueContext.Provider value={instance}>
+            {children}
+        </OfflineQueueContext.Provider>
+    );
+};
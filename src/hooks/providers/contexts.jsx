@@ -0,0 +1,12 @@
+import { createContext } from "react";
+
+// Contextos de los proveedores. Viven aparte para que los archivos de los proveedores solo exporten componentes
+
+// Caché de solicitudes compartida por `useFetch` (ver `FetchCacheProvider`)
+export const FetchCacheContext = createContext(null);
+
+// Cliente HTTP configurado para `useFetch` y `useMutation` (ver `FetchClientProvider`)
+export const FetchClientContext = createContext(null);
+
+// Cola de solicitudes hechas sin conexión (ver `OfflineQueueProvider`)
+export const OfflineQueueContext = createContext(null);
@@ -0,0 +1,67 @@
+import { useContext } from "react";
+import { createFetchCache } from "../../core/fetch/fetchCache";
+import { FetchCacheContext } from "./contexts";
+
+// Caché usada cuando no existe un FetchCacheProvider en el árbol
+const defaultFetchCache = createFetchCache();
+
+
+/**
+ * Hook personalizado para acceder a la caché compartida de solicitudes HTTP que usan
+ * todas las instancias de `useFetch`.
+ *
+ * @function useFetchCache
+ * @returns {Object} - El almacén de caché creado con `createFetchCache`.
+ *
+ * @returns {function} get - Obtener una entrada vigente por su llave.
+ * @returns {function} set - Guardar datos bajo una llave.
+ * @returns {function} mutate - Actualizar los datos de una entrada existente.
+ * @returns {function} isStale - Verificar si una entrada está obsoleta.
+ * @returns {function} dedupe - Compartir una solicitud en curso entre consumidores.
+ * @returns {function} invalidate - Marcar como obsoletas (y revalidar) las entradas por llave o prefijo.
+ * @returns {function} remove - Eliminar entradas por llave o prefijo.
+ * @returns {function} subscribe - Escuchar los cambios de una llave.
+ * @returns {function} keys - Obtener todas las llaves almacenadas.
+ * @returns {function} clear - Vaciar la caché.
+ *
+ * @example
+ * import { FetchCacheProvider } from './FetchCacheProvider';
+ * import { useFetchCache } from './useFetchCache';
+ * import useFetch from '../useFetch';
+ *
+ * const UserList = () => {
+ *   const { data } = useFetch('/api/users', {}, { cachePolicy: 'default', staleTime: 10000 });
+ *   return <ul>{data && data.map(user => <li key={user.id}>{user.name}</li>)}</ul>;
+ * };
+ *
+ * const CreateUserButton = () => {
+ *   const { invalidate } = useFetchCache();
+ *
+ *   const createUser = async () => {
+ *     await fetch('/api/users', { method: 'POST', body: JSON.stringify({ name: 'Jane' }) });
+ *     invalidate('/api/users'); // UserList se revalida automáticamente
+ *   };
+ *
+ *   return <button onClick={createUser}>Crear usuario</button>;
+ * };
+ *
+ * const App = () => (
+ *   <FetchCacheProvider ttl={60000} staleTime={5000}>
+ *     <UserList />
+ *     <CreateUserButton />
+ *   </FetchCacheProvider>
+ * );
+ *
+ * @note
+ * - Si no hay un `FetchCacheProvider` en el árbol se usa una caché global por defecto, por lo que `useFetch` sigue funcionando sin proveedor.
+ * - Las llaves se generan con `buildCacheKey(url, options)` (URL + método + cuerpo).
+ * - `invalidate` acepta una llave exacta o un prefijo, por ejemplo `'/api/users'`.
+ *
+ * @internal
+ * - El almacén se crea una sola vez por proveedor con el inicializador perezoso de `useState`.
+ * - El valor del contexto es siempre la misma referencia, por lo que el proveedor no provoca rerenders en los consumidores.
+ */
+export const useFetchCache = () => {
+    const context = useContext(FetchCacheContext);
+    return context || defaultFetchCache;
+};
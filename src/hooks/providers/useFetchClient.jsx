@@ -0,0 +1,55 @@
+import { useContext } from "react";
+import { createFetchClient } from "../../core/fetch/fetchClient";
+import { FetchClientContext } from "./contexts";
+
+// Cliente usado cuando no existe un FetchClientProvider en el árbol
+const defaultFetchClient = createFetchClient();
+
+
+/**
+ * Hook personalizado para acceder al cliente HTTP configurado (URL base, cabeceras por defecto,
+ * tiempo límite e interceptores) que usan `useFetch` y `useMutation`.
+ *
+ * @function useFetchClient
+ * @returns {Object} - El cliente creado con `createFetchClient`.
+ *
+ * @returns {function} request - Ejecutar una solicitud `(url, options)` pasando por los interceptores.
+ * @returns {Object} interceptors - Listas `request` y `response` con `use`, `eject` y `clear`.
+ * @returns {Object} defaults - La configuración por defecto del cliente.
+ *
+ * @example
+ * import { FetchClientProvider } from './FetchClientProvider';
+ * import { createFetchClient } from '../../core/fetch/fetchClient';
+ *
+ * const api = createFetchClient({
+ *   baseURL: import.meta.env.VITE_API_URL,
+ *   headers: { Accept: 'application/json' },
+ *   timeout: 15000,
+ * });
+ *
+ * api.interceptors.request.use((config) => ({
+ *   ...config,
+ *   headers: { ...config.headers, authorization: `Bearer ${sessionStorage.getItem('token')}` },
+ * }));
+ *
+ * const App = () => (
+ *   <FetchClientProvider client={api}>
+ *     <UserList />
+ *   </FetchClientProvider>
+ * );
+ *
+ * // Dentro de UserList: la URL relativa se resuelve contra la URL base y lleva el token
+ * const { data } = useFetch('/users');
+ *
+ * @note
+ * - Si no hay un `FetchClientProvider` en el árbol se usa un cliente por defecto sin URL base ni interceptores.
+ * - Se puede pasar un cliente ya creado (`client`) o dejar que el proveedor lo cree a partir de `baseURL`, `headers`, `timeout` y `transport`.
+ * - En pruebas, `transport={mock.transport}` (ver `createMockTransport`) responde a `useFetch` y `useMutation` sin un backend real.
+ *
+ * @internal
+ * - El cliente se crea una sola vez por proveedor con el inicializador perezoso de `useState`.
+ */
+export const useFetchClient = () => {
+    const context = useContext(FetchClientContext);
+    return context || defaultFetchClient;
+};
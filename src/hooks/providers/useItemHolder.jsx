@@ -123,6 +123,8 @@ export const ItemHolderProvider = ({ children }) => {
  * durante el ciclo de vida de la aplicación.
  * 
  * @function useItemHolder
+ * @param {Object} [config={}] - Configuración adicional para el hook.
+ * @param {boolean} [config.optional=false] - Devolver `null` en lugar de lanzar un error cuando no hay un `ItemHolderProvider` (útil en herramientas como el panel de devtools).
  * @returns {Object} - Métodos y utilidades para manejar el contenedor de datos.
  * 
  * @returns {function} addItem - Agregar un nuevo item al contenedor.
@@ -193,9 +195,10 @@ export const ItemHolderProvider = ({ children }) => {
  * - La sincronización y las modificaciones de los datos se hacen a través de `setData`.
  * - Los métodos aseguran la inmutabilidad del estado al realizar copias de los datos.
  */
-export const useItemHolder = () => {
+export const useItemHolder = ({ optional = false } = {}) => {
     const context = useContext(ItemHolderContext);
     if (!context) {
+        if (optional) return null;
         throw new Error("useItemHolder debe ser usado dentro de un ItemHolderProvider");
     }
     return context;
@@ -0,0 +1,130 @@
+import { useCallback, useContext, useEffect, useMemo, useState } from "react";
+import { createOfflineQueue, createReplayInvalidator } from "../../core/fetch/offlineQueue";
+import { OfflineQueueContext } from "./contexts";
+import { useFetchCache } from "./useFetchCache";
+import { useFetchClient } from "./useFetchClient";
+import useNetworkStatus from "../useNetworkStatus";
+
+// Colas usadas cuando no existe un OfflineQueueProvider en el árbol, una por cliente y caché (se crean al primer uso)
+const defaultOfflineQueues = new WeakMap();
+const getDefaultOfflineQueue = (client, cache) => {
+    if (!defaultOfflineQueues.has(client)) defaultOfflineQueues.set(client, new WeakMap());
+    const queuesByCache = defaultOfflineQueues.get(client);
+    if (!queuesByCache.has(cache)) {
+        queuesByCache.set(cache, createOfflineQueue({ client, onReplayed: createReplayInvalidator(cache) }));
+    }
+    return queuesByCache.get(cache);
+};
+
+
+/**
+ * Hook para obtener la cola de solicitudes sin conexión solo cuando se necesita, sin suscribirse a sus cambios.
+ * Útil para encolar desde otros hooks (por ejemplo `useMutation`) sin crear la cola global en cada render.
+ *
+ * @function useOfflineQueueGetter
+ * @returns {function} - Función estable que retorna la cola del proveedor o, sin proveedor, la cola global del cliente de `useFetchClient` y la caché de `useFetchCache`.
+ */
+export const useOfflineQueueGetter = () => {
+    const context = useContext(OfflineQueueContext);
+    const client = useFetchClient();
+    const cache = useFetchCache();
+
+    return useCallback(() => context || getDefaultOfflineQueue(client, cache), [context, client, cache]);
+};
+
+
+/**
+ * Hook para acceder directamente a la cola de solicitudes sin conexión, sin suscribirse a sus cambios.
+ *
+ * @function useOfflineQueueStore
+ * @returns {Object} - La cola creada con `createOfflineQueue`.
+ */
+export const useOfflineQueueStore = () => {
+    const getQueue = useOfflineQueueGetter();
+    return useMemo(getQueue, [getQueue]);
+};
+
+
+/**
+ * Hook personalizado para mostrar en la interfaz el estado de la cola de solicitudes hechas sin conexión
+ * (outbox), y para reenviarla o gestionarla manualmente.
+ *
+ * @function useOfflineQueue
+ * @returns {Object} - El estado de la cola y sus métodos.
+ *
+ * @returns {Array} items - Las solicitudes encoladas, en orden (`{ id, url, options, meta, status, attempts, error, createdAt }`).
+ * @returns {number} pendingCount - Cantidad de solicitudes pendientes de reenviar.
+ * @returns {number} failedCount - Cantidad de solicitudes marcadas como fallidas.
+ * @returns {boolean} isReplaying - Indica si la cola se está reenviando.
+ * @returns {Object|null} lastError - El último error de red o del servidor durante el reenvío.
+ * @returns {boolean} isOnline - Estado de la conexión según `useNetworkStatus`.
+ * @returns {function} replay - Reenviar la cola manualmente.
+ * @returns {function} enqueue - Encolar una solicitud `{ url, options, meta }`.
+ * @returns {function} remove - Eliminar una solicitud por su `id`.
+ * @returns {function} clear - Vaciar la cola.
+ *
+ * @example
+ * import { OfflineQueueProvider } from './OfflineQueueProvider';
+ * import { useOfflineQueue } from './useOfflineQueue';
+ * import useMutation from '../useMutation';
+ *
+ * const OutboxBadge = () => {
+ *   const { pendingCount, isReplaying, isOnline, replay } = useOfflineQueue();
+ *
+ *   if (pendingCount === 0) return null;
+ *   return (
+ *     <div>
+ *       {isReplaying ? 'Sincronizando...' : `${pendingCount} cambios pendientes`}
+ *       {isOnline && !isReplaying && <button onClick={replay}>Reintentar</button>}
+ *     </div>
+ *   );
+ * };
+ *
+ * const NoteForm = () => {
+ *   const { mutate, queued } = useMutation('/api/notes', {}, { offline: true, invalidate: ['/api/notes'] });
+ *   return (
+ *     <div>
+ *       <button onClick={() => mutate({ text: 'Hola' })}>Guardar</button>
+ *       {queued && <p>Guardado sin conexión, se enviará al reconectar.</p>}
+ *     </div>
+ *   );
+ * };
+ *
+ * const App = () => (
+ *   <OfflineQueueProvider onConflict={(item, error) => 'discard'}>
+ *     <OutboxBadge />
+ *     <NoteForm />
+ *   </OfflineQueueProvider>
+ * );
+ *
+ * @note
+ * - La cola se reenvía automáticamente cuando `useNetworkStatus` informa que volvió la conexión (evento `networkStatusChange`) o cuando el navegador dispara `online`.
+ * - Con `OfflineQueueProvider` las solicitudes se reenvían con el cliente de `useFetchClient` y, al tener éxito, se invalidan las llaves de caché guardadas en `meta.invalidate`.
+ * - Sin proveedor se usa una cola global persistida en `localStorage`, creada al primer uso con el cliente de `useFetchClient` y que invalida la caché de `useFetchCache`.
+ *
+ * @internal
+ * - El hook se suscribe a la cola y guarda su instantánea en un `useState`; la cola reemplaza la instantánea en cada cambio.
+ */
+export const useOfflineQueue = () => {
+    const queue = useOfflineQueueStore();
+    const [snapshot, setSnapshot] = useState(queue.getSnapshot);
+    const isOnline = useNetworkStatus();
+
+    useEffect(() => {
+        setSnapshot(queue.getSnapshot());
+        return queue.subscribe(setSnapshot);
+    }, [queue]);
+
+    return {
+        items: snapshot.items,
+        pendingCount: snapshot.items.filter((item) => item.status !== 'failed').length,
+        failedCount: snapshot.items.filter((item) => item.status === 'failed').length,
+        isReplaying: snapshot.isReplaying,
+        lastError: snapshot.lastError,
+        isOnline,
+        replay: queue.replay,
+        enqueue: queue.enqueue,
+        remove: queue.remove,
+        clear: queue.clear,
+    };
+};
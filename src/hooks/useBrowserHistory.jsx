@@ -8,7 +8,235 @@ import { useState, useCallback, useEffect } from 'react';
 
 
 
-//-- no apply
+// Evento que avisa a todas las instancias del hook cuando cambia la URL (`pushState` no emite `popstate`).
+// `detail.type` es `'push'`, `'replace'` o `'pop'`; los `popstate` solo se emiten si pasan los bloqueadores
+const LOCATION_CHANGE_EVENT = 'geminis:locationchange';
+const DEFAULT_BLOCK_MESSAGE = 'Hay cambios sin guardar. ¿Deseas salir de todos modos?';
+
+// Bloqueadores registrados por todas las instancias del hook
+const blockers = new Set();
+// Posición de la entrada actual y confirmación en curso (solo se pide una a la vez)
+let currentIndex = null;
+let pendingConfirmation = null;
+// `popstate` provocados por el propio hook, en orden: `{ index, notify }` con la posición de destino y si se
+// emite (salto confirmado) o no (vuelta atrás de un salto bloqueado, la URL queda como estaba)
+const expectedPops = [];
+// Un salto confirmado que sale de la aplicación no vuelve a preguntar en `beforeunload`
+let unloadConfirmed = false;
+// Instancias y bloqueadores que escuchan `popstate`
+let popStateListeners = 0;
+
+/**
+ * Obtiene la posición de la entrada actual del historial.
+ * @function getHistoryIndex
+ * @returns {number|null} - La posición guardada en `history.state.idx`, o `null` si la entrada no la tiene.
+ */
+function getHistoryIndex() {
+    const state = window.history.state;
+    return state && typeof state.idx === 'number' ? state.idx : null;
+}
+
+/**
+ * Genera la llave de una entrada del historial.
+ * @function createKey
+ * @returns {string}
+ */
+function createKey() {
+    return Math.random().toString(36).slice(2, 10);
+}
+
+/**
+ * Crea el `history.state` de una entrada, con el mismo formato que react-router (`{ usr, key, idx }`).
+ * @function createHistoryState
+ * @param {*} state - El estado de la aplicación para la entrada.
+ * @param {number} index - La posición de la entrada.
+ * @returns {Object}
+ */
+function createHistoryState(state, index) {
+    return { usr: state ?? null, key: createKey(), idx: index };
+}
+
+/**
+ * Lee la ubicación actual del navegador.
+ * @function readLocation
+ * @returns {Object} - `{ pathname, search, hash, state, key }`.
+ */
+function readLocation() {
+    const { pathname, search, hash } = window.location;
+    const entry = window.history.state;
+    return {
+        pathname,
+        search,
+        hash,
+        state: entry && entry.usr !== undefined ? entry.usr : null,
+        key: (entry && entry.key) || 'default',
+    };
+}
+
+/**
+ * Asegura que la entrada actual tenga posición (la primera que abre la aplicación no la tiene).
+ * @function ensureHistoryIndex
+ */
+function ensureHistoryIndex() {
+    if (getHistoryIndex() === null) {
+        const entry = window.history.state;
+        window.history.replaceState(entry && typeof entry === 'object' ? { ...entry, idx: 0 } : createHistoryState(null, 0), '');
+    }
+    currentIndex = getHistoryIndex();
+}
+
+/**
+ * Obtiene los bloqueadores que quieren detener una navegación.
+ * @function getActiveBlockers
+ * @param {Object} transition - `{ type, path, delta }`.
+ * @returns {Object[]}
+ */
+function getActiveBlockers(transition) {
+    return [...blockers].filter(({ when }) => (typeof when === 'function' ? when(transition) : when));
+}
+
+/**
+ * Pide confirmación a los bloqueadores activos y navega si todos la dan.
+ * @function confirmTransition
+ * @param {Object} transition - `{ type, path, delta }`.
+ * @param {function} navigate - Realiza la navegación.
+ * @returns {Promise<boolean>} - Si se navegó. Sin bloqueadores activos navega en el acto, sin esperar a la promesa.
+ */
+function confirmTransition(transition, navigate) {
+    const active = getActiveBlockers(transition);
+    if (active.length === 0) {
+        navigate();
+        return Promise.resolve(true);
+    }
+    // Con un diálogo abierto se ignoran las demás navegaciones
+    if (pendingConfirmation) return Promise.resolve(false);
+
+    pendingConfirmation = (async () => {
+        for (const blocker of active) {
+            const allowed = blocker.confirm
+                ? await blocker.confirm(transition)
+                : window.confirm(blocker.message || DEFAULT_BLOCK_MESSAGE);
+            if (!allowed) return false;
+        }
+        return true;
+    })()
+        .catch(() => false)
+        .then((allowed) => {
+            pendingConfirmation = null;
+            if (allowed) navigate();
+            return allowed;
+        });
+
+    return pendingConfirmation;
+}
+
+/**
+ * Avisa a todas las instancias del hook que cambió la URL.
+ * @function notifyLocationChange
+ * @param {string} type - `'push'`, `'replace'` o `'pop'`.
+ */
+function notifyLocationChange(type) {
+    window.dispatchEvent(new CustomEvent(LOCATION_CHANGE_EVENT, { detail: { type } }));
+}
+
+/**
+ * Salta en el historial sin volver a pasar por los bloqueadores (la navegación ya se confirmó).
+ * @function goConfirmed
+ * @param {number} delta - Los pasos a saltar.
+ */
+function goConfirmed(delta) {
+    const target = currentIndex + delta;
+    unloadConfirmed = true;
+    // Antes de la primera entrada se sale del documento y no habrá `popstate`
+    if (target >= 0) expectedPops.push({ index: target, notify: true });
+    window.history.go(delta);
+}
+
+// Atrás/adelante del navegador: la URL ya cambió, así que se vuelve atrás mientras se confirma
+function handlePopState() {
+    const nextIndex = getHistoryIndex();
+    // El salto no salió de la aplicación
+    unloadConfirmed = false;
+
+    // Un salto propio más allá del final del historial no emite `popstate`: los que no coinciden se descartan
+    while (expectedPops.length > 0 && expectedPops[0].index !== nextIndex) expectedPops.shift();
+
+    if (expectedPops.length > 0) {
+        currentIndex = nextIndex;
+        if (expectedPops.shift().notify) notifyLocationChange('pop');
+        return;
+    }
+
+    const delta = nextIndex !== null && currentIndex !== null ? nextIndex - currentIndex : null;
+    const { pathname, search, hash } = window.location;
+    const transition = { type: 'pop', path: `${pathname}${search}${hash}`, delta };
+
+    // Sin posición conocida no se puede deshacer el salto
+    if (!delta || (!pendingConfirmation && getActiveBlockers(transition).length === 0)) {
+        currentIndex = nextIndex;
+        notifyLocationChange('pop');
+        return;
+    }
+
+    expectedPops.push({ index: currentIndex, notify: false });
+    window.history.go(-delta);
+    if (pendingConfirmation) return;
+
+    confirmTransition(transition, () => goConfirmed(delta));
+}
+
+/**
+ * Empieza a escuchar `popstate` (un solo listener para todo el módulo).
+ * @function listenPopState
+ * @returns {function} - Función que deja de escuchar cuando ya nadie lo necesita.
+ */
+function listenPopState() {
+    if (popStateListeners === 0) {
+        // La entrada actual necesita su posición para poder medir el salto de un `popstate`
+        ensureHistoryIndex();
+        window.addEventListener('popstate', handlePopState);
+    }
+    popStateListeners += 1;
+
+    let listening = true;
+    return () => {
+        if (!listening) return;
+        listening = false;
+        popStateListeners -= 1;
+        if (popStateListeners === 0) window.removeEventListener('popstate', handlePopState);
+    };
+}
+
+// Cierre o recarga de la pestaña: el navegador solo permite su propio diálogo
+function handleBeforeUnload(event) {
+    if (unloadConfirmed) {
+        unloadConfirmed = false;
+        return;
+    }
+    const [blocker] = getActiveBlockers({ type: 'unload', path: null, delta: null });
+    if (!blocker) return;
+    event.preventDefault();
+    event.returnValue = blocker.message || DEFAULT_BLOCK_MESSAGE;
+    return event.returnValue;
+}
+
+/**
+ * Registra un bloqueador de navegación, compartido por todas las instancias de `useBrowserHistory`.
+ * @function registerBlocker
+ * @param {Object} blocker - `{ when, message, confirm }` (ver `useBrowserHistory`).
+ * @returns {function} - Función que quita el bloqueador.
+ */
+function registerBlocker(blocker) {
+    const stopListening = listenPopState();
+    if (blockers.size === 0) window.addEventListener('beforeunload', handleBeforeUnload);
+    blockers.add(blocker);
+
+    return () => {
+        if (!blockers.delete(blocker)) return;
+        stopListening();
+        if (blockers.size === 0) window.removeEventListener('beforeunload', handleBeforeUnload);
+    };
+}
 
 
 
@@ -26,34 +254,38 @@ import { useState, useCallback, useEffect } from 'react';
  * @function useBrowserHistory
  * @returns {Object} - Un objeto con métodos y estados relacionados con el historial de navegación.
  * 
- * @returns {Object} state - El estado actual del historial, incluyendo la URL y el índice del historial.
- * @returns {function} push - Función para agregar una nueva entrada al historial.
- * @returns {function} replace - Función para reemplazar la entrada actual del historial.
+ * @returns {Object} currentLocation - La ubicación actual: `{ pathname, search, hash, state, key }`, donde `state` es el estado guardado con `pushHistory` o `replaceHistory`.
+ * @returns {string} navigationType - Cómo se llegó a la ubicación actual: `'push'`, `'replace'` o `'pop'`.
+ * @returns {function} pushHistory - Función para agregar una nueva entrada al historial. Recibe `(path, state)`.
+ * @returns {function} replaceHistory - Función para reemplazar la entrada actual del historial. Recibe `(path, state)`.
+ * @returns {function} go - Saltar `delta` entradas en el historial (negativo hacia atrás).
  * @returns {function} goBack - Función para navegar hacia atrás en el historial.
  * @returns {function} goForward - Función para navegar hacia adelante en el historial.
- * @returns {function} go - Función para navegar a una posición específica en el historial.
+ * @returns {function} clearHistoryListeners - Dejar de actualizar `currentLocation` en esta instancia.
+ * @returns {function} registerBlocker - Registrar un bloqueador de navegación `{ when, message, confirm }`; devuelve la función que lo quita (ver `useNavigationBlocker`).
+ *   - `when` (boolean|function): si bloquea; como función recibe la navegación `{ type, path, delta }`, con `type` `'push'`, `'back'`, `'forward'`, `'pop'` o `'unload'`.
+ *   - `message` (string): el texto del diálogo.
+ *   - `confirm` (function): diálogo propio; recibe la navegación y devuelve (o resuelve) `true` para continuar. Por defecto `window.confirm(message)`.
  * 
  * @example
  * import useBrowserHistory from './useBrowserHistory';
  * 
  * const HistoryExample = () => {
  *   const {
- *     state,
- *     push,
- *     replace,
+ *     currentLocation,
+ *     pushHistory,
+ *     replaceHistory,
  *     goBack,
- *     goForward,
- *     go
+ *     goForward
  *   } = useBrowserHistory();
  * 
  *   return (
  *     <div>
- *       <p>Current URL: {state.url}</p>
- *       <button onClick={() => push('/new-page')}>Go to New Page</button>
- *       <button onClick={() => replace('/replace-page')}>Replace Current Page</button>
+ *       <p>Current URL: {currentLocation.pathname}{currentLocation.search}</p>
+ *       <button onClick={() => pushHistory('/new-page')}>Go to New Page</button>
+ *       <button onClick={() => replaceHistory('/replace-page')}>Replace Current Page</button>
  *       <button onClick={goBack}>Go Back</button>
  *       <button onClick={goForward}>Go Forward</button>
- *       <button onClick={() => go(-2)}>Go Back 2 Steps</button>
  *     </div>
  *   );
  * };
@@ -62,14 +294,21 @@ import { useState, useCallback, useEffect } from 'react';
  * 
  * @note
  * - Este hook utiliza la API de `window.history` para interactuar con el historial del navegador.
- * - `push` agrega una nueva entrada al historial, mientras que `replace` modifica la entrada actual.
+ * - `pushHistory` agrega una nueva entrada al historial, mientras que `replaceHistory` modifica la entrada actual.
  * - Las funciones `goBack` y `goForward` navegan hacia atrás o adelante en el historial.
- * - La función `go` permite navegar a un índice específico en el historial.
- * - El estado actual (`state`) incluye la URL actual y el índice del historial.
+ * - Todas las instancias del hook se actualizan cuando cualquiera de ellas llama a `pushHistory` o `replaceHistory`.
+ * - Con un bloqueador activo, `pushHistory`, `go`, `goBack`, `goForward`, los botones atrás/adelante del navegador y el cierre de la pestaña piden confirmación. `replaceHistory` no se bloquea.
+ * - `pushHistory`, `go`, `goBack` y `goForward` devuelven una promesa que indica si se navegó.
+ * - Al cerrar o recargar la pestaña el navegador muestra su propio diálogo: `confirm` no se usa y la mayoría ignora `message`. Si la navegación ya se confirmó (por ejemplo `goBack` fuera de la aplicación) no se vuelve a preguntar.
+ * - Un atrás/adelante bloqueado no llega a las instancias: `currentLocation` no cambia mientras se confirma.
+ * - La aplicación monta react-router con `BrowserHistoryRouter`, que navega con este hook: `navigate`, `<Link>` y `<Navigate>` pasan por los bloqueadores, y un atrás/adelante bloqueado no cambia la ruta (la vista con cambios sin guardar sigue montada). Con `BrowserRouter`, react-router escucharía `popstate` por su cuenta y los bloqueadores no servirían.
+ * - Atrás/adelante solo se pueden bloquear entre entradas creadas por este hook (o por react-router); las que crea el navegador, como los enlaces `#ancla`, no tienen posición y pasan sin confirmar.
  * 
  * @internal
  * - El hook utiliza un `useEffect` para escuchar cambios en el estado del historial y actualizar el estado local.
- * - La navegación es controlada por la API `window.history` y el evento `popstate`.
+ * - La navegación es controlada por la API `window.history`. Las instancias solo escuchan `LOCATION_CHANGE_EVENT`, que se emite tras `pushState`, `replaceState` y cada `popstate` que pasa los bloqueadores.
+ * - Los bloqueadores y el único listener de `popstate` son globales del módulo. Cada entrada guarda `history.state` con el formato de react-router (`{ usr, key, idx }`), donde `idx` es su posición; al bloquear un `popstate` se vuelve con `history.go(-delta)` y, si se confirma, se repite el salto.
+ * - Esos saltos propios se encolan en `expectedPops` con su posición de destino para no bloquearlos de nuevo. Un salto que no emite `popstate` (más allá del final del historial) se descarta en el siguiente `popstate` que no coincide, o al agregar una entrada.
  */
 const useBrowserHistory = () => {
 
@@ -81,11 +320,8 @@ const useBrowserHistory = () => {
 
 
 
-    const [currentLocation, setCurrentLocation] = useState({
-        pathname: window.location.pathname,
-        search: window.location.search,
-        hash: window.location.hash
-    });
+    const [currentLocation, setCurrentLocation] = useState(readLocation);
+    const [navigationType, setNavigationType] = useState('pop');
 
 
 
@@ -95,39 +331,51 @@ const useBrowserHistory = () => {
 
 
 
-    const updateLocation = useCallback(() => {
-        setCurrentLocation({
-            pathname: window.location.pathname,
-            search: window.location.search,
-            hash: window.location.hash
+    const updateLocation = useCallback((event) => {
+        setCurrentLocation(readLocation());
+        setNavigationType(event.detail.type);
+    }, []);
+
+    // Saltar en el historial (`-1` atrás, `1` adelante)
+    const go = useCallback((delta) => {
+        // `go(0)` recarga la página: solo lo puede bloquear `beforeunload`
+        if (!delta) {
+            window.history.go(0);
+            return Promise.resolve(true);
+        }
+        return confirmTransition({ type: delta < 0 ? 'back' : 'forward', path: null, delta }, () => {
+            if (blockers.size > 0) goConfirmed(delta);
+            else window.history.go(delta);
         });
     }, []);
 
     // Navegar hacia atrás en el historial
-    const goBack = useCallback(() => {
-        window.history.back();
-    }, []);
+    const goBack = useCallback(() => go(-1), [go]);
 
     // Navegar hacia adelante en el historial
-    const goForward = useCallback(() => {
-        window.history.forward();
-    }, []);
+    const goForward = useCallback(() => go(1), [go]);
 
     // Agregar una nueva entrada al historial
-    const pushHistory = useCallback((path, state = {}) => {
-        window.history.pushState(state, '', path);
-        updateLocation();
-    }, [updateLocation]);
+    const pushHistory = useCallback((path, state = null) => {
+        return confirmTransition({ type: 'push', path, delta: 1 }, () => {
+            currentIndex = (getHistoryIndex() ?? 0) + 1;
+            // Las entradas que seguían a la actual desaparecen, y con ellas cualquier salto propio pendiente
+            expectedPops.length = 0;
+            window.history.pushState(createHistoryState(state, currentIndex), '', path);
+            notifyLocationChange('push');
+        });
+    }, []);
 
-    // Reemplazar la entrada actual en el historial
-    const replaceHistory = useCallback((path, state = {}) => {
-        window.history.replaceState(state, '', path);
-        updateLocation();
-    }, [updateLocation]);
+    // Reemplazar la entrada actual en el historial (no se bloquea: no sale de la entrada actual)
+    const replaceHistory = useCallback((path, state = null) => {
+        currentIndex = getHistoryIndex() ?? 0;
+        window.history.replaceState(createHistoryState(state, currentIndex), '', path);
+        notifyLocationChange('replace');
+    }, []);
 
     // Función para limpiar listeners, útil si necesitas agregar más de un listener en un componente
     const clearHistoryListeners = useCallback(() => {
-        window.removeEventListener('popstate', updateLocation);
+        window.removeEventListener(LOCATION_CHANGE_EVENT, updateLocation);
     }, [updateLocation]);
 
 
@@ -139,14 +387,14 @@ const useBrowserHistory = () => {
 
 
     useEffect(() => {
-        // Listener para cambios en el historial
-        const onPopState = () => updateLocation();
-
-        window.addEventListener('popstate', onPopState);
+        // Listener para cambios en el historial (los `popstate` llegan ya filtrados por los bloqueadores)
+        const stopListening = listenPopState();
+        window.addEventListener(LOCATION_CHANGE_EVENT, updateLocation);
 
         return () => {
-            // Limpieza del listener al desmontar el componente
-            window.removeEventListener('popstate', onPopState);
+            // Limpieza de los listeners al desmontar el componente
+            stopListening();
+            window.removeEventListener(LOCATION_CHANGE_EVENT, updateLocation);
         };
     }, [updateLocation]);
 
@@ -160,11 +408,14 @@ const useBrowserHistory = () => {
 
     return {
         currentLocation,
+        navigationType,
+        go,
         goBack,
         goForward,
         pushHistory,
         replaceHistory,
-        clearHistoryListeners
+        clearHistoryListeners,
+        registerBlocker
     };
 };
 
@@ -176,4 +427,5 @@ const useBrowserHistory = () => {
 
 
 
+export { LOCATION_CHANGE_EVENT };
 export default useBrowserHistory;
\ No newline at end of file
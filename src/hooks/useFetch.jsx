@@ -1,4 +1,12 @@
 import { useState, useEffect, useRef } from 'react';
+import { buildCacheKey } from '../core/fetch/fetchCache';
+import { FetchError } from '../core/fetch/fetchError';
+import { parseResponse } from '../core/fetch/fetchResponse';
+import { defaultShouldRetry, getRetryDelay } from '../core/fetch/fetchRetry';
+import { useFetchCache } from './providers/useFetchCache';
+import { useFetchClient } from './providers/useFetchClient';
+import useNetworkStatus from './useNetworkStatus';
+import { validateSchema } from './usePropTypes';
 
 
 
@@ -8,7 +16,70 @@ import { useState, useEffect, useRef } from 'react';
 
 
 
-//-- no apply
+/**
+ * Resuelve la URL de una consulta. Una URL vacía, una función que retorna un valor vacío
+ * o una función que lanza (por ejemplo al leer `parent.id` cuando `parent` aún es `null`)
+ * indican que la consulta todavía no está lista.
+ * @function resolveUrl
+ * @param {string|function|null} url - La URL, o una función `() => url`.
+ * @returns {string|null} - La URL resuelta, o `null` si la consulta no está lista.
+ */
+function resolveUrl(url) {
+  if (typeof url !== 'function') return url || null;
+  try {
+    return url() || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Indica si el cuerpo de la solicitud se puede serializar de forma estable para deduplicarla y cachearla.
+ * Los cuerpos `FormData`, `Blob` o streams se envían siempre con su propia solicitud.
+ * @function hasSerializableBody
+ * @param {Object} options - Las opciones de `fetch`.
+ * @returns {boolean} - `true` si no hay cuerpo o es texto, `URLSearchParams` o un objeto plano.
+ */
+function hasSerializableBody(options) {
+  const { body } = options;
+  if (body === undefined || body === null || typeof body === 'string') return true;
+  if (body instanceof URLSearchParams) return true;
+  return Array.isArray(body) || Object.prototype.toString.call(body) === '[object Object]';
+}
+
+/**
+ * Valida los datos recibidos contra un esquema de `usePropTypes`.
+ * En modo `'strict'` retorna un `FetchError` con código `'VALIDATION_ERROR'` y la lista de problemas en `issues`;
+ * en modo `'lenient'` solo muestra una advertencia en desarrollo.
+ * @function validateResponse
+ * @param {*} data - Los datos sin transformar.
+ * @param {Object|null} schema - El esquema creado con `types` (por ejemplo `types.shape({...})`).
+ * @param {Object} config - `{ mode, url }`.
+ * @returns {FetchError|null} - El error de validación, o `null` si los datos son válidos o el modo es `'lenient'`.
+ * @note Nunca lanza: un esquema mal definido se reporta como un problema más, ya que se llama desde la caché y las suscripciones.
+ */
+function validateResponse(data, schema, { mode, url }) {
+  if (!schema) return null;
+
+  let issues;
+  try {
+    issues = validateSchema(schema, data);
+  } catch (err) {
+    issues = [{ path: '', message: err.message, expected: 'schema', received: typeof data }];
+  }
+  if (issues.length === 0) return null;
+
+  const error = new FetchError(`Error: la respuesta de ${url} no cumple con el esquema esperado`, {
+    code: 'VALIDATION_ERROR',
+    url,
+    body: data,
+    issues,
+  });
+
+  if (mode === 'strict') return error;
+  if (import.meta.env.DEV) console.warn(error.message, issues);
+  return null;
+}
 
 
 
@@ -22,19 +93,47 @@ import { useState, useEffect, useRef } from 'react';
  * Hook personalizado para realizar solicitudes HTTP con soporte para reintentos, caché, y callbacks para manejar el ciclo de vida de la solicitud.
  * 
  * @function useFetch
- * @param {string} url - La URL a la que se realizará la solicitud HTTP.
+ * @param {string|function|null} url - La URL a la que se realizará la solicitud HTTP, o una función `() => url` para derivarla de otros datos (por ejemplo el resultado de otra consulta). Si es vacía, o la función retorna un valor vacío o lanza, la consulta espera.
  * @param {Object} [options={}] - Opciones adicionales para la solicitud fetch.
  * @param {Object} [config={}] - Configuración adicional para el hook.
+ * @param {boolean} [config.enabled=true] - Si la consulta se ejecuta automáticamente. Con `false` no se solicita ni se revalida hasta que vuelva a ser `true`.
+ * @param {boolean} [config.lazy=false] - Si la consulta solo se ejecuta al llamar `refetch()`, no al montar ni al cambiar la URL.
  * @param {number} [config.retryCount=3] - Número de reintentos en caso de fallo de la solicitud.
- * @param {number} [config.retryDelay=1000] - Tiempo en milisegundos entre reintentos.
+ * @param {number} [config.retryDelay=1000] - Espera base en milisegundos del primer reintento. Cada reintento duplica la espera (retroceso exponencial).
+ * @param {number} [config.maxRetryDelay=30000] - Espera máxima en milisegundos entre reintentos.
+ * @param {boolean} [config.retryJitter=true] - Si se aplica una variación aleatoria a la espera para evitar reintentos sincronizados.
+ * @param {function} [config.shouldRetry=defaultShouldRetry] - Predicado `(error, attempt) => boolean` que decide si se reintenta. Por defecto no se reintentan los 4xx (salvo 408, 425 y 429) ni las cancelaciones.
+ * @param {number} [config.timeout=0] - Tiempo límite en milisegundos de cada intento. Al vencer se aborta la solicitud con un `FetchError` de código `'TIMEOUT'`. `0` desactiva el límite.
+ * @param {string} [config.responseType='json'] - Cómo leer el cuerpo de la respuesta: 'json', 'text', 'blob', 'arrayBuffer', 'formData', 'stream' o 'auto' (según `Content-Type`).
  * @param {function} [config.transformResponse=(response) => response] - Función para transformar la respuesta antes de almacenarla en el estado.
+ * @param {Object} [config.schema=null] - Esquema de `usePropTypes` (por ejemplo `types.shape({...})` o `types.arrayOf([types.shape({...})])`) con el que se valida la respuesta antes de transformarla.
+ * @param {string} [config.validationMode='strict'] - `'strict'`: una respuesta inválida no se guarda en `data` y produce un `FetchError` de código `'VALIDATION_ERROR'` en `error`/`onError`. `'lenient'`: los datos se usan igualmente y solo se advierte en la consola en desarrollo.
  * @param {function} [config.onError=null] - Callback que se ejecuta cuando ocurre un error en la solicitud.
  * @param {string} [config.cachePolicy='no-cache'] - Política de caché para la solicitud. Puede ser 'no-cache', 'reload', 'no-store', 'same-origin', o 'default'.
+ * @param {string} [config.cacheKey] - Llave de caché propia. Por defecto se construye con la URL, el método y el cuerpo (ver `buildCacheKey`).
+ * @param {number} [config.ttl] - Tiempo de vida (ms) de la entrada en la caché compartida. Por defecto el del `FetchCacheProvider`.
+ * @param {number} [config.staleTime] - Tiempo (ms) durante el cual la entrada se considera fresca. Al vencer se sirve igualmente y se revalida en segundo plano.
+ * @param {number} [config.refetchInterval=0] - Intervalo en milisegundos para volver a solicitar los datos (polling). `0` lo desactiva.
+ * @param {boolean} [config.refetchIntervalInBackground=false] - Si el polling continúa mientras la pestaña está oculta.
+ * @param {boolean} [config.refetchOnWindowFocus=false] - Si se revalidan los datos obsoletos cuando la ventana recupera el foco.
+ * @param {boolean} [config.refetchOnReconnect=false] - Si se revalidan los datos cuando `useNetworkStatus` informa que la conexión volvió.
+ * @param {function} [config.onUploadProgress=null] - Callback de progreso de subida `({ loaded, total, percent, rate, eta })`. Al definirlo la solicitud se envía con `XMLHttpRequest`.
+ * @param {function} [config.onDownloadProgress=null] - Callback de progreso de descarga, calculado mientras se lee el cuerpo de la respuesta.
  * @param {function} [config.onStart=null] - Callback que se ejecuta cuando comienza la solicitud.
  * @param {function} [config.onSuccess=null] - Callback que se ejecuta cuando la solicitud se completa con éxito.
  * @param {function} [config.onComplete=null] - Callback que se ejecuta cuando la solicitud se completa, ya sea con éxito o con error.
  * @returns {Object} - Un objeto con los datos de la respuesta, el estado de carga, el error y una función para reintentar la solicitud.
  * 
+ * @returns {*} data - Los datos de la respuesta, ya transformados.
+ * @returns {boolean} loading - Indica si la solicitud está en curso y no hay datos en caché para mostrar.
+ * @returns {boolean} validating - Indica si se están revalidando los datos en segundo plano (caché obsoleta, polling, foco o reconexión).
+ * @returns {Object|null} progress - El último evento de progreso `{ phase, loaded, total, percent, rate, eta, done }` si se usa `onUploadProgress` u `onDownloadProgress`.
+ * @returns {FetchError|Error|null} error - El error de la última solicitud. Los errores HTTP son `FetchError` con `status`, `headers` y `body`.
+ * @returns {function} refetch - Volver a ejecutar la solicitud (también en modo `lazy` o con `enabled: false`, siempre que la URL esté lista).
+ * @returns {boolean} ready - Indica si la URL está resuelta, es decir, si la consulta puede ejecutarse.
+ * @returns {string|null} cacheKey - La llave de la solicitud en la caché compartida, o `null` si la URL no está lista.
+ * @returns {function} invalidate - Marcar como obsoleta la entrada de esta solicitud y revalidarla.
+ * 
  * @example
  * import useFetch from './useFetch';
  * 
@@ -58,6 +157,26 @@ import { useState, useEffect, useRef } from 'react';
  *     }
  *   );
  * 
+ *   // Consulta dependiente: espera a que exista el primer usuario
+ *   const { data: posts } = useFetch(
+ *     () => `https://jsonplaceholder.typicode.com/posts?userId=${data[0].id}`,
+ *     {},
+ *     { cachePolicy: 'default' }
+ *   );
+ * 
+ *   // Consulta diferida: solo se ejecuta al llamar a `loadTodos`
+ *   const { data: todos, refetch: loadTodos } = useFetch(
+ *     'https://jsonplaceholder.typicode.com/todos',
+ *     {},
+ *     { lazy: true }
+ *   );
+ * 
+ *   // Descarga con progreso: `progress.percent` y `progress.eta` se actualizan mientras llega el cuerpo
+ *   const { progress } = useFetch('/api/reports/users.csv', {}, {
+ *     responseType: 'blob',
+ *     onDownloadProgress: (event) => console.log(`${event.percent}%`),
+ *   });
+ * 
  *   if (loading) return <p>Loading...</p>;
  *   if (error) return <p>Error: {error.message}</p>;
  * 
@@ -78,23 +197,59 @@ import { useState, useEffect, useRef } from 'react';
  * 
  * @note
  * - La solicitud se realiza cuando el componente se monta y se limpia si el componente se desmonta o la URL cambia.
- * - `retryCount` y `retryDelay` permiten reintentar la solicitud en caso de fallo.
+ * - Mientras la URL no esté lista, `enabled` sea `false` o el hook esté en modo `lazy`, no se hace ninguna solicitud automática: ni al montar, ni por polling, foco, reconexión o invalidación.
+ * - Una consulta `lazy` que ya se ejecutó con `refetch` sí se revalida automáticamente (polling, foco, reconexión, invalidación) mientras su URL no cambie.
+ * - Al deshabilitar la consulta o dejar de estar lista, se conservan los últimos datos obtenidos.
+ * - `retryCount` y `retryDelay` permiten reintentar la solicitud en caso de fallo, con retroceso exponencial y jitter.
+ * - Si la respuesta de error incluye la cabecera `Retry-After`, se espera lo que indica en lugar del retroceso calculado.
+ * - Cada llamada a `refetch` (o cambio de URL) empieza con el contador de reintentos en cero; `loading` se mantiene activo durante los reintentos.
  * - `transformResponse` permite modificar la respuesta antes de almacenarla.
+ * - Con `onUploadProgress` u `onDownloadProgress` el estado `progress` se actualiza con los bytes transferidos, el porcentaje y el tiempo restante estimado (`eta`, en ms). La solicitud se sigue pudiendo cancelar al desmontar, al cambiar la URL o por `timeout`.
+ * - Las solicitudes con `onUploadProgress` u `onDownloadProgress` no se deduplican ni se cachean: una solicitud compartida solo informaría el progreso al primer componente que la inició.
+ * - Las solicitudes con cuerpo `FormData` (multipart), `Blob` o stream no se deduplican ni se cachean, ya que su cuerpo no se puede comparar.
+ * - Con `schema` la respuesta sin transformar se valida con `validateSchema`; en modo `'strict'` el error incluye `issues` con la ruta de cada problema (`'[0].email'`) y no se reintenta.
  * - Los callbacks `onStart`, `onSuccess`, `onComplete`, y `onError` permiten manejar eventos específicos del ciclo de vida de la solicitud.
  * - La política de caché puede ser configurada para evitar solicitudes repetidas.
+ * - Con una `cachePolicy` distinta de `'no-cache'` la respuesta se comparte con todas las instancias de `useFetch` (ver `FetchCacheProvider`) y sobrevive al desmontaje del componente.
+ * - Las solicitudes idénticas en curso (misma URL, método y cuerpo) se deduplican, sin importar la política de caché.
+ * - Las respuestas sin cuerpo (204, 205, 304) producen `data === null` en lugar de un error.
+ * - Con `responseType: 'stream'` el cuerpo no se cachea ni se comparte entre solicitudes idénticas, ya que un `ReadableStream` solo puede leerse una vez.
+ * - La solicitud se envía a través del cliente de `useFetchClient`, que aplica la URL base, las cabeceras por defecto, el tiempo límite y los interceptores.
+ * - Cuando se invalida la llave (`invalidate` o `useFetchCache().invalidate(prefijo)`) el hook vuelve a solicitar los datos.
+ * - Las revalidaciones automáticas (polling, foco, reconexión, invalidación) no activan `loading`, sino `validating`, para no ocultar los datos ya mostrados.
+ * - El polling se pausa mientras la pestaña está oculta (salvo `refetchIntervalInBackground`) o no hay conexión, e ignora `staleTime`; el foco y la reconexión solo revalidan si los datos están obsoletos.
  * 
  * @internal
  * - El hook utiliza un `AbortController` para cancelar solicitudes si el componente se desmonta o se actualizan las dependencias.
- * - La caché se gestiona utilizando un objeto `cache` para almacenar respuestas basadas en la URL.
+ * - La caché se obtiene de `useFetchCache` y guarda la respuesta sin transformar; cada instancia aplica su propio `transformResponse`.
+ * - El hook se suscribe a su llave de caché para reflejar actualizaciones hechas por otras instancias o por `mutate`.
  * - Se usa un `Set` para manejar la lista de elementos visibles y no visibles para evitar duplicados y mejorar el rendimiento.
  */
 const useFetch = (url, options = {}, config = {}) => {
   const {
+    enabled = true,
+    lazy = false,
     retryCount = 3,
     retryDelay = 1000,
+    maxRetryDelay = 30000,
+    retryJitter = true,
+    shouldRetry = defaultShouldRetry,
+    timeout = 0,
     transformResponse = (response) => response,
+    schema = null,
+    validationMode = 'strict',
     onError = null,
     cachePolicy = 'no-cache',
+    cacheKey: customCacheKey,
+    responseType = 'json',
+    ttl,
+    staleTime,
+    refetchInterval = 0,
+    refetchIntervalInBackground = false,
+    refetchOnWindowFocus = false,
+    refetchOnReconnect = false,
+    onUploadProgress = null,
+    onDownloadProgress = null,
     onStart = null,
     onSuccess = null,
     onComplete = null,
@@ -102,80 +257,236 @@ const useFetch = (url, options = {}, config = {}) => {
 
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [validating, setValidating] = useState(false);
   const [error, setError] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [activatedKey, setActivatedKey] = useState(null);
   const abortControllerRef = useRef(null);
   const retryAttempt = useRef(0);
-  const cache = useRef({});
+  const retryTimerRef = useRef(null);
+  const revalidateRef = useRef(null);
+  const refetchOnReconnectRef = useRef(refetchOnReconnect);
+  const transformResponseRef = useRef(transformResponse);
+  const validationRef = useRef(null);
+  const cache = useFetchCache();
+  const client = useFetchClient();
+  const resolvedUrl = resolveUrl(url);
+  const ready = resolvedUrl !== null;
+  const cacheKey = ready ? customCacheKey || buildCacheKey(resolvedUrl, options) : null;
+  // Automatic fetches need a ready URL; lazy queries only revalidate once refetch() has run for this key
+  const autoFetch = ready && enabled && !lazy;
+  const autoRevalidate = ready && enabled && (!lazy || activatedKey === cacheKey);
+  // A ReadableStream can only be read once, and a shared call would only report progress to its first caller,
+  // so stream responses and requests with progress callbacks are never shared or cached
+  const shareable = hasSerializableBody(options) && responseType !== 'stream' && !onUploadProgress && !onDownloadProgress;
+  const useCache = cachePolicy !== 'no-cache' && shareable;
 
-  const fetchData = async () => {
-    if (onStart) onStart();
+  transformResponseRef.current = transformResponse;
+  validationRef.current = { schema, mode: validationMode, url: resolvedUrl };
+  refetchOnReconnectRef.current = refetchOnReconnect;
+
+  // Revalidate when the connection comes back online
+  const isOnline = useNetworkStatus(() => {
+    if (refetchOnReconnectRef.current && revalidateRef.current) revalidateRef.current();
+  });
+
+  const executeFetch = async ({ background = false, force = false } = {}) => {
+    if (onStart && retryAttempt.current === 0) onStart();
 
-    setLoading(true);
     setError(null);
 
-    // Check cache first
-    if (cachePolicy !== 'no-cache' && cache.current[url]) {
-      setData(cache.current[url]);
-      setLoading(false);
-      if (onSuccess) onSuccess(cache.current[url]);
-      if (onComplete) onComplete();
-      return;
+    // Check cache first (stale entries are served and revalidated in background)
+    const cached = useCache && !force ? cache.get(cacheKey) : undefined;
+    const cachedError = cached ? validateResponse(cached.data, schema, { mode: validationMode, url: resolvedUrl }) : null;
+    if (cached && cachedError) {
+      // Invalid cached data is not shown; it is requested again
+      setLoading(true);
+    } else if (cached) {
+      const cachedResult = transformResponse(cached.data);
+      setData(cachedResult);
+      if (onSuccess) onSuccess(cachedResult);
+
+      if (!cache.isStale(cacheKey)) {
+        setLoading(false);
+        if (onComplete) onComplete();
+        return;
+      }
+      setValidating(true);
+    } else if (background) {
+      setValidating(true);
+    } else {
+      setLoading(true);
     }
 
     // Create a new AbortController
     const abortController = new AbortController();
     abortControllerRef.current = abortController;
 
-    try {
-      const response = await fetch(url, {
-        ...options,
-        signal: abortController.signal,
-        cache: cachePolicy,
-      });
-
-      if (!response.ok) {
-        throw new Error(`Error: ${response.statusText}`);
-      }
+    // Abort this attempt when it exceeds the timeout
+    const timeoutId = timeout > 0
+      ? setTimeout(() => {
+        abortController.abort(new FetchError(`Error: la solicitud superó el tiempo límite de ${timeout} ms`, { code: 'TIMEOUT', url: resolvedUrl }));
+      }, timeout)
+      : null;
 
-      const result = await response.json();
-      const transformedResult = transformResponse(result);
+    let willRetry = false;
 
-      // Cache the response if needed
-      if (cachePolicy !== 'no-cache') {
-        cache.current[url] = transformedResult;
+    // Report progress to the state and to the consumer callbacks
+    const trackProgress = (callback) => (callback
+      ? (event) => {
+        setProgress(event);
+        callback(event);
       }
+      : undefined);
+    if (onUploadProgress || onDownloadProgress) setProgress(null);
+
+    try {
+      const request = async (signal) => {
+        // The client applies base URL, default headers, timeout and interceptors
+        const response = await client.request(resolvedUrl, {
+          ...options,
+          signal,
+          cache: cachePolicy,
+          onUploadProgress: trackProgress(onUploadProgress),
+          onDownloadProgress: trackProgress(onDownloadProgress),
+        });
+
+        const result = await parseResponse(response, responseType);
+
+        // Cache the raw response if needed
+        if (useCache) {
+          cache.set(cacheKey, result, { ttl, staleTime });
+        }
+
+        return result;
+      };
+
+      // Identical in-flight requests share a single network call (multipart bodies, streams and progress-tracked requests always get their own)
+      const result = shareable
+        ? await cache.dedupe(cacheKey, request, { signal: abortController.signal })
+        : await request(abortController.signal);
+
+      const validationError = validateResponse(result, schema, { mode: validationMode, url: resolvedUrl });
+      if (validationError) throw validationError;
+
+      const transformedResult = transformResponse(result);
 
       setData(transformedResult);
       if (onSuccess) onSuccess(transformedResult);
     } catch (err) {
-      if (err.name === 'AbortError') {
-        console.log('Fetch aborted');
-      } else {
-        if (retryAttempt.current < retryCount) {
-          retryAttempt.current += 1;
-          setTimeout(fetchData, retryDelay);
+      if (err.name !== 'AbortError') {
+        const nextAttempt = retryAttempt.current + 1;
+        if (nextAttempt <= retryCount && shouldRetry(err, nextAttempt)) {
+          willRetry = true;
+          retryAttempt.current = nextAttempt;
+          const delay = getRetryDelay(err, nextAttempt, { retryDelay, maxRetryDelay, jitter: retryJitter });
+          retryTimerRef.current = setTimeout(() => executeFetch({ background, force }), delay);
         } else {
           setError(err);
           if (onError) onError(err);
         }
       }
     } finally {
-      setLoading(false);
-      if (onComplete) onComplete();
+      if (timeoutId) clearTimeout(timeoutId);
+      if (!willRetry) {
+        setLoading(false);
+        setValidating(false);
+        if (onComplete) onComplete();
+      }
     }
   };
 
+  // Start an independent fetch: pending retries are discarded and the attempt counter is reset
+  const startFetch = (mode) => {
+    if (retryTimerRef.current) clearTimeout(retryTimerRef.current);
+    retryTimerRef.current = null;
+    retryAttempt.current = 0;
+    return executeFetch(mode);
+  };
+
+  const fetchData = () => startFetch();
+
+  // Manual fetch: works in lazy mode or while disabled, as long as the URL is ready
+  const refetch = () => {
+    if (!ready) return Promise.resolve();
+    if (lazy) setActivatedKey(cacheKey);
+    return fetchData();
+  };
+
+  revalidateRef.current = autoRevalidate
+    ? (force = false) => startFetch({ background: true, force })
+    : null;
+
   useEffect(() => {
-    fetchData();
+    if (autoFetch) fetchData();
 
     return () => {
+      if (retryTimerRef.current) {
+        clearTimeout(retryTimerRef.current);
+      }
       if (abortControllerRef.current) {
         abortControllerRef.current.abort();
       }
     };
-  }, [url, JSON.stringify(options)]); // Dependencias solo cuando url u options cambian
+  }, [resolvedUrl, JSON.stringify(options), autoFetch]); // Dependencias solo cuando url, options o la habilitación cambian
+
+  // Mantener el hook sincronizado con la caché compartida
+  useEffect(() => {
+    if (!cacheKey) return;
+
+    return cache.subscribe(cacheKey, (event, entry) => {
+      if (event === 'update' && useCache && entry) {
+        const { schema: currentSchema, mode, url: currentUrl } = validationRef.current;
+        const validationError = validateResponse(entry.data, currentSchema, { mode, url: currentUrl });
+        if (validationError) {
+          setError(validationError);
+          return;
+        }
+        setData(transformResponseRef.current(entry.data));
+      }
+      if (event === 'invalidate' && revalidateRef.current) {
+        revalidateRef.current();
+      }
+    });
+  }, [cache, cacheKey, useCache]);
+
+  // Polling (paused while the tab is hidden or offline)
+  useEffect(() => {
+    if (!refetchInterval || refetchInterval <= 0 || !isOnline || !autoRevalidate) return;
+
+    const intervalId = setInterval(() => {
+      if (!refetchIntervalInBackground && document.visibilityState === 'hidden') return;
+      if (revalidateRef.current) revalidateRef.current(true);
+    }, refetchInterval);
+
+    return () => clearInterval(intervalId);
+  }, [refetchInterval, refetchIntervalInBackground, isOnline, autoRevalidate]);
+
+  // Revalidate stale data when the window regains focus
+  useEffect(() => {
+    if (!refetchOnWindowFocus || !autoRevalidate) return;
+
+    const onFocus = () => {
+      if (revalidateRef.current) revalidateRef.current();
+    };
+
+    window.addEventListener('focus', onFocus);
+    return () => window.removeEventListener('focus', onFocus);
+  }, [refetchOnWindowFocus, autoRevalidate]);
 
-  return { data, loading, error, refetch: fetchData };
+  return {
+    data,
+    loading,
+    validating,
+    progress,
+    error,
+    refetch,
+    ready,
+    cacheKey,
+    invalidate: () => {
+      if (cacheKey) cache.invalidate(cacheKey);
+    },
+  };
 };
 
 
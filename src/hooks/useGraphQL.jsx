@@ -0,0 +1,228 @@
+import { useState, useEffect, useMemo } from 'react';
+import {
+    getOperationName,
+    buildGraphQLCacheKey,
+    hashQuery,
+    buildGraphQLRequest,
+    isPersistedQueryNotFound,
+    createGraphQLError,
+} from '../core/fetch/graphql';
+import { useFetchCache } from './providers/useFetchCache';
+import useFetch from './useFetch';
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*UTILS------------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+//-- no apply
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*CUSTOM HOOK & EXPORTABLES----------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Hook personalizado para ejecutar consultas GraphQL sobre `useFetch`, con manejo de la respuesta
+ * `{ data, errors }` (incluidos los errores parciales), caché por nombre de operación y variables
+ * compartida con las solicitudes REST, y consultas persistidas por hash.
+ *
+ * @function useGraphQL
+ * @param {string} query - El documento GraphQL de la consulta.
+ * @param {Object} [variables={}] - Las variables de la consulta.
+ * @param {Object} [config={}] - Configuración adicional para el hook. Además de las opciones propias, acepta las de `useFetch` (`enabled`, `lazy`, `retryCount`, `refetchInterval`, `staleTime`, etc).
+ * @param {string} [config.endpoint='/graphql'] - La URL del servidor GraphQL (relativa a la URL base del cliente).
+ * @param {string} [config.method='POST'] - `'POST'` (cuerpo JSON) o `'GET'` (parámetros en la URL, útil con consultas persistidas y CDNs).
+ * @param {string} [config.operationName] - Nombre de la operación. Por defecto se toma del documento.
+ * @param {string} [config.errorPolicy='all'] - Qué hacer con los `errors` de la respuesta: `'none'` (se descartan los datos y se informa el error), `'all'` (se conservan los datos parciales y se informa el error) o `'ignore'` (se conservan los datos y no se informa el error).
+ * @param {boolean} [config.persisted=false] - Si se usan consultas persistidas: se envía solo el hash SHA-256 del documento y, si el servidor no lo conoce, se reenvía con el documento completo.
+ * @param {string} [config.hash] - Hash SHA-256 del documento ya calculado (por ejemplo al compilar). Si no se indica se calcula con `hashQuery`.
+ * @param {string} [config.cachePolicy='default'] - Política de caché de `useFetch`. Por defecto las consultas se cachean.
+ * @param {function} [config.onSuccess=null] - Callback con los datos de la respuesta. Recibe `(data, errors)`.
+ * @param {function} [config.onError=null] - Callback cuando falla la solicitud o la respuesta trae `errors`.
+ * @returns {Object} - El resultado de la consulta.
+ *
+ * @returns {*} data - El campo `data` de la respuesta (`null` si no hay datos o `errorPolicy` es `'none'` y hubo errores).
+ * @returns {Array} errors - Los `errors` de la respuesta (vacío si no hay).
+ * @returns {FetchError|null} error - El error de red/HTTP, o un `FetchError` de código `'GRAPHQL_ERROR'` con los errores en `issues`.
+ * @returns {boolean} loading - Indica si la consulta está en curso (incluido el cálculo del hash y el reenvío del documento).
+ * @returns {boolean} validating - Indica si se están revalidando los datos en segundo plano.
+ * @returns {function} refetch - Volver a ejecutar la consulta.
+ * @returns {function} invalidate - Marcar como obsoleta la entrada de esta consulta y revalidarla.
+ * @returns {string} cacheKey - La llave de la consulta en la caché compartida.
+ * @returns {string|null} operationName - El nombre de la operación.
+ *
+ * @example
+ * import useGraphQL from './useGraphQL';
+ * import { useFetchCache } from './providers/useFetchCache';
+ *
+ * const USER_QUERY = `
+ *   query GetUser($id: ID!) {
+ *     user(id: $id) { id name avatar }
+ *   }
+ * `;
+ *
+ * const UserCard = ({ id }) => {
+ *   const { data, errors, loading, error } = useGraphQL(USER_QUERY, { id }, {
+ *     persisted: true,
+ *     staleTime: 30000,
+ *   });
+ *
+ *   if (loading) return <p>Cargando...</p>;
+ *   if (!data) return <p>Error: {error.message}</p>;
+ *
+ *   return (
+ *     <div>
+ *       <h2>{data.user.name}</h2>
+ *       {errors.length > 0 && <small>Algunos campos no se pudieron cargar.</small>}
+ *     </div>
+ *   );
+ * };
+ *
+ * // Invalidar todas las variantes de GetUser tras una mutación
+ * const cache = useFetchCache();
+ * cache.invalidate('graphql:GetUser');
+ *
+ * @note
+ * - La llave de caché es `graphql:<operación> <endpoint> <variables>` (ver `buildGraphQLCacheKey`), independiente del método, y convive en el mismo almacén que las solicitudes REST. Con nombre, la llave no depende del documento; las operaciones anónimas se distinguen por un hash del documento (`graphql:anonymous:<hash>`).
+ * - Si el hash no se puede calcular (sin `crypto.subtle`, en orígenes no seguros) la consulta se envía con el documento completo.
+ * - Una respuesta con `errors` y `data` parcial se considera exitosa a nivel HTTP: no se reintenta, y con `errorPolicy: 'all'` se muestran los datos parciales junto con `error`.
+ * - Con `persisted`, la primera solicitud envía solo el hash; si el servidor responde `PersistedQueryNotFound` se descarta esa respuesta y se reenvía con el documento completo.
+ * - `transformResponse` y `cacheKey` de `useFetch` no se pueden usar, ya que el hook necesita la respuesta completa y su propia llave.
+ *
+ * @internal
+ * - Mientras se calcula el hash la URL que recibe `useFetch` es `null`, de modo que la consulta espera sin solicitar nada.
+ * - El reenvío del documento se hace guardando en el estado el hash rechazado: el cuerpo cambia y `useFetch` vuelve a solicitar.
+ */
+const useGraphQL = (query, variables = {}, config = {}) => {
+    const {
+        endpoint = '/graphql',
+        method = 'POST',
+        operationName: customOperationName,
+        errorPolicy = 'all',
+        persisted = false,
+        hash: providedHash = null,
+        cachePolicy = 'default',
+        onSuccess = null,
+        onError = null,
+        ...fetchConfig
+    } = config;
+
+
+
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+    /*VARIABLES (useStates)-------------------------------------------------------------------------*/
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+    const [computedHash, setComputedHash] = useState(null);
+    const [rejectedHash, setRejectedHash] = useState(null);
+    const cache = useFetchCache();
+    const operationName = customOperationName || getOperationName(query);
+    const computed = computedHash && computedHash.query === query ? computedHash : null;
+    const hash = persisted ? providedHash || (computed ? computed.hash : null) : null;
+    // Un hash calculado como `null` (no se pudo calcular) también deja lista la consulta
+    const ready = !persisted || Boolean(providedHash) || Boolean(computed);
+    const cacheKey = buildGraphQLCacheKey(operationName, variables, endpoint, query);
+    const request = buildGraphQLRequest(endpoint, {
+        query,
+        variables,
+        operationName,
+        hash,
+        includeQuery: !persisted || rejectedHash === hash,
+    }, method);
+
+
+
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+    /*FUNCIONES (useEffects)------------------------------------------------------------------------*/
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+    // Calcular el hash del documento para las consultas persistidas
+    useEffect(() => {
+        if (!persisted || providedHash) return;
+
+        let cancelled = false;
+        hashQuery(query)
+            .then((value) => {
+                if (!cancelled) setComputedHash({ query, hash: value });
+            })
+            .catch(() => {
+                // Sin hash se envía el documento completo
+                if (!cancelled) setComputedHash({ query, hash: null });
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [persisted, providedHash, query]);
+
+
+    const result = useFetch(ready ? request.url : null, request.options, {
+        ...fetchConfig,
+        cachePolicy,
+        cacheKey,
+        transformResponse: undefined,
+        onError,
+        onSuccess: (envelope) => {
+            // El servidor no conoce el hash: descartar la respuesta y reenviar con el documento
+            if (isPersistedQueryNotFound(envelope)) {
+                cache.remove(cacheKey);
+                setRejectedHash(hash);
+                return;
+            }
+
+            const graphQLError = createGraphQLError(envelope, endpoint);
+            if (graphQLError && errorPolicy !== 'ignore' && onError) onError(graphQLError);
+            if (onSuccess && (!graphQLError || errorPolicy !== 'none')) {
+                onSuccess(envelope ? envelope.data ?? null : null, (envelope && envelope.errors) || []);
+            }
+        },
+    });
+
+    const envelope = result.data;
+    const notFound = isPersistedQueryNotFound(envelope);
+    const graphQLError = useMemo(
+        () => (notFound ? null : createGraphQLError(envelope, endpoint)),
+        [envelope, notFound, endpoint]
+    );
+
+
+
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+    /*RETURN ---------------------------------------------------------------------------------------*/
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+    return {
+        data: !envelope || notFound || (graphQLError && errorPolicy === 'none') ? null : envelope.data ?? null,
+        errors: envelope && !notFound ? envelope.errors || [] : [],
+        error: result.error || (errorPolicy === 'ignore' ? null : graphQLError),
+        loading: result.loading || !ready || notFound,
+        validating: result.validating,
+        refetch: result.refetch,
+        invalidate: result.invalidate,
+        cacheKey,
+        operationName,
+    };
+};
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORTS----------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+export default useGraphQL;
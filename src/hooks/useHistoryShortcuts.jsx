@@ -0,0 +1,129 @@
+import { useEffect, useRef } from 'react';
+import useKeyboardShortcuts, { isApplePlatform } from './useKeyboardShortcuts';
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*UTILS------------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+const UNDO_COMBO = 'Mod+z';
+const REDO_COMBO = 'Mod+Shift+z';
+// Atajo adicional de rehacer en Windows y Linux (en macOS no es una convención)
+const ALT_REDO_COMBO = 'Ctrl+y';
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*CUSTOM HOOK & EXPORTABLES----------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Hook que conecta `useHistoryState` con el teclado: registra los atajos de deshacer y rehacer
+ * de cada plataforma mediante `useKeyboardShortcuts`.
+ *
+ * @function useHistoryShortcuts
+ * @param {Object} history - El objeto que devuelve `useHistoryState` (se usan `undo`, `redo`, `canUndo` y `canRedo`).
+ * @param {Object} [config={}] - Configuración adicional para el hook.
+ * @param {Object} [config.target=null] - Referencia (`useRef`) al contenedor del editor. Si se indica, los atajos solo responden cuando el foco está dentro de él; si no, en toda la ventana.
+ * @param {boolean} [config.enabled=true] - Si los atajos están activos.
+ * @returns {Object} - Textos de los atajos para mostrarlos en botones o tooltips.
+ *
+ * @returns {string} undoLabel - El atajo de deshacer, por ejemplo `'⌘Z'` o `'Ctrl+Z'`.
+ * @returns {string} redoLabel - El atajo de rehacer, por ejemplo `'⇧⌘Z'` o `'Ctrl+Y'`.
+ *
+ * @example
+ * import useHistoryState from './useHistoryState';
+ * import useHistoryShortcuts from './useHistoryShortcuts';
+ *
+ * const Editor = () => {
+ *   const [doc, setDoc] = useState('');
+ *   const editorRef = useRef(null);
+ *   const history = useHistoryState([{ state: doc, setState: setDoc }], { coalesceMs: 500 });
+ *   const { undoLabel, redoLabel } = useHistoryShortcuts(history, { target: editorRef });
+ *
+ *   return (
+ *     <div ref={editorRef} tabIndex={-1}>
+ *       <textarea value={doc} onChange={(e) => setDoc(e.target.value)} />
+ *       <button onClick={history.undo} disabled={!history.canUndo} title={undoLabel}>Deshacer</button>
+ *       <button onClick={history.redo} disabled={!history.canRedo} title={redoLabel}>Rehacer</button>
+ *     </div>
+ *   );
+ * };
+ *
+ * @note
+ * - Deshacer es `Cmd+Z` en macOS/iOS y `Ctrl+Z` en el resto. Rehacer es `Cmd+Shift+Z` en macOS/iOS, y `Ctrl+Shift+Z` o `Ctrl+Y` en el resto.
+ * - Cuando no hay nada que deshacer (o rehacer) el atajo no se registra, así que el navegador conserva su comportamiento (por ejemplo, deshacer el texto de un campo).
+ *
+ * @internal
+ * - `undo` y `redo` se leen desde referencias, de modo que los atajos solo se vuelven a registrar cuando cambian `canUndo` o `canRedo`.
+ */
+const useHistoryShortcuts = (history, config = {}) => {
+    const { undo, redo, canUndo, canRedo } = history;
+    const { target = null, enabled = true } = config;
+    const { addShortcut, removeShortcut } = useKeyboardShortcuts({ target, enabled });
+    const apple = isApplePlatform();
+
+
+
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+    /*VARIABLES (useRef)----------------------------------------------------------------------------*/
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+    const undoRef = useRef(undo);
+    const redoRef = useRef(redo);
+    undoRef.current = undo;
+    redoRef.current = redo;
+
+
+
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+    /*FUNCIONES (useEffects)------------------------------------------------------------------------*/
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+    // Registrar deshacer solo cuando hay algo que deshacer
+    useEffect(() => {
+        if (!canUndo) return;
+        addShortcut(UNDO_COMBO, () => undoRef.current());
+        return () => removeShortcut(UNDO_COMBO);
+    }, [canUndo, addShortcut, removeShortcut]);
+
+    // Registrar rehacer solo cuando hay algo que rehacer
+    useEffect(() => {
+        if (!canRedo) return;
+        const combos = apple ? [REDO_COMBO] : [REDO_COMBO, ALT_REDO_COMBO];
+        combos.forEach((combo) => addShortcut(combo, () => redoRef.current()));
+        return () => combos.forEach((combo) => removeShortcut(combo));
+    }, [canRedo, apple, addShortcut, removeShortcut]);
+
+
+
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+    /*RETURN ---------------------------------------------------------------------------------------*/
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+    return {
+        undoLabel: apple ? '⌘Z' : 'Ctrl+Z',
+        redoLabel: apple ? '⇧⌘Z' : 'Ctrl+Y',
+    };
+};
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORTS----------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+export default useHistoryShortcuts;
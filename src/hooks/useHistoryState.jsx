@@ -1,4 +1,7 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { diffValues, applyPatches } from '../core/history/historyPatches';
+import { createSessionStorageAdapter, createHistoryChannel } from '../core/history/historyStorage';
+import { ROOT_ID, getChildren, getTraversal, pruneTree } from '../core/history/historyTree';
 
 
 
@@ -8,7 +11,53 @@ import { useState, useEffect, useRef } from 'react';
 
 
 
-//-- no apply
+// Espera antes de guardar el historial, para no escribir en el almacenamiento en cada tecla
+const PERSIST_DELAY = 250;
+const EMPTY_TIMELINE = { entries: [], currentId: ROOT_ID, selected: {} };
+
+/**
+ * Obtiene la entrada que se rehace desde una posición: la última rama visitada o, si no hay, la más reciente.
+ * @function getRedoEntry
+ * @param {Object} timeline - `{ entries, currentId, selected }`.
+ * @returns {Object|undefined} - La entrada a rehacer.
+ */
+function getRedoEntry({ entries, currentId, selected }) {
+    const children = getChildren(entries, currentId);
+    return children.find((entry) => entry.id === selected[currentId]) || children[children.length - 1];
+}
+
+/**
+ * Obtiene la posición a la que vuelve `undo`: el padre del último cambio real, saltando los puntos de
+ * control (entradas sin parches) que haya en el camino.
+ * @function getUndoTarget
+ * @param {Object} timeline - `{ entries, currentId }`.
+ * @returns {number} - El `id` de destino (`ROOT_ID` si no queda ningún cambio por deshacer).
+ */
+function getUndoTarget({ entries, currentId }) {
+    let entry = entries.find((item) => item.id === currentId);
+    while (entry && entry.patches.length === 0) {
+        const { parentId } = entry;
+        entry = entries.find((item) => item.id === parentId);
+    }
+    return entry ? entry.parentId : ROOT_ID;
+}
+
+/**
+ * Obtiene la entrada a la que avanza `redo`: sigue la rama de rehacer atravesando los puntos de control
+ * hasta el siguiente cambio real (o hasta el último punto de control si no hay más cambios).
+ * @function getRedoTarget
+ * @param {Object} timeline - `{ entries, currentId, selected }`.
+ * @returns {Object|undefined} - La entrada de destino.
+ */
+function getRedoTarget(timeline) {
+    let entry = getRedoEntry(timeline);
+    while (entry && entry.patches.length === 0) {
+        const next = getRedoEntry({ ...timeline, currentId: entry.id });
+        if (!next) break;
+        entry = next;
+    }
+    return entry;
+}
 
 
 
@@ -24,14 +73,29 @@ import { useState, useEffect, useRef } from 'react';
  * 
  * @function useHistoryState
  * @param {Array} states - Lista de objetos `{ state, setState }` que se desean observar.
+ * @param {Object} [config={}] - Configuración adicional para el hook.
+ * @param {number} [config.maxHistory=100] - Cantidad máxima de entradas en el historial (contando todas las ramas). Al superarla se descartan primero las ramas abandonadas y luego las entradas más antiguas (`Infinity` para no limitar).
+ * @param {string} [config.persistKey=null] - Llave bajo la que se guarda el historial (árbol, posición y valores actuales). Si se indica, el historial se restaura al montar.
+ * @param {Object} [config.storage=null] - Adaptador de persistencia (`createSessionStorageAdapter` o `createIndexedDBHistoryAdapter`). Por defecto `sessionStorage` con `persistKey`.
+ * @param {boolean} [config.syncTabs=false] - Si las pestañas con la misma `persistKey` comparten el historial mediante `BroadcastChannel`.
+ * @param {number} [config.coalesceMs=0] - Ventana en milisegundos para unir cambios seguidos en una sola entrada (por ejemplo `500` para agrupar lo que se escribe de corrido). `0` registra cada cambio por separado.
  * @returns {Object} - Métodos y estado para manejar el historial de acciones.
  * 
  * @returns {function} undo - Revertir al estado anterior en el historial.
- * @returns {function} redo - Avanzar al siguiente estado en el historial.
+ * @returns {function} redo - Avanzar al siguiente estado en el historial, siguiendo la última rama visitada.
+ * @returns {function} goTo - Ir a cualquier entrada del árbol por su `id` (`0` para el estado inicial), incluidas las de otras ramas.
  * @returns {boolean} canUndo - Indica si hay acciones disponibles para deshacer.
  * @returns {boolean} canRedo - Indica si hay acciones disponibles para rehacer.
- * @returns {function} addCheckpoint - Agregar manualmente un nuevo punto en el historial.
- * @returns {Array} history - El historial completo de acciones (solo lectura).
+ * @returns {function} addCheckpoint - Agregar manualmente un nuevo punto en el historial. Recibe una etiqueta opcional.
+ * @returns {function} beginTransaction - Iniciar una transacción: los cambios hasta `commitTransaction` forman un único paso. Recibe una etiqueta opcional.
+ * @returns {function} commitTransaction - Confirmar la transacción y registrarla como una entrada.
+ * @returns {function} cancelTransaction - Descartar la transacción y restaurar los estados a como estaban al iniciarla.
+ * @returns {boolean} inTransaction - Indica si hay una transacción abierta.
+ * @returns {boolean} hydrated - Indica si ya se restauró el historial guardado (siempre `true` sin `persistKey`).
+ * @returns {boolean} isDirty - Indica si hay cambios sin guardar: la entrada actual no es la marcada con `markSaved` (al principio, el estado inicial) o hay una transacción abierta.
+ * @returns {function} markSaved - Marcar la entrada actual como guardada (por ejemplo tras enviarla al servidor). Confirma la transacción abierta.
+ * @returns {Array} history - Las entradas del árbol `{ id, parentId, label, patches, inversePatches, timestamp }`, en orden de creación (solo lectura).
+ * @returns {number} currentId - El `id` de la entrada actual (`0` si se está en el estado inicial).
  * 
  * @example
  * import useHistoryState from './useHistoryState';
@@ -45,37 +109,105 @@ import { useState, useEffect, useRef } from 'react';
  *     redo,
  *     canUndo,
  *     canRedo,
- *     addCheckpoint
+ *     addCheckpoint,
+ *     beginTransaction,
+ *     commitTransaction
  *   } = useHistoryState([
  *     { state: count, setState: setCount },
  *     { state: text, setState: setText }
- *   ]);
+ *   ], { maxHistory: 50, coalesceMs: 500 });
+ * 
+ *   // Dos cambios que se deshacen con un solo undo
+ *   const reset = () => {
+ *     beginTransaction('Reiniciar');
+ *     setCount(0);
+ *     setText('');
+ *     commitTransaction();
+ *   };
  * 
  *   return (
  *     <div>
  *       <p>Count: {count}</p>
- *       <p>Text: {text}</p>
+ *       <input value={text} onChange={(e) => setText(e.target.value)} />
  *       <button onClick={() => setCount(count + 1)}>Increment</button>
- *       <button onClick={() => setText('Updated Text')}>Update Text</button>
+ *       <button onClick={reset}>Reset</button>
  *       <button onClick={undo} disabled={!canUndo}>Undo</button>
  *       <button onClick={redo} disabled={!canRedo}>Redo</button>
- *       <button onClick={addCheckpoint}>Save Checkpoint</button>
+ *       <button onClick={() => addCheckpoint('Guardado')}>Save Checkpoint</button>
  *     </div>
  *   );
  * };
  * 
  * export default CounterApp;
  * 
+ * @example
+ * // Historial que sobrevive a recargas y se comparte entre pestañas
+ * import { createIndexedDBHistoryAdapter } from '../core/history/historyStorage';
+ * 
+ * const storage = createIndexedDBHistoryAdapter('doc-42');
+ * 
+ * const Editor = () => {
+ *   const [doc, setDoc] = useState(emptyDoc);
+ *   const { undo, redo, hydrated } = useHistoryState([{ state: doc, setState: setDoc }], {
+ *     persistKey: 'doc-42',
+ *     storage,
+ *     syncTabs: true,
+ *   });
+ * 
+ *   if (!hydrated) return <p>Cargando...</p>;
+ *   // ...
+ * };
+ * 
+ * @example
+ * // Panel con el árbol del historial
+ * import GemiHistoryPanel from '../libs/gemi/GemiHistoryPanel/GemiHistoryPanel';
+ * 
+ * const historyState = useHistoryState([{ state: doc, setState: setDoc }]);
+ * 
+ * <GemiHistoryPanel {...historyState} />
+ * 
+ * @example
+ * // Avisar antes de salir con cambios sin guardar
+ * import useNavigationBlocker from './useNavigationBlocker';
+ * 
+ * const { isDirty, markSaved } = useHistoryState([{ state: doc, setState: setDoc }]);
+ * useNavigationBlocker(isDirty);
+ * 
+ * const save = async () => {
+ *   await api.saveDoc(doc);
+ *   markSaved();
+ * };
+ * 
  * @note
  * - El hook registra automáticamente cambios en los estados observados.
- * - `addCheckpoint` permite registrar un estado manualmente en el historial.
- * - Se utiliza una lista doblemente enlazada para gestionar los puntos del historial.
+ * - El historial es un árbol: al deshacer y hacer un cambio nuevo, la rama que se podía rehacer no se pierde y se puede recuperar con `goTo`.
+ * - `addCheckpoint` permite registrar un punto manualmente en el historial, con una etiqueta opcional. También cierra la ventana de `coalesceMs`, de modo que el siguiente cambio empieza una entrada nueva.
+ * - Los puntos de control no cambian ningún valor: `undo` y `redo` los atraviesan hasta el siguiente cambio real, y se puede volver a ellos con `goTo`.
+ * - Con `coalesceMs` la ventana se cuenta desde el último cambio: mientras se siga escribiendo sin pausas, los cambios se unen en la misma entrada.
+ * - Con `persistKey` los estados observados se reemplazan al restaurar por los valores guardados. Los cambios hechos antes de que `hydrated` sea `true` se pierden.
+ * - Los estados persistidos deben ser serializables: JSON con `sessionStorage`, clonado estructurado con IndexedDB y `BroadcastChannel`.
+ * - Con `syncTabs` cada cambio, `undo` o `redo` se envía a las demás pestañas, que adoptan el historial completo recibido (gana el último cambio). Una transacción abierta en la pestaña que recibe se descarta.
+ * - Las transacciones se pueden anidar; solo la más externa registra la entrada. Llamar a `undo`, `redo` o `addCheckpoint` con una transacción abierta la confirma primero.
+ * - Cada entrada guarda solo los parches del cambio (y sus inversos), no una copia de todos los estados, por lo que la memoria crece con el tamaño de los cambios y no del documento.
+ * - `isDirty` compara posiciones del árbol: deshacer hasta la entrada guardada vuelve a dejarlo en `false`. La marca de guardado no se persiste con `persistKey`.
+ * - Los cambios se detectan por referencia: los estados deben actualizarse de forma inmutable (`setDoc({ ...doc, title })`). Una mutación en el lugar no se registra.
  * 
  * @internal
- * - El historial se almacena en dos listas (para optimizar `undo` y `redo`).
- * - Se utilizan referencias (`useRef`) para evitar bucles infinitos al sincronizar estados.
+ * - Los parches se calculan con `diffValues` sobre la lista de valores, así que el primer elemento de cada ruta es el índice del estado.
+ * - `valuesRef` guarda los últimos valores conocidos. Al deshacer o rehacer se actualiza antes de llamar a `setState`, de modo que el efecto de sincronización no registra esos cambios como nuevos.
+ * - El historial vive en una referencia (`timelineRef`) y se copia al estado solo para renderizar. Guarda `{ entries, currentId, selected }`, donde `selected` recuerda por cada entrada la rama hija que sigue `redo`.
+ * - `goTo` deshace hasta el ancestro común y rehace hasta el destino, aplicando los parches sobre los valores y llamando a `setState` una sola vez por estado.
+ * - Los historiales restaurados o recibidos se marcan en `remoteTimelineRef` para no volver a difundirlos.
+ * - Al unir cambios, los parches de la entrada abierta se recalculan desde los valores previos a ella (`openEntryRef.base`), así no se acumulan parches intermedios.
  */
-const useHistoryState = (states) => {
+const useHistoryState = (states, config = {}) => {
+    const {
+        maxHistory = 100,
+        coalesceMs = 0,
+        persistKey = null,
+        storage = null,
+        syncTabs = false,
+    } = config;
 
 
 
@@ -85,8 +217,10 @@ const useHistoryState = (states) => {
 
 
 
-    const [history, setHistory] = useState([]);
-    const [currentIndex, setCurrentIndex] = useState(-1);
+    const [timeline, setTimeline] = useState(EMPTY_TIMELINE);
+    const [inTransaction, setInTransaction] = useState(false);
+    const [hydrated, setHydrated] = useState(!persistKey);
+    const [savedId, setSavedId] = useState(ROOT_ID);
 
 
 
@@ -96,7 +230,17 @@ const useHistoryState = (states) => {
 
 
 
-    const stateRefs = useRef(states.map(({ state }) => state));
+    const statesRef = useRef(states);
+    const valuesRef = useRef(states.map(({ state }) => state));
+    const timelineRef = useRef(timeline);
+    const nextIdRef = useRef(1);
+    const openEntryRef = useRef(null);
+    const transactionRef = useRef(null);
+    const storageRef = useRef(storage);
+    const channelRef = useRef(null);
+    const remoteTimelineRef = useRef(null);
+    statesRef.current = states;
+    storageRef.current = storage;
 
 
 
@@ -106,37 +250,199 @@ const useHistoryState = (states) => {
 
 
 
-    // Aplicar un estado desde el historial
-    const applyState = (index) => {
-        const snapshot = history[index];
-        if (!snapshot) return;
+    // Guardar el historial y publicarlo para el render
+    const commitTimeline = useCallback((next) => {
+        timelineRef.current = next;
+        setTimeline(next);
+    }, []);
+
+    // Agregar una entrada como hija de la actual (las ramas que se podían rehacer se conservan) y recortar a `maxHistory`
+    const pushEntry = useCallback(({ patches, inversePatches, label = null }) => {
+        const { entries, currentId, selected } = timelineRef.current;
+        const entry = {
+            id: nextIdRef.current++,
+            parentId: currentId,
+            label,
+            patches,
+            inversePatches,
+            timestamp: Date.now(),
+        };
+
+        commitTimeline(pruneTree({
+            entries: [...entries, entry],
+            currentId: entry.id,
+            selected: { ...selected, [currentId]: entry.id },
+        }, maxHistory));
+        return entry;
+    }, [maxHistory, commitTimeline]);
+
+    // Registrar un cambio detectado, uniéndolo con la entrada anterior si llega dentro de `coalesceMs`
+    const recordChange = useCallback((previous, current) => {
+        const now = Date.now();
+        const open = openEntryRef.current;
+        const timeline = timelineRef.current;
+        const { entries, currentId, selected } = timeline;
 
-        snapshot.forEach((value, i) => {
-            const { setState } = states[i];
-            setState(value);
+        if (
+            open &&
+            coalesceMs > 0 &&
+            now - open.updatedAt <= coalesceMs &&
+            open.id === currentId &&
+            getChildren(entries, currentId).length === 0
+        ) {
+            const { patches, inversePatches } = diffValues(open.base, current);
+            open.updatedAt = now;
+
+            // Los cambios agrupados se anularon entre sí: la entrada ya no aporta nada
+            if (patches.length === 0) {
+                const entry = entries.find((item) => item.id === currentId);
+                const updatedSelected = { ...selected };
+                if (updatedSelected[entry.parentId] === entry.id) delete updatedSelected[entry.parentId];
+                openEntryRef.current = null;
+                commitTimeline({
+                    entries: entries.filter((item) => item.id !== currentId),
+                    currentId: entry.parentId,
+                    selected: updatedSelected,
+                });
+                return;
+            }
+
+            commitTimeline({
+                ...timeline,
+                entries: entries.map((item) => (
+                    item.id === currentId ? { ...item, patches, inversePatches, timestamp: now } : item
+                )),
+            });
+            return;
+        }
+
+        const { patches, inversePatches } = diffValues(previous, current);
+        if (patches.length === 0) return;
+        const entry = pushEntry({ patches, inversePatches });
+        openEntryRef.current = { id: entry.id, base: previous, updatedAt: now };
+    }, [coalesceMs, pushEntry, commitTimeline]);
+
+    // Reemplazar los valores actuales y actualizar solo los estados que cambian
+    const restoreValues = useCallback((next) => {
+        const previous = valuesRef.current;
+        valuesRef.current = next;
+
+        next.forEach((value, i) => {
+            if (Object.is(value, previous[i])) return;
+            const target = statesRef.current[i];
+            if (target) target.setState(value);
         });
-    };
+    }, []);
+
+    // Adoptar un historial guardado o recibido de otra pestaña, sin volver a difundirlo
+    const adoptSnapshot = useCallback((snapshot) => {
+        if (!snapshot || !Array.isArray(snapshot.entries) || !Array.isArray(snapshot.values)) return;
+
+        openEntryRef.current = null;
+        if (transactionRef.current) {
+            transactionRef.current = null;
+            setInTransaction(false);
+        }
+
+        nextIdRef.current = snapshot.entries.reduce((max, entry) => Math.max(max, entry.id + 1), nextIdRef.current);
+        restoreValues(snapshot.values);
+        commitTimeline({
+            entries: snapshot.entries,
+            currentId: snapshot.currentId ?? ROOT_ID,
+            selected: snapshot.selected || {},
+        });
+        remoteTimelineRef.current = timelineRef.current;
+    }, [restoreValues, commitTimeline]);
+
+    // Métodos de transacciones
+    const beginTransaction = useCallback((label = null) => {
+        openEntryRef.current = null;
+        if (transactionRef.current) {
+            transactionRef.current.depth += 1;
+            return;
+        }
+        transactionRef.current = { base: valuesRef.current, label, depth: 1 };
+        setInTransaction(true);
+    }, []);
+
+    const commitTransaction = useCallback(() => {
+        const transaction = transactionRef.current;
+        if (!transaction) return;
+        transaction.depth -= 1;
+        if (transaction.depth > 0) return;
+
+        transactionRef.current = null;
+        setInTransaction(false);
+        const { patches, inversePatches } = diffValues(transaction.base, valuesRef.current);
+        if (patches.length > 0) pushEntry({ patches, inversePatches, label: transaction.label });
+    }, [pushEntry]);
+
+    const cancelTransaction = useCallback(() => {
+        const transaction = transactionRef.current;
+        if (!transaction) return;
+        transactionRef.current = null;
+        setInTransaction(false);
+        restoreValues(transaction.base);
+    }, [restoreValues]);
+
+    // Confirmar cualquier transacción abierta, incluidas las anidadas
+    const flushTransaction = useCallback(() => {
+        if (!transactionRef.current) return;
+        transactionRef.current.depth = 1;
+        commitTransaction();
+    }, [commitTransaction]);
 
     // Métodos del historial
-    const undo = () => {
-        if (currentIndex <= 0) return;
-        setCurrentIndex((prev) => prev - 1);
-        applyState(currentIndex - 1);
-    };
+    const goTo = useCallback((id) => {
+        flushTransaction();
+        openEntryRef.current = null;
+        const timeline = timelineRef.current;
+        if (id !== ROOT_ID && !timeline.entries.some((entry) => entry.id === id)) return;
+
+        const steps = getTraversal(timeline.entries, timeline.currentId, id);
+        let values = valuesRef.current;
+        steps.undo.forEach((entry) => {
+            values = applyPatches(values, entry.inversePatches);
+        });
+        steps.redo.forEach((entry) => {
+            values = applyPatches(values, entry.patches);
+        });
+        restoreValues(values);
 
-    const redo = () => {
-        if (currentIndex >= history.length - 1) return;
-        setCurrentIndex((prev) => prev + 1);
-        applyState(currentIndex + 1);
-    };
+        // Recordar la rama recorrida para que `redo` la siga
+        const selected = { ...timeline.selected };
+        steps.undo.forEach((entry) => {
+            selected[entry.parentId] = entry.id;
+        });
+        steps.redo.forEach((entry) => {
+            selected[entry.parentId] = entry.id;
+        });
+        commitTimeline({ entries: timeline.entries, currentId: id, selected });
+    }, [flushTransaction, restoreValues, commitTimeline]);
 
-    const addCheckpoint = () => {
-        const currentStates = states.map(({ state }) => state);
-        const updatedHistory = history.slice(0, currentIndex + 1);
-        updatedHistory.push(currentStates);
-        setHistory(updatedHistory);
-        setCurrentIndex(updatedHistory.length - 1);
-    };
+    const undo = useCallback(() => {
+        flushTransaction();
+        if (timelineRef.current.currentId !== ROOT_ID) goTo(getUndoTarget(timelineRef.current));
+    }, [flushTransaction, goTo]);
+
+    const redo = useCallback(() => {
+        flushTransaction();
+        const entry = getRedoTarget(timelineRef.current);
+        if (entry) goTo(entry.id);
+    }, [flushTransaction, goTo]);
+
+    const addCheckpoint = useCallback((label = null) => {
+        flushTransaction();
+        openEntryRef.current = null;
+        pushEntry({ patches: [], inversePatches: [], label: typeof label === 'string' ? label : null });
+    }, [flushTransaction, pushEntry]);
+
+    const markSaved = useCallback(() => {
+        flushTransaction();
+        // El siguiente cambio abre otra entrada; si se uniera a la guardada no se notaría
+        openEntryRef.current = null;
+        setSavedId(timelineRef.current.currentId);
+    }, [flushTransaction]);
 
 
 
@@ -146,19 +452,81 @@ const useHistoryState = (states) => {
 
 
 
-    // Sincronizar estados observados con el historial
+    // Sincronizar estados observados con el historial. Corre tras cada render y compara valor por valor,
+    // ya que la cantidad de estados observados no es fija y no cabe en una lista de dependencias
     useEffect(() => {
         const currentStates = states.map(({ state }) => state);
+        const previous = valuesRef.current;
         if (
-            currentIndex === -1 ||
-            JSON.stringify(currentStates) !== JSON.stringify(history[currentIndex])
-        ) {
-            const updatedHistory = history.slice(0, currentIndex + 1);
-            updatedHistory.push(currentStates);
-            setHistory(updatedHistory);
-            setCurrentIndex(updatedHistory.length - 1);
+            currentStates.length === previous.length &&
+            currentStates.every((value, i) => Object.is(value, previous[i]))
+        ) return;
+
+        valuesRef.current = currentStates;
+        // Dentro de una transacción los cambios se registran juntos al confirmarla
+        if (!transactionRef.current) recordChange(previous, currentStates);
+    });
+
+    // Restaurar el historial guardado al montar (o al cambiar de llave)
+    useEffect(() => {
+        if (!persistKey) return;
+
+        let cancelled = false;
+        const adapter = storageRef.current || createSessionStorageAdapter(persistKey);
+        setHydrated(false);
+
+        adapter.load()
+            .then((snapshot) => {
+                if (!cancelled) adoptSnapshot(snapshot);
+            })
+            .catch(() => {})
+            .finally(() => {
+                if (!cancelled) setHydrated(true);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [persistKey, adoptSnapshot]);
+
+    // Escuchar los cambios que hacen otras pestañas sobre el mismo historial
+    useEffect(() => {
+        if (!persistKey || !syncTabs) return;
+
+        const channel = createHistoryChannel(persistKey);
+        if (!channel) return;
+
+        channel.onmessage = (event) => adoptSnapshot(event.data);
+        channelRef.current = channel;
+
+        return () => {
+            channel.close();
+            channelRef.current = null;
+        };
+    }, [persistKey, syncTabs, adoptSnapshot]);
+
+    // Guardar y difundir el historial cuando cambia
+    useEffect(() => {
+        if (!persistKey || !hydrated) return;
+
+        const snapshot = { ...timeline, values: valuesRef.current };
+        if (channelRef.current && remoteTimelineRef.current !== timeline) {
+            channelRef.current.postMessage(snapshot);
         }
-    }, states.map(({ state }) => state));
+
+        const adapter = storageRef.current || createSessionStorageAdapter(persistKey);
+        const timeoutId = setTimeout(() => {
+            adapter.save(snapshot).catch(() => {});
+        }, PERSIST_DELAY);
+
+        return () => clearTimeout(timeoutId);
+    }, [timeline, hydrated, persistKey]);
+
+    // Recortar el historial si se reduce `maxHistory`
+    useEffect(() => {
+        const pruned = pruneTree(timelineRef.current, maxHistory);
+        if (pruned !== timelineRef.current) commitTimeline(pruned);
+    }, [maxHistory, commitTimeline]);
 
 
 
@@ -171,10 +539,19 @@ const useHistoryState = (states) => {
     return {
         undo,
         redo,
-        canUndo: currentIndex > 0,
-        canRedo: currentIndex < history.length - 1,
+        canUndo: timeline.currentId !== ROOT_ID,
+        canRedo: Boolean(getRedoEntry(timeline)),
+        goTo,
         addCheckpoint,
-        history: [...history],
+        beginTransaction,
+        commitTransaction,
+        cancelTransaction,
+        inTransaction,
+        hydrated,
+        isDirty: inTransaction || timeline.currentId !== savedId,
+        markSaved,
+        history: timeline.entries,
+        currentId: timeline.currentId,
     };
 };
 
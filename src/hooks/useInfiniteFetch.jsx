@@ -0,0 +1,415 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { buildCacheKey } from '../core/fetch/fetchCache';
+import { parseResponse } from '../core/fetch/fetchResponse';
+import { useFetchCache } from './providers/useFetchCache';
+import { useFetchClient } from './providers/useFetchClient';
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*UTILS------------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+const EMPTY_RESULT = { pages: [], pageParams: [] };
+
+/**
+ * Agrega (o reemplaza) un parámetro de consulta en una URL relativa o absoluta.
+ * @function appendQueryParam
+ * @param {string} url - La URL original.
+ * @param {string} name - El nombre del parámetro.
+ * @param {*} value - El valor del parámetro.
+ * @returns {string} - La URL con el parámetro aplicado.
+ */
+function appendQueryParam(url, name, value) {
+    const [base, hash = ''] = url.split('#');
+    const [path, query = ''] = base.split('?');
+    const params = new URLSearchParams(query);
+    params.set(name, String(value));
+    return `${path}?${params.toString()}${hash ? `#${hash}` : ''}`;
+}
+
+/**
+ * Calcula el parámetro de la siguiente página a partir de las páginas cargadas.
+ * @function resolveNextPageParam
+ * @param {Object} result - Las páginas cargadas `{ pages, pageParams }`.
+ * @param {function} getNextPageParam - El callback configurado en el hook.
+ * @returns {*} - El parámetro de la siguiente página, o `undefined` si no hay más páginas.
+ */
+function resolveNextPageParam({ pages, pageParams }, getNextPageParam) {
+    if (pages.length === 0) return undefined;
+    const next = getNextPageParam(pages[pages.length - 1], pages, pageParams[pageParams.length - 1]);
+    return next === null ? undefined : next;
+}
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*CUSTOM HOOK & EXPORTABLES----------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Variante paginada de `useFetch` que acumula páginas para listas con scroll infinito o botón "Cargar más".
+ * Soporta APIs por cursor y por desplazamiento mediante `getNextPageParam`.
+ *
+ * @function useInfiniteFetch
+ * @param {string|function} url - La URL de la lista, o una función `(pageParam) => url`. Si es un `string`, el parámetro de página se agrega como `?{pageParamName}={pageParam}`.
+ * @param {Object} [options={}] - Opciones adicionales para la solicitud fetch.
+ * @param {Object} [config={}] - Configuración adicional para el hook.
+ * @param {*} [config.initialPageParam=1] - Parámetro de la primera página (por ejemplo `1`, `0` o `null` para cursores).
+ * @param {function} [config.getNextPageParam=() => undefined] - Callback `(lastPage, allPages, lastPageParam) => nextPageParam`. Retornar `undefined` o `null` indica que no hay más páginas.
+ * @param {string} [config.pageParamName='page'] - Nombre del parámetro de consulta cuando `url` es un `string`.
+ * @param {string} [config.responseType='json'] - Cómo leer el cuerpo de cada página (ver `parseResponse`).
+ * @param {function} [config.transformResponse=(page) => page] - Función para transformar cada página antes de acumularla.
+ * @param {function} [config.select=(pages) => pages] - Función para derivar `data` a partir de las páginas, por ejemplo `(pages) => pages.flatMap(p => p.items)`.
+ * @param {string} [config.cachePolicy='no-cache'] - Con una política distinta de `'no-cache'`, las páginas acumuladas se guardan en la caché compartida.
+ * @param {number} [config.ttl] - Tiempo de vida (ms) de la lista en la caché compartida.
+ * @param {number} [config.staleTime] - Tiempo (ms) durante el cual la lista cacheada se considera fresca.
+ * @param {string} [config.sentinel=null] - Selector CSS de un elemento centinela; cuando entra en pantalla se carga la siguiente página. Como alternativa, asignar `sentinelRef` al elemento.
+ * @param {string} [config.rootMargin='200px'] - Margen del observador del centinela, para anticipar la carga.
+ * @param {function} [config.onSuccess=null] - Callback que se ejecuta tras cargar una página. Recibe `{ pages, pageParams }`.
+ * @param {function} [config.onError=null] - Callback que se ejecuta cuando falla la carga de una página.
+ * @returns {Object} - Las páginas acumuladas y los métodos para paginar.
+ *
+ * @returns {*} data - El resultado de `select(pages)`.
+ * @returns {Array} pages - Las páginas cargadas, en orden.
+ * @returns {Array} pageParams - Los parámetros usados para cada página.
+ * @returns {boolean} loading - Indica si se está cargando la primera página.
+ * @returns {Error|null} error - El error de la última carga.
+ * @returns {function} fetchNextPage - Cargar la siguiente página (no hace nada si no hay más o ya se está cargando).
+ * @returns {boolean} hasNextPage - Indica si hay más páginas por cargar.
+ * @returns {boolean} isFetchingNextPage - Indica si se está cargando una página siguiente.
+ * @returns {function} refetch - Descartar las páginas y volver a cargar desde la primera.
+ * @returns {function} sentinelRef - Ref callback para el elemento centinela (alternativa a `config.sentinel`).
+ *
+ * @example
+ * // API por desplazamiento: /api/posts?page=1, /api/posts?page=2, ...
+ * import useInfiniteFetch from './useInfiniteFetch';
+ *
+ * const PostList = () => {
+ *   const { data, loading, error, hasNextPage, isFetchingNextPage, fetchNextPage } = useInfiniteFetch(
+ *     '/api/posts',
+ *     {},
+ *     {
+ *       initialPageParam: 1,
+ *       getNextPageParam: (lastPage, allPages) => lastPage.length < 20 ? undefined : allPages.length + 1,
+ *       select: (pages) => pages.flat(),
+ *       sentinel: '#posts-sentinel',
+ *     }
+ *   );
+ *
+ *   if (loading) return <p>Loading...</p>;
+ *   if (error) return <p>Error: {error.message}</p>;
+ *
+ *   return (
+ *     <div>
+ *       <ul>{data.map(post => <li key={post.id}>{post.title}</li>)}</ul>
+ *       <div id="posts-sentinel" />
+ *       {isFetchingNextPage && <p>Cargando más...</p>}
+ *       {!hasNextPage && <p>No hay más publicaciones.</p>}
+ *       <button onClick={fetchNextPage} disabled={!hasNextPage || isFetchingNextPage}>Cargar más</button>
+ *     </div>
+ *   );
+ * };
+ *
+ * @example
+ * // API por cursor: { items: [...], nextCursor: 'abc' }
+ * const { data } = useInfiniteFetch(
+ *   (cursor) => cursor ? `/api/feed?cursor=${cursor}` : '/api/feed',
+ *   {},
+ *   {
+ *     initialPageParam: null,
+ *     getNextPageParam: (lastPage) => lastPage.nextCursor,
+ *     select: (pages) => pages.flatMap(page => page.items),
+ *   }
+ * );
+ *
+ * @note
+ * - El centinela puede aparecer después del primer render (por ejemplo, debajo de la lista ya cargada): el selector se vuelve a consultar cada vez que cambia la lista.
+ * - Si tras cargar una página el centinela sigue visible (páginas cortas), se carga la siguiente automáticamente.
+ * - Si falla una página, la carga automática se pausa hasta que el centinela salga y vuelva a entrar en pantalla, o hasta llamar a `fetchNextPage` manualmente.
+ * - Las páginas individuales se deduplican en la caché compartida; invalidar un prefijo de la URL (`invalidate('/api/posts')`) recarga la lista desde la primera página.
+ * - Al cambiar la URL de la primera página (o `options`) la lista se reinicia.
+ *
+ * @internal
+ * - Cada reinicio incrementa un contador de generación; las respuestas de generaciones anteriores se descartan.
+ * - Las funciones se guardan en referencias para que los efectos y las suscripciones usen siempre la versión más reciente.
+ */
+const useInfiniteFetch = (url, options = {}, config = {}) => {
+    const {
+        initialPageParam = 1,
+        getNextPageParam = () => undefined,
+        pageParamName = 'page',
+        responseType = 'json',
+        transformResponse = (page) => page,
+        select = (pages) => pages,
+        cachePolicy = 'no-cache',
+        ttl,
+        staleTime,
+        sentinel = null,
+        rootMargin = '200px',
+        onSuccess = null,
+        onError = null,
+    } = config;
+
+
+
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+    /*VARIABLES (useStates)-------------------------------------------------------------------------*/
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+    const [result, setResult] = useState(EMPTY_RESULT);
+    const [loading, setLoading] = useState(false);
+    const [isFetchingNextPage, setIsFetchingNextPage] = useState(false);
+    const [error, setError] = useState(null);
+    const [sentinelElement, setSentinelElement] = useState(null);
+    const [sentinelVisible, setSentinelVisible] = useState(false);
+
+
+
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+    /*VARIABLES (useRef)----------------------------------------------------------------------------*/
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+    const cache = useFetchCache();
+    const client = useFetchClient();
+    const abortControllerRef = useRef(null);
+    const generationRef = useRef(0);
+    const fetchingRef = useRef(false);
+    const resultRef = useRef(result);
+    const loadFirstPageRef = useRef(null);
+    const fetchNextPageRef = useRef(null);
+    const autoLoadPausedRef = useRef(false);
+
+    resultRef.current = result;
+
+    const resolveUrl = (pageParam) => (
+        typeof url === 'function' ? url(pageParam) : appendQueryParam(url, pageParamName, pageParam)
+    );
+    const infiniteKey = `${buildCacheKey(resolveUrl(initialPageParam), options)} INFINITE`;
+    const useCache = cachePolicy !== 'no-cache';
+    const nextPageParam = resolveNextPageParam(result, getNextPageParam);
+    const hasNextPage = nextPageParam !== undefined;
+
+
+
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+    /*FUNCIONES-------------------------------------------------------------------------------------*/
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+    // Solicitar una página (las solicitudes idénticas en curso se comparten)
+    const fetchPage = async (pageParam, signal) => {
+        const pageUrl = resolveUrl(pageParam);
+        const page = await cache.dedupe(buildCacheKey(pageUrl, options), async (sharedSignal) => {
+            const response = await client.request(pageUrl, {
+                ...options,
+                signal: sharedSignal,
+                cache: cachePolicy,
+            });
+            return parseResponse(response, responseType);
+        }, { signal });
+        return transformResponse(page);
+    };
+
+    // Guardar el nuevo conjunto de páginas
+    const commit = (next) => {
+        setResult(next);
+        if (useCache) cache.set(infiniteKey, next, { ttl, staleTime });
+        if (onSuccess) onSuccess(next);
+    };
+
+    const handleError = (err) => {
+        if (err.name === 'AbortError') return;
+        autoLoadPausedRef.current = true;
+        setError(err);
+        if (onError) onError(err);
+    };
+
+    // Reiniciar la lista y cargar la primera página
+    const loadFirstPage = async ({ force = false } = {}) => {
+        if (abortControllerRef.current) abortControllerRef.current.abort();
+        const controller = new AbortController();
+        abortControllerRef.current = controller;
+        const generation = ++generationRef.current;
+
+        autoLoadPausedRef.current = false;
+        setError(null);
+        setIsFetchingNextPage(false);
+
+        const cached = useCache && !force ? cache.get(infiniteKey) : undefined;
+        if (cached) {
+            setResult(cached.data);
+            if (!cache.isStale(infiniteKey)) {
+                fetchingRef.current = false;
+                setLoading(false);
+                return;
+            }
+        } else {
+            setResult(EMPTY_RESULT);
+            setLoading(true);
+        }
+
+        fetchingRef.current = true;
+
+        try {
+            const page = await fetchPage(initialPageParam, controller.signal);
+            if (generation !== generationRef.current) return;
+            commit({ pages: [page], pageParams: [initialPageParam] });
+        } catch (err) {
+            if (generation === generationRef.current) handleError(err);
+        } finally {
+            if (generation === generationRef.current) {
+                fetchingRef.current = false;
+                setLoading(false);
+            }
+        }
+    };
+
+    // Cargar la siguiente página y acumularla
+    const fetchNextPage = async () => {
+        const current = resultRef.current;
+        const pageParam = resolveNextPageParam(current, getNextPageParam);
+        if (fetchingRef.current || pageParam === undefined) return;
+
+        const generation = generationRef.current;
+        const controller = abortControllerRef.current || new AbortController();
+        abortControllerRef.current = controller;
+
+        fetchingRef.current = true;
+        setIsFetchingNextPage(true);
+        setError(null);
+
+        try {
+            const page = await fetchPage(pageParam, controller.signal);
+            if (generation !== generationRef.current) return;
+            commit({
+                pages: [...current.pages, page],
+                pageParams: [...current.pageParams, pageParam],
+            });
+        } catch (err) {
+            if (generation === generationRef.current) handleError(err);
+        } finally {
+            if (generation === generationRef.current) {
+                fetchingRef.current = false;
+                setIsFetchingNextPage(false);
+            }
+        }
+    };
+
+    // Una carga manual (por ejemplo un botón "Reintentar") reanuda la carga automática
+    const requestNextPage = () => {
+        autoLoadPausedRef.current = false;
+        return fetchNextPage();
+    };
+
+    loadFirstPageRef.current = loadFirstPage;
+    fetchNextPageRef.current = fetchNextPage;
+
+
+
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+    /*FUNCIONES (useCallbacks)----------------------------------------------------------------------*/
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+    // Observar el elemento centinela en cuanto se monta
+    const sentinelRef = useCallback((element) => setSentinelElement(element), []);
+
+
+
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+    /*FUNCIONES (useEffects)------------------------------------------------------------------------*/
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+    // Reiniciar la lista cuando cambia la primera página
+    useEffect(() => {
+        loadFirstPageRef.current();
+
+        return () => {
+            generationRef.current += 1;
+            if (abortControllerRef.current) abortControllerRef.current.abort();
+            abortControllerRef.current = null;
+            fetchingRef.current = false;
+        };
+    }, [infiniteKey]);
+
+    // Mantener la lista sincronizada con la caché compartida
+    useEffect(() => {
+        return cache.subscribe(infiniteKey, (event, entry) => {
+            if (event === 'update' && useCache && entry) setResult(entry.data);
+            if (event === 'invalidate') loadFirstPageRef.current({ force: true });
+        });
+    }, [cache, infiniteKey, useCache]);
+
+    // Buscar el centinela por selector cada vez que cambia la lista (suele aparecer junto con la primera página)
+    useEffect(() => {
+        if (!sentinel) return;
+        setSentinelElement(document.querySelector(sentinel));
+    }, [sentinel, result, loading, error]);
+
+    // Seguir la visibilidad del centinela
+    useEffect(() => {
+        if (!sentinelElement || typeof IntersectionObserver === 'undefined') {
+            setSentinelVisible(false);
+            return;
+        }
+
+        const observer = new IntersectionObserver(([entry]) => setSentinelVisible(entry.isIntersecting), { rootMargin });
+        observer.observe(sentinelElement);
+        return () => observer.disconnect();
+    }, [sentinelElement, rootMargin]);
+
+    // Cargar la siguiente página cuando el centinela está en pantalla
+    useEffect(() => {
+        if (!sentinelVisible) {
+            autoLoadPausedRef.current = false;
+            return;
+        }
+        if (hasNextPage && !loading && !isFetchingNextPage && !autoLoadPausedRef.current) {
+            fetchNextPageRef.current();
+        }
+    }, [sentinelVisible, hasNextPage, loading, isFetchingNextPage]);
+
+
+
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+    /*RETURN ---------------------------------------------------------------------------------------*/
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+    return {
+        data: select(result.pages),
+        pages: result.pages,
+        pageParams: result.pageParams,
+        loading,
+        error,
+        fetchNextPage: requestNextPage,
+        hasNextPage,
+        isFetchingNextPage,
+        refetch: () => loadFirstPage({ force: true }),
+        sentinelRef,
+    };
+};
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORTS----------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+export default useInfiniteFetch;
@@ -8,7 +8,46 @@ import { useEffect, useCallback, useRef } from "react";
 
 
 
-//-- no apply
+// Orden en que se escriben los modificadores en una combinación normalizada
+const MODIFIERS = ['ctrl', 'meta', 'alt', 'shift'];
+
+/**
+ * Indica si el navegador corre en una plataforma de Apple, donde los atajos usan `Cmd` en lugar de `Ctrl`.
+ * @function isApplePlatform
+ * @returns {boolean}
+ */
+function isApplePlatform() {
+    if (typeof navigator === 'undefined') return false;
+    const platform = (navigator.userAgentData && navigator.userAgentData.platform) || navigator.platform || '';
+    return /mac|iphone|ipad|ipod/i.test(platform);
+}
+
+/**
+ * Normaliza una combinación de teclas para poder compararla: minúsculas, modificadores en un orden fijo
+ * y `Mod` traducido a `Meta` en Apple o a `Ctrl` en el resto.
+ * @function normalizeCombo
+ * @param {string} combo - La combinación, por ejemplo `"Mod+Shift+Z"`.
+ * @returns {string} - La combinación normalizada, por ejemplo `"meta+shift+z"`.
+ */
+function normalizeCombo(combo) {
+    const parts = combo.split('+');
+    let key = parts.pop();
+    // "Ctrl++" se separa en ['Ctrl', '', '']: la tecla es "+"
+    if (key === '' && parts.length > 0) {
+        parts.pop();
+        key = '+';
+    }
+    const modifiers = new Set(parts.map((part) => {
+        const name = part.trim().toLowerCase();
+        if (name === 'mod') return isApplePlatform() ? 'meta' : 'ctrl';
+        if (name === 'cmd' || name === 'command') return 'meta';
+        if (name === 'control') return 'ctrl';
+        if (name === 'option') return 'alt';
+        return name;
+    }));
+
+    return [...MODIFIERS.filter((name) => modifiers.has(name)), key.toLowerCase()].join('+');
+}
 
 
 
@@ -23,6 +62,9 @@ import { useEffect, useCallback, useRef } from "react";
  * Permite agregar, eliminar y registrar atajos de teclado con sus callbacks.
  * 
  * @function useKeyboardShortcuts
+ * @param {Object} [config={}] - Configuración adicional para el hook.
+ * @param {Object} [config.target=null] - Referencia (`useRef`) a un contenedor. Si se indica, los atajos solo responden cuando el foco está dentro de él.
+ * @param {boolean} [config.enabled=true] - Si los atajos están activos.
  * @returns {Object} - Métodos para manejar atajos de teclado.
  * 
  * @returns {function} addShortcut - Agregar un atajo de teclado con su callback.
@@ -52,13 +94,18 @@ import { useEffect, useCallback, useRef } from "react";
  * 
  * @note
  * - El hook escucha el evento `keydown` para ejecutar el callback asociado.
- * - Los atajos se registran con combinaciones como `"Ctrl+key"`, `"Alt+key"`, etc.
+ * - Los atajos se registran con combinaciones como `"Ctrl+key"`, `"Alt+key"`, `"Meta+key"` (`Cmd` en macOS), etc.
+ * - `"Mod+key"` usa `Cmd` en macOS/iOS y `Ctrl` en el resto de plataformas.
+ * - Las combinaciones no distinguen mayúsculas ni el orden de los modificadores: `"Ctrl+Shift+Z"` y `"shift+ctrl+z"` son el mismo atajo.
+ * - Para limitar los atajos a una zona, el contenedor de `target` debe poder recibir el foco (`tabIndex={-1}`) o contener elementos que lo reciban.
  * 
  * @internal
  * - Los atajos se gestionan con `useRef` para evitar perderlos durante el ciclo de vida.
  * - Se usa `event.preventDefault()` para evitar la acción predeterminada del navegador.
+ * - Los atajos se guardan con su combinación normalizada (`normalizeCombo`), la misma que se arma a partir de cada evento.
  */
-const useKeyboardShortcuts = () => {
+const useKeyboardShortcuts = (config = {}) => {
+    const { target = null, enabled = true } = config;
 
 
 
@@ -79,11 +126,11 @@ const useKeyboardShortcuts = () => {
 
 
     const addShortcut = useCallback((keyCombo, callback) => {
-        shortcuts.current[keyCombo] = callback;
+        shortcuts.current[normalizeCombo(keyCombo)] = callback;
     }, []);
 
     const removeShortcut = useCallback((keyCombo) => {
-        delete shortcuts.current[keyCombo];
+        delete shortcuts.current[normalizeCombo(keyCombo)];
     }, []);
 
     const registerShortcut = useCallback((combination, callback) => {
@@ -99,9 +146,14 @@ const useKeyboardShortcuts = () => {
 
 
     useEffect(() => {
+        if (!enabled) return;
+        const element = target ? target.current : window;
+        if (!element) return;
+
         const handleKeyDown = (event) => {
-            const keyCombo = `${event.ctrlKey ? "Ctrl+" : ""}${event.altKey ? "Alt+" : ""
-                }${event.shiftKey ? "Shift+" : ""}${event.key}`;
+            if (!event.key) return;
+            const keyCombo = normalizeCombo(`${event.ctrlKey ? "Ctrl+" : ""}${event.metaKey ? "Meta+" : ""
+                }${event.altKey ? "Alt+" : ""}${event.shiftKey ? "Shift+" : ""}${event.key}`);
 
             if (shortcuts.current[keyCombo]) {
                 event.preventDefault();
@@ -109,9 +161,9 @@ const useKeyboardShortcuts = () => {
             }
         };
 
-        window.addEventListener("keydown", handleKeyDown);
-        return () => window.removeEventListener("keydown", handleKeyDown);
-    }, []);
+        element.addEventListener("keydown", handleKeyDown);
+        return () => element.removeEventListener("keydown", handleKeyDown);
+    }, [target, enabled]);
 
 
 
@@ -132,4 +184,5 @@ const useKeyboardShortcuts = () => {
 
 
 
-export default useKeyboardShortcuts;
\ No newline at end of file
+export default useKeyboardShortcuts;
+export { isApplePlatform, normalizeCombo };
\ No newline at end of file
@@ -0,0 +1,358 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { resolveCacheTargets } from '../core/fetch/fetchCache';
+import { normalizeHeaders } from '../core/fetch/fetchClient';
+import { parseResponse } from '../core/fetch/fetchResponse';
+import { useFetchCache } from './providers/useFetchCache';
+import { useFetchClient } from './providers/useFetchClient';
+import { useOfflineQueueGetter } from './providers/useOfflineQueue';
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*UTILS------------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Prepara el cuerpo y las cabeceras de la solicitud a partir de las variables de la mutación.
+ * Los objetos planos y arreglos se envían como JSON; el resto (`FormData`, `Blob`, `string`, etc) se envía tal cual.
+ * @function buildRequestBody
+ * @param {*} variables - Las variables de la mutación.
+ * @param {Headers|Array|Object} [headers={}] - Las cabeceras configuradas para la solicitud.
+ * @returns {Object} - Un objeto `{ body, headers }` listo para `fetch`. Con cuerpo JSON las cabeceras se devuelven como objeto plano.
+ */
+function buildRequestBody(variables, headers = {}) {
+    if (variables === undefined || variables === null) return { body: undefined, headers };
+
+    const isPlain = Array.isArray(variables) || Object.prototype.toString.call(variables) === '[object Object]';
+    if (!isPlain) return { body: variables, headers };
+
+    // `Headers`, arreglos de pares u objetos: se normalizan para no perder un `Content-Type` propio
+    const normalized = normalizeHeaders(headers);
+    return {
+        body: JSON.stringify(variables),
+        headers: 'content-type' in normalized ? normalized : { ...normalized, 'content-type': 'application/json' },
+    };
+}
+
+/**
+ * Indica si un error corresponde a un fallo de red (sin respuesta del servidor), que es el que `fetch` lanza como `TypeError`.
+ * @function isNetworkError
+ * @param {Error} error - El error de la solicitud.
+ * @returns {boolean} - `true` si la solicitud no llegó a obtener respuesta.
+ */
+function isNetworkError(error) {
+    return error instanceof TypeError;
+}
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*CUSTOM HOOK & EXPORTABLES----------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Hook personalizado para ejecutar mutaciones HTTP (POST, PUT, PATCH, DELETE) bajo demanda,
+ * complementario a `useFetch`, con soporte para actualizaciones optimistas y sincronización con la caché compartida.
+ *
+ * @function useMutation
+ * @param {string|function} url - La URL de la mutación, o una función `(variables) => url`.
+ * @param {Object} [options={}] - Opciones adicionales para la solicitud fetch.
+ * @param {Object} [config={}] - Configuración adicional para el hook.
+ * @param {string} [config.method='POST'] - Método HTTP de la mutación (si no se define en `options.method`).
+ * @param {string} [config.responseType='json'] - Cómo leer el cuerpo de la respuesta (ver `parseResponse`). Las respuestas sin cuerpo producen `null`.
+ * @param {function} [config.transformResponse=(response) => response] - Función para transformar la respuesta antes de almacenarla en el estado.
+ * @param {Array|function} [config.optimistic=null] - Actualizaciones optimistas a aplicar antes de enviar la solicitud. Lista de `{ url | key, updater(prev, variables) }`, o una función `(variables) => lista`. Se revierten automáticamente si la mutación falla.
+ * @param {Array|function} [config.update=null] - Parches a aplicar en la caché cuando la mutación tiene éxito. Lista de `{ url | key, updater(prev, data, variables) }`, o una función `(data, variables) => lista`.
+ * @param {Array|function} [config.invalidate=null] - Llaves o prefijos de caché a invalidar cuando la mutación tiene éxito, o una función `(data, variables) => lista` (no admitida junto con `offline`).
+ * @param {boolean} [config.offline=false] - Si la mutación se encola (ver `useOfflineQueue`) cuando no hay conexión o falla la red, para reenviarla al reconectar.
+ * @param {function} [config.onQueued=null] - Callback que se ejecuta cuando la mutación se encola. Recibe `(item, variables)`.
+ * @param {function} [config.onStart=null] - Callback que se ejecuta cuando comienza la mutación. Recibe `variables`.
+ * @param {function} [config.onSuccess=null] - Callback que se ejecuta cuando la mutación se completa con éxito. Recibe `(data, variables)`.
+ * @param {function} [config.onError=null] - Callback que se ejecuta cuando ocurre un error. Recibe `(error, variables)`.
+ * @param {function} [config.onComplete=null] - Callback que se ejecuta al terminar, ya sea con éxito o con error. Recibe `(data, error, variables)`.
+ * @returns {Object} - Métodos y estado de la mutación.
+ *
+ * @returns {function} mutate - Ejecutar la mutación con `(variables, overrideOptions)`. Nunca lanza; retorna los datos o `undefined`.
+ * @returns {function} mutateAsync - Igual que `mutate`, pero lanza el error si la mutación falla.
+ * @returns {*} data - Los datos de la última mutación exitosa.
+ * @returns {boolean} loading - Indica si hay una mutación en curso.
+ * @returns {FetchError|Error|null} error - El error de la última mutación. Los errores HTTP son `FetchError` con `status`, `headers` y `body`.
+ * @returns {boolean} queued - Indica si la última mutación quedó encolada para enviarse al reconectar.
+ * @returns {function} reset - Limpiar `data` y `error`.
+ *
+ * @example
+ * import useFetch from './useFetch';
+ * import useMutation from './useMutation';
+ *
+ * const TodoList = () => {
+ *   const { data: todos } = useFetch('/api/todos', {}, { cachePolicy: 'default' });
+ *
+ *   const { mutate: addTodo, loading, error } = useMutation('/api/todos', {}, {
+ *     method: 'POST',
+ *     optimistic: [{
+ *       url: '/api/todos',
+ *       updater: (prev = [], todo) => [...prev, { ...todo, id: 'temp' }],
+ *     }],
+ *     invalidate: ['/api/todos'],
+ *     onError: (err) => console.error('No se pudo crear la tarea:', err),
+ *   });
+ *
+ *   const { mutate: removeTodo } = useMutation((todo) => `/api/todos/${todo.id}`, {}, {
+ *     method: 'DELETE',
+ *     optimistic: (todo) => [{
+ *       url: '/api/todos',
+ *       updater: (prev = []) => prev.filter(t => t.id !== todo.id),
+ *     }],
+ *   });
+ *
+ *   return (
+ *     <div>
+ *       <button disabled={loading} onClick={() => addTodo({ title: 'Nueva tarea' })}>Agregar</button>
+ *       {error && <p>Error: {error.message}</p>}
+ *       <ul>
+ *         {todos && todos.map(todo => (
+ *           <li key={todo.id}>{todo.title} <button onClick={() => removeTodo(todo)}>x</button></li>
+ *         ))}
+ *       </ul>
+ *     </div>
+ *   );
+ * };
+ *
+ * @note
+ * - A diferencia de `useFetch`, la solicitud no se ejecuta al montar: solo al llamar `mutate`.
+ * - La solicitud se envía a través del cliente de `useFetchClient` (URL base, cabeceras, tiempo límite e interceptores).
+ * - Las variables que sean objetos planos o arreglos se envían como JSON con `Content-Type: application/json`.
+ * - Las actualizaciones optimistas solo se aplican sobre entradas que ya existen en la caché, y se revierten si la mutación falla.
+ * - Tras una mutación exitosa se aplican los parches de `update` y después se invalidan las llaves de `invalidate`, lo que hace que los `useFetch` montados se revaliden.
+ * - Con `offline: true`, una mutación sin conexión no falla: se encola, conserva sus actualizaciones optimistas, `queued` pasa a `true` y `mutateAsync` retorna `undefined`. Solo se pueden encolar cuerpos serializables (JSON o texto).
+ * - Las llaves de `invalidate` se guardan con la solicitud encolada y se invalidan cuando se reenvía con éxito. Por eso, con `offline: true`, `invalidate` debe ser una lista: una función no se puede persistir y el hook lanza un error.
+ *
+ * @internal
+ * - Cada llamada recibe un identificador incremental; solo la última actualiza el estado, para evitar respuestas fuera de orden.
+ * - Las solicitudes en curso se cancelan con su `AbortController` al desmontar el componente.
+ * - Las instantáneas para la reversión se toman de la caché justo antes de aplicar la actualización optimista.
+ */
+const useMutation = (url, options = {}, config = {}) => {
+    if (config.offline && typeof config.invalidate === 'function') {
+        throw new Error('Con `offline: true`, `invalidate` debe ser una lista de llaves: una función no se puede guardar con la solicitud encolada.');
+    }
+
+
+
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+    /*VARIABLES (useStates)-------------------------------------------------------------------------*/
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+    const [data, setData] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [queued, setQueued] = useState(false);
+
+
+
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+    /*VARIABLES (useRef)----------------------------------------------------------------------------*/
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+    const cache = useFetchCache();
+    const client = useFetchClient();
+    const getOfflineQueue = useOfflineQueueGetter();
+    const callId = useRef(0);
+    const controllers = useRef(new Set());
+    const latest = useRef({ url, options, config });
+
+    latest.current = { url, options, config };
+
+
+
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+    /*FUNCIONES (useCallbacks)----------------------------------------------------------------------*/
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+    // Aplicar las actualizaciones optimistas y retornar las instantáneas para revertirlas
+    const applyOptimistic = useCallback((optimistic, variables) => {
+        return resolveCacheTargets(optimistic, [variables])
+            .filter(({ key }) => cache.get(key) !== undefined)
+            .map(({ key, updater }) => {
+                const snapshot = cache.get(key).data;
+                cache.mutate(key, (prev) => updater(prev, variables));
+                return { key, snapshot };
+            });
+    }, [cache]);
+
+    // Revertir las actualizaciones optimistas
+    const rollback = useCallback((snapshots) => {
+        snapshots.forEach(({ key, snapshot }) => cache.mutate(key, snapshot));
+    }, [cache]);
+
+    // Encolar la solicitud para reenviarla al volver la conexión
+    const enqueueRequest = useCallback(async (request, variables, invalidate) => {
+        const invalidateKeys = resolveCacheTargets(invalidate, []).map(({ key }) => key);
+
+        // La cola solo se crea al encolar, así las mutaciones sin `offline` no la inicializan
+        return getOfflineQueue().enqueue({
+            url: request.url,
+            options: request.options,
+            meta: { variables, invalidate: invalidateKeys },
+        });
+    }, [getOfflineQueue]);
+
+    const mutateAsync = useCallback(async (variables, overrideOptions = {}) => {
+        const { url: currentUrl, options: currentOptions, config: currentConfig } = latest.current;
+        const {
+            method = 'POST',
+            responseType = 'json',
+            transformResponse = (response) => response,
+            optimistic = null,
+            update = null,
+            invalidate = null,
+            offline = false,
+            onQueued = null,
+            onStart = null,
+            onSuccess = null,
+            onError = null,
+            onComplete = null,
+        } = currentConfig;
+
+        const id = ++callId.current;
+        const requestUrl = typeof currentUrl === 'function' ? currentUrl(variables) : currentUrl;
+        const requestOptions = { method, ...currentOptions, ...overrideOptions };
+        const { body, headers } = buildRequestBody(variables, requestOptions.headers);
+
+        const finalOptions = {
+            ...requestOptions,
+            headers,
+            body: requestOptions.body !== undefined ? requestOptions.body : body,
+        };
+
+        if (onStart) onStart(variables);
+        setLoading(true);
+        setError(null);
+        setQueued(false);
+
+        const snapshots = applyOptimistic(optimistic, variables);
+        const abortController = new AbortController();
+        controllers.current.add(abortController);
+
+        // Encolar en lugar de fallar; las actualizaciones optimistas se conservan
+        const queueRequest = async () => {
+            const item = await enqueueRequest({ url: requestUrl, options: finalOptions }, variables, invalidate);
+            if (id === callId.current) setQueued(true);
+            if (onQueued) onQueued(item, variables);
+            return undefined;
+        };
+
+        try {
+            if (offline && typeof navigator !== 'undefined' && navigator.onLine === false) {
+                return await queueRequest();
+            }
+
+            const response = await client.request(requestUrl, {
+                ...finalOptions,
+                signal: abortController.signal,
+            });
+
+            const result = transformResponse(await parseResponse(response, responseType));
+
+            resolveCacheTargets(update, [result, variables]).forEach(({ key, updater }) => {
+                if (cache.get(key) !== undefined) cache.mutate(key, (prev) => updater(prev, result, variables));
+            });
+            resolveCacheTargets(invalidate, [result, variables]).forEach(({ key }) => cache.invalidate(key));
+
+            if (id === callId.current) setData(result);
+            if (onSuccess) onSuccess(result, variables);
+            if (onComplete) onComplete(result, null, variables);
+            return result;
+        } catch (err) {
+            if (offline && isNetworkError(err)) {
+                try {
+                    return await queueRequest();
+                } catch {
+                    // Si no se puede encolar (por ejemplo un cuerpo FormData), se trata como un error normal
+                }
+            }
+
+            rollback(snapshots);
+
+            if (err.name !== 'AbortError') {
+                if (id === callId.current) setError(err);
+                if (onError) onError(err, variables);
+                if (onComplete) onComplete(null, err, variables);
+            }
+            throw err;
+        } finally {
+            controllers.current.delete(abortController);
+            if (id === callId.current) setLoading(false);
+        }
+    }, [applyOptimistic, rollback, enqueueRequest, cache, client]);
+
+    const mutate = useCallback(async (variables, overrideOptions) => {
+        try {
+            return await mutateAsync(variables, overrideOptions);
+        } catch {
+            return undefined;
+        }
+    }, [mutateAsync]);
+
+    const reset = useCallback(() => {
+        setData(null);
+        setError(null);
+        setQueued(false);
+    }, []);
+
+
+
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+    /*FUNCIONES (useEffects)------------------------------------------------------------------------*/
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+    useEffect(() => {
+        const activeControllers = controllers.current;
+
+        return () => {
+            // Cancelar las mutaciones en curso al desmontar
+            activeControllers.forEach((controller) => controller.abort());
+            activeControllers.clear();
+        };
+    }, []);
+
+
+
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+    /*RETURN ---------------------------------------------------------------------------------------*/
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+    return {
+        mutate,
+        mutateAsync,
+        data,
+        loading,
+        error,
+        queued,
+        reset,
+    };
+};
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORTS----------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+export default useMutation;
@@ -0,0 +1,176 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+import useBrowserHistory from './useBrowserHistory';
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*UTILS------------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+//-- no apply
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*CUSTOM HOOK & EXPORTABLES----------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Hook para pedir confirmación antes de salir de una vista con cambios sin guardar.
+ * Registra un bloqueador en `useBrowserHistory` mientras el componente está montado.
+ *
+ * @function useNavigationBlocker
+ * @param {boolean|function} when - Si se bloquea la navegación. Como función recibe la navegación `{ type, path, delta }` y devuelve si se bloquea.
+ * @param {Object} [config={}] - Configuración adicional para el hook.
+ * @param {string} [config.message] - Texto del diálogo (y del de cierre de pestaña, en los navegadores que lo muestran).
+ * @param {string} [config.dialog='native'] - `'native'` usa `window.confirm`; `'custom'` deja la navegación en espera hasta llamar a `proceed` o `cancel`, para mostrar un diálogo propio.
+ * @param {function} [config.confirm] - Alternativa a `dialog`: recibe la navegación y devuelve (o resuelve) `true` para continuar.
+ * @returns {Object} - El estado del bloqueo y los métodos para resolverlo.
+ *
+ * @returns {boolean} isBlocked - Si hay una navegación esperando respuesta (solo con `dialog: 'custom'`).
+ * @returns {Object|null} transition - La navegación en espera: `{ type, path, delta }`.
+ * @returns {function} proceed - Continuar con la navegación en espera.
+ * @returns {function} cancel - Quedarse en la vista.
+ *
+ * @example
+ * import useNavigationBlocker from './useNavigationBlocker';
+ *
+ * const Editor = () => {
+ *   const [doc, setDoc] = useState(emptyDoc);
+ *   const { isDirty, markSaved } = useHistoryState([{ state: doc, setState: setDoc }]);
+ *   const { isBlocked, proceed, cancel } = useNavigationBlocker(isDirty, { dialog: 'custom' });
+ *
+ *   return (
+ *     <>
+ *       <DocEditor doc={doc} onChange={setDoc} onSave={markSaved} />
+ *       {isBlocked && (
+ *         <div role="dialog">
+ *           <p>Tienes cambios sin guardar.</p>
+ *           <button onClick={cancel}>Seguir editando</button>
+ *           <button onClick={proceed}>Descartar y salir</button>
+ *         </div>
+ *       )}
+ *     </>
+ *   );
+ * };
+ *
+ * @note
+ * - Al cerrar o recargar la pestaña siempre se usa el diálogo del navegador.
+ * - `replaceHistory` no se bloquea, así los cambios de filtros con `useQueryState` no piden confirmación.
+ * - Para decidir según el destino, `when` puede ser una función; `path` es `null` en `back`, `forward` y `unload`.
+ * - Si el componente se desmonta con una navegación en espera, esta se cancela.
+ *
+ * @internal
+ * - El bloqueador se registra una sola vez; `when`, `message` y el diálogo se leen de referencias, así cambiar `isDirty` no lo vuelve a registrar.
+ * - Con `dialog: 'custom'` el `confirm` del bloqueador devuelve una promesa cuyo `resolve` queda en el estado hasta que se llama a `proceed` o `cancel`.
+ */
+const useNavigationBlocker = (when, config = {}) => {
+    const { message, dialog = 'native', confirm = null } = config;
+
+
+
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+    /*VARIABLES (useStates)-------------------------------------------------------------------------*/
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+    const { registerBlocker } = useBrowserHistory();
+    // `{ transition, resolve }` de la navegación en espera
+    const [pending, setPending] = useState(null);
+
+
+
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+    /*VARIABLES (useRef)----------------------------------------------------------------------------*/
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+    const whenRef = useRef(when);
+    whenRef.current = when;
+    const pendingRef = useRef(null);
+
+    const blockerRef = useRef(null);
+    if (!blockerRef.current) {
+        blockerRef.current = {
+            when: (transition) => (typeof whenRef.current === 'function' ? whenRef.current(transition) : Boolean(whenRef.current)),
+        };
+    }
+    blockerRef.current.message = message;
+    blockerRef.current.confirm = confirm || (dialog === 'custom'
+        ? (transition) => new Promise((resolve) => {
+            pendingRef.current = { transition, resolve };
+            setPending(pendingRef.current);
+        })
+        : null);
+
+
+
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+    /*FUNCIONES (useCallbacks)----------------------------------------------------------------------*/
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+    const resolvePending = useCallback((allowed) => {
+        const current = pendingRef.current;
+        if (!current) return;
+        pendingRef.current = null;
+        setPending(null);
+        current.resolve(allowed);
+    }, []);
+
+    const proceed = useCallback(() => resolvePending(true), [resolvePending]);
+
+    const cancel = useCallback(() => resolvePending(false), [resolvePending]);
+
+
+
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+    /*FUNCIONES (useEffects)------------------------------------------------------------------------*/
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+    useEffect(() => {
+        const unregister = registerBlocker(blockerRef.current);
+        return () => {
+            unregister();
+            // Un diálogo propio que ya no se puede mostrar no debe dejar la navegación colgada
+            if (pendingRef.current) {
+                pendingRef.current.resolve(false);
+                pendingRef.current = null;
+            }
+        };
+    }, [registerBlocker]);
+
+
+
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+    /*RETURN ---------------------------------------------------------------------------------------*/
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+    return {
+        isBlocked: pending !== null,
+        transition: pending ? pending.transition : null,
+        proceed,
+        cancel,
+    };
+};
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORTS----------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+export default useNavigationBlocker;
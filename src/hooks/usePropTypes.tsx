@@ -295,7 +295,7 @@ interface BasicValidator {
  */
 interface ArrayOfValidator {
     validator: 'arrayOf';
-    types: BasicValidator[];
+    types: (BasicValidator | ShapeValidator)[];
 }
 
 /**
@@ -352,6 +352,16 @@ type usePropTypesValidator =
     | ShapeValidator
     | RangeValidator;
 
+/**
+ * Problema encontrado por `validateSchema`: ruta del valor, mensaje, tipo esperado y tipo recibido.
+ */
+interface ValidationIssue {
+    path: string;
+    message: string;
+    expected: string;
+    received: string;
+}
+
 
 
 /*TYPES FUNCTIONS TYPE --------------------------------------------------------------------------*/
@@ -414,13 +424,13 @@ const types = {
     /**
      * Valida que el valor sea un arreglo cuyos elementos cumplan con uno de los tipos especificados.
      * @function
-     * @param {Array<string>} types - Los tipos de los elementos del arreglo.
+     * @param {Array<Object>} types - Los tipos de los elementos del arreglo (básicos, o `shape` para arreglos de objetos con `validateSchema`).
      * @returns {Object} - Objeto con la validación 'arrayOf' y los tipos especificados.
      * @example
      * // Validar un arreglo de cadenas de texto y números
      * types.arrayOf([types.string, types.number])
      */
-    arrayOf: (types: BasicValidator[]): ArrayOfValidator => ({ validator: 'arrayOf', types }),
+    arrayOf: (types: (BasicValidator | ShapeValidator)[]): ArrayOfValidator => ({ validator: 'arrayOf', types }),
 
     /**
      * Valida que el valor esté entre una de las opciones permitidas.
@@ -516,6 +526,246 @@ const removeKey = <T extends object>(obj: T, keyToRemove: keyof T): Omit<T, keyo
     return rest as Omit<T, keyof T>;
 };
 
+/**
+ * Obtiene el nombre del tipo o validador principal de una definición creada con `types`.
+ * @function getValidatorKey
+ * @param {Object|string|function} type - La definición del tipo (por ejemplo `types.string()`, `types.string` o `types.shape({...})`).
+ * @returns {string} - El nombre del validador (`'string'`, `'shape'`, `'arrayOf'`, etc).
+ */
+const getValidatorKey = (type: usePropTypesValidator | string | Function): string => {
+    if (typeof type === 'function') return type.length === 0 ? getValidatorKey(type()) : type.name;
+    if (typeof type === 'object' && type !== null && 'validator' in type) return type.validator;
+    if (typeof type === 'object' && type !== null && 'type' in type) return type.type;
+    return type as string;
+};
+
+/**
+ * Valida un valor contra una definición de tipo creada con `types`.
+ *
+ * @function validateType
+ * @param {Object} type - La definición del tipo (por ejemplo `types.number()` o `types.range(0, 10)`).
+ * @param {*} prop - El valor a validar.
+ * @returns {boolean|string} - Retorna true si es válido, de lo contrario retorna un mensaje de error.
+ *
+ * @example
+ * validateType(types.range(1, 5), 3); // true
+ * validateType(types.string(), 3);    // "El valor '3' no es una cadena de texto (string)."
+ */
+const validateType = (type: usePropTypesValidator, prop: unknown): boolean | string => {
+    // Extraer el tipo o validador principal
+    const validatorKey = getValidatorKey(type);
+
+    // Validar el tipo o validador principal
+    switch (validatorKey) {
+        case 'string':
+        case 'number':
+        case 'bool':
+        case 'array':
+        case 'object':
+        case 'undefined':
+        case 'null':
+        case 'function': {
+            // Caso básico: tipos simples
+            const validatorFunction = validators[validatorKey];
+            if (typeof validatorFunction === 'function') {
+                return validatorFunction(prop);
+            } else {
+                return `El validador '${validatorKey}' no es válido.`;
+            }
+        }
+
+        case 'arrayOf': {
+            // Validador para arreglos con tipos específicos
+            const { types } = type as ArrayOfValidator;
+
+            // Procesar los tipos para asegurarnos de que sean cadenas
+            const processedTypes = types.map(t => (typeof t === 'object' && 'type' in t ? t.type : t));
+
+            // Validar que los tipos sean válidos
+            if (!processedTypes.every(t => typeof validators[t] === 'function')) {
+                return `
+                    El array de tipos proporcionado a arrayOf no es válido.
+                    Tipos válidos: ${Object.keys(validators).join(', ')}
+                    Tipos proporcionados: ${processedTypes.join(', ')}
+                `;
+            }
+            
+            // Aplicar el validador arrayOf
+            const validatorFunction = validators.arrayOf(processedTypes);
+            return validatorFunction(prop);
+        }
+
+        case 'oneOf': {
+            // Validador para valores dentro de opciones permitidas
+            const { options } = type as OneOfValidator;
+            const validatorFunction = validators.oneOf(options);
+            return validatorFunction(prop);
+        }
+
+        case 'oneOfType': {
+            // Validador para valores que cumplen con uno de varios tipos
+            const { types } = type as OneOfTypeValidator;
+
+            // Procesar los tipos para asegurarnos de que sean cadenas
+            const processedTypes = types.map(t => (typeof t === 'object' && 'type' in t ? t.type : t));
+
+            // Validar que los tipos sean válidos
+            if (!processedTypes.every(t => typeof validators[t] === 'function')) {
+                return `
+                    El array de tipos proporcionado a oneOfType no es válido.
+                    Tipos válidos: ${Object.keys(validators).join(', ')}
+                    Tipos proporcionados: ${processedTypes.join(', ')}
+                `;
+            }
+
+            // Aplicar el validador oneOfType
+            const validatorFunction = validators.oneOfType(processedTypes);
+            return validatorFunction(prop);
+        }
+
+        case 'instanceOf': {
+            // Validador para instancias de una clase específica
+            const { clazz } = type as InstanceOfValidator;
+
+            const validatorFunction = validators.instanceOf(clazz);
+            return validatorFunction(prop);
+        }
+
+        case 'shape': {
+            // Validador para objetos con una estructura específica
+            const { shapeObj, strict } = type as ShapeValidator;
+
+            // Validar la forma del objeto
+            const validatorFunction = validators.shape(shapeObj, strict);
+            return validatorFunction(prop);
+        }
+
+        case 'range': {
+            // Validador para valores dentro de un rango específico
+            const { min, max } = type as RangeValidator;
+            const validatorFunction = validators.range(min, max);
+            return validatorFunction(prop);
+        }
+
+        default: {
+            // Si el tipo no es reconocido, lanzar un error
+            throw new Error(`El tipo '${validatorKey}' no es válido.`);
+        }
+    }
+};
+
+/**
+ * Valida un valor (por ejemplo la respuesta de una API) contra una definición de `types` y retorna
+ * la lista de problemas encontrados, con la ruta de cada uno. A diferencia de `validateType`, recorre
+ * `shape`, `arrayOf` y `oneOfType` de forma recursiva, por lo que admite estructuras anidadas como
+ * `types.arrayOf([types.shape({...})])`.
+ *
+ * @function validateSchema
+ * @param {Object} schema - La definición del tipo creada con `types`.
+ * @param {*} value - El valor a validar.
+ * @param {string} [path=''] - Ruta del valor dentro de la estructura (se usa en la recursión).
+ * @returns {Array<Object>} - Lista de problemas `{ path, message, expected, received }`. Vacía si el valor es válido.
+ *
+ * @example
+ * import { types, validateSchema } from './usePropTypes';
+ *
+ * const userSchema = types.shape({ id: types.number(), name: types.string() });
+ *
+ * validateSchema(types.arrayOf([userSchema]), [{ id: 1, name: 'Ana' }, { id: '2', name: 'Luis' }]);
+ * // [{ path: '[1].id', message: "El valor '2' no es un número.", expected: 'number', received: 'string' }]
+ *
+ * @note
+ * - Los niveles de `strict` de `shape` se respetan: con `1` se reportan las claves adicionales y con `2` también las faltantes.
+ * - Los tipos básicos se aceptan sin llamar (`types.shape({ id: types.number })`), igual que en `validators.shape`.
+ * - Un tipo desconocido se reporta como un problema en lugar de lanzar un error.
+ */
+const validateSchema = (schema: usePropTypesValidator | string | Record<string, unknown> | unknown[] | (() => usePropTypesValidator), value: unknown, path: string = ''): ValidationIssue[] => {
+    const issue = (message: string, expected: string): ValidationIssue => ({
+        path,
+        message,
+        expected,
+        received: validators.type(value),
+    });
+    const childPath = (key: string | number): string => (
+        typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key
+    );
+
+    // Tipo básico sin llamar (`types.string` en lugar de `types.string()`)
+    if (typeof schema === 'function') {
+        return schema.length === 0
+            ? validateSchema(schema(), value, path)
+            : [issue(`El tipo '${schema.name || 'anónimo'}' requiere argumentos; llámalo al definir el esquema.`, 'unknown')];
+    }
+
+    // Lista de alternativas (formato aceptado por `validators.shape`)
+    if (Array.isArray(schema)) {
+        const results = schema.map((type) => validateSchema(type, value, path));
+        if (results.some((result) => result.length === 0)) return [];
+        return results.length === 1 ? results[0] : [issue(`El valor no cumple con ninguno de los tipos permitidos.`, 'oneOfType')];
+    }
+
+    // Objeto plano sin `type` ni `validator`: estructura anidada
+    if (typeof schema === 'object' && schema !== null && !('type' in schema) && !('validator' in schema)) {
+        return validateSchema({ validator: 'shape', shapeObj: schema as Record<string, unknown>, strict: 0 }, value, path);
+    }
+
+    const validatorKey = getValidatorKey(schema as usePropTypesValidator);
+
+    switch (validatorKey) {
+        case 'shape': {
+            const { shapeObj, strict = 0 } = schema as ShapeValidator;
+            if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+                return [issue(`El valor proporcionado no es un objeto. Valor recibido: ${JSON.stringify(value)}.`, 'shape')];
+            }
+
+            const record = value as Record<string, unknown>;
+            const keys = Object.keys(shapeObj);
+            const issues: ValidationIssue[] = [];
+
+            if (strict >= 1) {
+                Object.keys(record)
+                    .filter((key) => !keys.includes(key))
+                    .forEach((key) => issues.push({ path: childPath(key), message: `La clave '${key}' no está permitida.`, expected: 'undefined', received: validators.type(record[key]) }));
+            }
+            if (strict === 2) {
+                keys
+                    .filter((key) => !(key in record))
+                    .forEach((key) => issues.push({ path: childPath(key), message: `Falta la clave '${key}'.`, expected: getValidatorKey(shapeObj[key] as usePropTypesValidator), received: 'undefined' }));
+            }
+            if (strict === 1 && !keys.some((key) => record[key] !== undefined)) {
+                issues.push(issue(`El objeto debe tener al menos una clave de las esperadas: ${JSON.stringify(keys)}.`, 'shape'));
+            }
+
+            keys
+                .filter((key) => strict !== 2 || key in record)
+                .forEach((key) => issues.push(...validateSchema(shapeObj[key] as usePropTypesValidator, record[key], childPath(key))));
+            return issues;
+        }
+
+        case 'arrayOf': {
+            const { types: itemTypes } = schema as ArrayOfValidator;
+            if (!Array.isArray(value)) return [issue(`El valor '${value}' no es un arreglo.`, 'arrayOf')];
+            return value.flatMap((item, index) => validateSchema(itemTypes, item, childPath(index)));
+        }
+
+        case 'oneOfType': {
+            const { types: alternatives } = schema as OneOfTypeValidator;
+            return validateSchema(alternatives, value, path);
+        }
+
+        default: {
+            // Los tipos como texto (`'string'`) se validan igual que `types.string()`
+            const type = typeof schema === 'string' ? { type: schema } : schema;
+            try {
+                const result = validateType(type as usePropTypesValidator, value);
+                return result === true ? [] : [issue(result as string, validatorKey)];
+            } catch (err) {
+                return [issue((err as Error).message, 'unknown')];
+            }
+        }
+    }
+};
+
 
 
 /*///////////////////////////////////////////////////////////////////////////////////////////////*/
@@ -582,111 +832,6 @@ function usePropTypes<P extends Record<string, unknown>>(
                 const { type } = value;
 
 
-                const validateType = (type: usePropTypesValidator, prop: unknown): boolean | string => {
-
-
-                    // Extraer el tipo o validador principal
-                    const validatorKey = typeof type === 'object' && 'validator' in type ? type.validator : typeof type === 'object' && 'type' in type ? type.type : type;
-                    
-
-                    // Validar el tipo o validador principal
-                    switch (validatorKey) {
-                        case 'string':
-                        case 'number':
-                        case 'bool':
-                        case 'array':
-                        case 'object':
-                        case 'undefined':
-                        case 'null':
-                        case 'function': {
-                            // Caso básico: tipos simples
-                            const validatorFunction = validators[validatorKey];
-                            if (typeof validatorFunction === 'function') {
-                                return validatorFunction(prop);
-                            } else {
-                                return `El validador '${validatorKey}' no es válido.`;
-                            }
-                        }
-
-                        case 'arrayOf': {
-                            // Validador para arreglos con tipos específicos
-                            const { types } = type as ArrayOfValidator;
-                
-                            // Procesar los tipos para asegurarnos de que sean cadenas
-                            const processedTypes = types.map(t => (typeof t === 'object' && 'type' in t ? t.type : t));
-
-                            // Validar que los tipos sean válidos
-                            if (!processedTypes.every(t => typeof validators[t] === 'function')) {
-                                return `
-                                    El array de tipos proporcionado a arrayOf no es válido.
-                                    Tipos válidos: ${Object.keys(validators).join(', ')}
-                                    Tipos proporcionados: ${processedTypes.join(', ')}
-                                `;
-                            }
-                            
-                            // Aplicar el validador arrayOf
-                            const validatorFunction = validators.arrayOf(processedTypes);
-                            return validatorFunction(prop);
-                        }
-
-                        case 'oneOf': {
-                            // Validador para valores dentro de opciones permitidas
-                            const { options } = type as OneOfValidator;
-                            const validatorFunction = validators.oneOf(options);
-                            return validatorFunction(prop);
-                        }
-
-                        case 'oneOfType': {
-                            // Validador para valores que cumplen con uno de varios tipos
-                            const { types } = type as OneOfTypeValidator;
-
-                            // Procesar los tipos para asegurarnos de que sean cadenas
-                            const processedTypes = types.map(t => (typeof t === 'object' && 'type' in t ? t.type : t));
-
-                            // Validar que los tipos sean válidos
-                            if (!processedTypes.every(t => typeof validators[t] === 'function')) {
-                                return `
-                                    El array de tipos proporcionado a oneOfType no es válido.
-                                    Tipos válidos: ${Object.keys(validators).join(', ')}
-                                    Tipos proporcionados: ${processedTypes.join(', ')}
-                                `;
-                            }
-
-                            // Aplicar el validador oneOfType
-                            const validatorFunction = validators.oneOfType(processedTypes);
-                            return validatorFunction(prop);
-                        }
-
-                        case 'instanceOf': {
-                            // Validador para instancias de una clase específica
-                            const { clazz } = type as InstanceOfValidator;
-
-                            const validatorFunction = validators.instanceOf(clazz);
-                            return validatorFunction(prop);
-                        }
-
-                        case 'shape': {
-                            // Validador para objetos con una estructura específica
-                            const { shapeObj, strict } = type as ShapeValidator;
-
-                            // Validar la forma del objeto
-                            const validatorFunction = validators.shape(shapeObj, strict);
-                            return validatorFunction(prop);
-                        }
-
-                        case 'range': {
-                            // Validador para valores dentro de un rango específico
-                            const { min, max } = type as RangeValidator;
-                            const validatorFunction = validators.range(min, max);
-                            return validatorFunction(prop);
-                        }
-
-                        default: {
-                            // Si el tipo no es reconocido, lanzar un error
-                            throw new Error(`El tipo '${validatorKey}' no es válido.`);
-                        }
-                    }
-                };
 
 
                 const validationResult = validateType(type, props[key as keyof P]);
@@ -716,7 +861,7 @@ ${validationResult}
 
 
 
-export { validators, types, usePropTypesValidator };
+export { validators, types, validateType, validateSchema, usePropTypesValidator, ValidationIssue };
 export default usePropTypes;
 
 
@@ -0,0 +1,211 @@
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
+import useBrowserHistory, { LOCATION_CHANGE_EVENT } from './useBrowserHistory';
+import { parseQuery, serializeQuery } from '../core/router/queryParams';
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*UTILS------------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+//-- no apply
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*CUSTOM HOOK & EXPORTABLES----------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Hook para guardar un objeto tipado en los parámetros de la URL (filtros, pestañas, paginación...),
+ * de modo que la vista se pueda compartir, recargar y recorrer con atrás/adelante.
+ *
+ * @function useQueryState
+ * @param {Object} schema - Los parámetros y su tipo (ver `parseQuery`): `string`, `number`, `boolean`, `date`, `array` (con `of`) o `{ parse, serialize }` propios. Cada uno acepta un `default`.
+ * @param {Object} [config={}] - Configuración adicional para el hook.
+ * @param {string} [config.history='replace'] - `'replace'` reemplaza la entrada actual (`replaceHistory`); `'push'` crea una entrada por cambio (`pushHistory`), así atrás/adelante recorren los estados.
+ * @param {number} [config.debounce=0] - Milisegundos a esperar antes de escribir en la URL. Los cambios intermedios se muestran de inmediato y se escriben juntos.
+ * @returns {Object} - El estado y los métodos para modificarlo.
+ *
+ * @returns {Object} query - Los valores actuales, uno por parámetro del esquema.
+ * @returns {function} setQuery - Actualizar algunos valores: recibe un objeto parcial o una función `(query) => parcial`, y opcionalmente `{ history }` para esa escritura.
+ * @returns {function} resetQuery - Volver todos los parámetros del esquema a su valor por defecto.
+ * @returns {function} flush - Escribir de inmediato el cambio pendiente.
+ * @returns {boolean} isPending - Si hay un cambio esperando el debounce.
+ *
+ * @example
+ * import useQueryState from './useQueryState';
+ *
+ * // Fuera del componente, para que el esquema no cambie entre renders
+ * const FILTERS = {
+ *   q: 'string',
+ *   page: { type: 'number', default: 1 },
+ *   onlyActive: { type: 'boolean', default: false },
+ *   tags: { type: 'array', of: 'string' },
+ *   from: 'date',
+ * };
+ *
+ * const UserList = () => {
+ *   const { query, setQuery, resetQuery } = useQueryState(FILTERS, { debounce: 300 });
+ *
+ *   return (
+ *     <div>
+ *       <input value={query.q || ''} onChange={(e) => setQuery({ q: e.target.value || null, page: 1 })} />
+ *       <button onClick={() => setQuery(({ page }) => ({ page: page + 1 }), { history: 'push' })}>Siguiente</button>
+ *       <button onClick={resetQuery}>Limpiar filtros</button>
+ *     </div>
+ *   );
+ * };
+ *
+ * @note
+ * - Los parámetros que no están en el esquema se conservan, así varios componentes pueden compartir la URL.
+ * - Los valores iguales a su `default` (o `null`) se quitan de la URL.
+ * - Al navegar con atrás/adelante se descarta el cambio pendiente y el estado se lee de nuevo de la URL (salvo que un bloqueador detenga la navegación).
+ * - Un cambio pendiente se descarta si el componente se desmonta antes de escribirse.
+ * - El esquema debe ser estable (declarado fuera del componente o con `useMemo`); si cambia, la URL se vuelve a leer.
+ *
+ * @internal
+ * - La URL es la fuente de verdad; `draft` solo guarda los valores que esperan el debounce.
+ * - La URL se escribe con `useBrowserHistory`, que avisa a las demás instancias del cambio.
+ */
+const useQueryState = (schema, config = {}) => {
+    const { history = 'replace', debounce = 0 } = config;
+
+
+
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+    /*VARIABLES (useStates)-------------------------------------------------------------------------*/
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+    const { currentLocation, pushHistory, replaceHistory } = useBrowserHistory();
+    const [draft, setDraft] = useState(null);
+
+    const parsed = useMemo(() => parseQuery(currentLocation.search, schema), [currentLocation.search, schema]);
+    const query = draft || parsed;
+
+
+
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+    /*VARIABLES (useRef)----------------------------------------------------------------------------*/
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+    const queryRef = useRef(query);
+    queryRef.current = query;
+    const locationStateRef = useRef(currentLocation.state);
+    locationStateRef.current = currentLocation.state;
+    // `{ values, history }` del cambio pendiente
+    const pendingRef = useRef(null);
+    const timeoutRef = useRef(null);
+
+
+
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+    /*FUNCIONES (useCallbacks)----------------------------------------------------------------------*/
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+    const cancelPending = useCallback(() => {
+        clearTimeout(timeoutRef.current);
+        timeoutRef.current = null;
+        pendingRef.current = null;
+    }, []);
+
+    const flush = useCallback(() => {
+        const pending = pendingRef.current;
+        cancelPending();
+        if (!pending) return;
+
+        const { pathname, search, hash } = window.location;
+        const nextSearch = serializeQuery(pending.values, schema, search);
+        setDraft(null);
+        if (nextSearch === search) return;
+
+        const path = `${pathname}${nextSearch}${hash}`;
+        // Una entrada nueva no hereda el estado de la anterior; al reemplazar se conserva el de la aplicación
+        if (pending.history === 'push') pushHistory(path);
+        else replaceHistory(path, locationStateRef.current);
+    }, [schema, pushHistory, replaceHistory, cancelPending]);
+
+    const setQuery = useCallback((patch, options = {}) => {
+        const current = queryRef.current;
+        const changes = typeof patch === 'function' ? patch(current) : patch;
+        const values = { ...current, ...changes };
+
+        queryRef.current = values;
+        // Una escritura con `push` dentro del debounce no se pierde por otra posterior con `replace`
+        const previous = pendingRef.current;
+        const mode = options.history || history;
+        pendingRef.current = { values, history: previous && previous.history === 'push' ? 'push' : mode };
+
+        if (debounce > 0) {
+            setDraft(values);
+            clearTimeout(timeoutRef.current);
+            timeoutRef.current = setTimeout(flush, debounce);
+        } else {
+            flush();
+        }
+    }, [history, debounce, flush]);
+
+    const resetQuery = useCallback((options) => {
+        setQuery(parseQuery('', schema), options);
+    }, [setQuery, schema]);
+
+
+
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+    /*FUNCIONES (useEffects)------------------------------------------------------------------------*/
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+    // Al navegar con atrás/adelante manda la URL: se descarta el cambio pendiente.
+    // Se escucha el aviso de `useBrowserHistory`, así un atrás/adelante bloqueado no lo descarta
+    useEffect(() => {
+        const onLocationChange = (event) => {
+            if (!event.detail || event.detail.type !== 'pop') return;
+            cancelPending();
+            setDraft(null);
+        };
+
+        window.addEventListener(LOCATION_CHANGE_EVENT, onLocationChange);
+        return () => window.removeEventListener(LOCATION_CHANGE_EVENT, onLocationChange);
+    }, [cancelPending]);
+
+    // Descartar el cambio pendiente al desmontar
+    useEffect(() => cancelPending, [cancelPending]);
+
+
+
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+    /*RETURN ---------------------------------------------------------------------------------------*/
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+    return {
+        query,
+        setQuery,
+        resetQuery,
+        flush,
+        isPending: draft !== null,
+    };
+};
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORTS----------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+export default useQueryState;
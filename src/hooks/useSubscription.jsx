@@ -0,0 +1,394 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { resolveCacheTargets } from '../core/fetch/fetchCache';
+import { computeBackoff } from '../core/fetch/fetchRetry';
+import { useFetchCache } from './providers/useFetchCache';
+import useNetworkStatus from './useNetworkStatus';
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*UTILS------------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Interpreta los datos de un mensaje: los textos JSON se convierten a objeto y el resto se deja tal cual.
+ * @function defaultParse
+ * @param {*} data - Los datos recibidos (`event.data`).
+ * @returns {*} - Los datos interpretados.
+ */
+function defaultParse(data) {
+    if (typeof data !== 'string') return data;
+    try {
+        return JSON.parse(data);
+    } catch {
+        return data;
+    }
+}
+
+/**
+ * Serializa un mensaje saliente de WebSocket. Los objetos y arreglos se envían como JSON.
+ * @function serializeMessage
+ * @param {*} data - El mensaje a enviar.
+ * @returns {string|Blob|ArrayBuffer} - El mensaje listo para `WebSocket.send`.
+ */
+function serializeMessage(data) {
+    if (Array.isArray(data) || Object.prototype.toString.call(data) === '[object Object]') {
+        return JSON.stringify(data);
+    }
+    return data;
+}
+
+/**
+ * Determina el protocolo de la suscripción a partir de la URL cuando no se indica explícitamente.
+ * @function resolveProtocol
+ * @param {string} url - La URL de la suscripción.
+ * @param {string} [protocol='auto'] - `'sse'`, `'websocket'` o `'auto'`.
+ * @returns {string} - `'websocket'` para URLs `ws://` o `wss://`, `'sse'` en el resto de los casos.
+ */
+function resolveProtocol(url, protocol = 'auto') {
+    if (protocol !== 'auto') return protocol;
+    return /^wss?:\/\//i.test(url) ? 'websocket' : 'sse';
+}
+
+/**
+ * Abre una conexión SSE (`EventSource`) o WebSocket con una interfaz común.
+ * @function openConnection
+ * @param {string} url - La URL de la suscripción.
+ * @param {Object} config - `{ protocol, events, withCredentials, protocols }`.
+ * @param {Object} handlers - `{ onOpen, onMessage(data, event), onFailure(event) }`.
+ * @returns {Object} - La conexión `{ send, close, isOpen }`.
+ */
+function openConnection(url, { protocol, events, withCredentials, protocols }, { onOpen, onMessage, onFailure }) {
+    if (protocol === 'websocket') {
+        const socket = new WebSocket(url, protocols);
+        let closedByClient = false;
+
+        socket.onopen = onOpen;
+        socket.onmessage = (event) => onMessage(event.data, event);
+        socket.onclose = (event) => {
+            if (!closedByClient) onFailure(event);
+        };
+
+        return {
+            send: (data) => socket.send(serializeMessage(data)),
+            close: () => {
+                closedByClient = true;
+                socket.close(1000);
+            },
+            isOpen: () => socket.readyState === WebSocket.OPEN,
+        };
+    }
+
+    const source = new EventSource(url, { withCredentials });
+    source.onopen = onOpen;
+    source.onerror = (event) => {
+        // El reintento nativo de EventSource se reemplaza por el retroceso exponencial del hook
+        source.close();
+        onFailure(event);
+    };
+    events.forEach((name) => source.addEventListener(name, (event) => onMessage(event.data, event)));
+
+    return {
+        send: () => {
+            throw new Error('Las suscripciones SSE no permiten enviar mensajes; usa una URL ws:// o wss://.');
+        },
+        close: () => source.close(),
+        isOpen: () => source.readyState === EventSource.OPEN,
+    };
+}
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*CUSTOM HOOK & EXPORTABLES----------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+/**
+ * Hook personalizado para suscribirse a datos enviados por el servidor mediante Server-Sent Events
+ * o WebSocket, con reconexión automática, pausa sin conexión, búfer de mensajes y mezcla de los
+ * eventos recibidos en la caché compartida de `useFetch`.
+ *
+ * @function useSubscription
+ * @param {string|null} url - La URL de la suscripción (`https://...` para SSE, `wss://...` para WebSocket). Si es vacía no se conecta.
+ * @param {Object} [config={}] - Configuración adicional para el hook.
+ * @param {string} [config.protocol='auto'] - `'sse'`, `'websocket'` o `'auto'` (según el esquema de la URL).
+ * @param {boolean} [config.enabled=true] - Si la suscripción está activa.
+ * @param {Array<string>} [config.events=['message']] - Eventos SSE con nombre a escuchar (`event: price` en el stream).
+ * @param {boolean} [config.withCredentials=false] - Si `EventSource` envía las cookies en solicitudes a otros orígenes.
+ * @param {string|Array<string>} [config.protocols] - Subprotocolos de WebSocket.
+ * @param {function} [config.parse=defaultParse] - Función para interpretar `event.data`. Por defecto convierte los textos JSON a objeto.
+ * @param {number} [config.bufferSize=50] - Cantidad máxima de mensajes que se conservan en `messages` (y de mensajes salientes pendientes).
+ * @param {number} [config.retryDelay=1000] - Espera base (ms) antes de reconectar. Cada intento duplica la espera.
+ * @param {number} [config.maxRetryDelay=30000] - Espera máxima (ms) entre reconexiones.
+ * @param {boolean} [config.retryJitter=true] - Si se aplica una variación aleatoria a la espera.
+ * @param {number} [config.maxRetries=Infinity] - Cantidad máxima de reconexiones seguidas antes de rendirse (`status === 'closed'`).
+ * @param {Array|function} [config.mergeInto=null] - Actualizaciones de la caché por cada mensaje. Lista de `{ url | key, updater(prev, message) }`, o una función `(message) => lista`.
+ * @param {function} [config.onMessage=null] - Callback por cada mensaje recibido. Recibe `(message, event)`.
+ * @param {function} [config.onOpen=null] - Callback cuando se abre la conexión.
+ * @param {function} [config.onError=null] - Callback cuando la conexión falla. Recibe el evento de error o cierre, o el error lanzado al abrir la conexión.
+ * @returns {Object} - El estado de la suscripción y sus métodos.
+ *
+ * @returns {string} status - `'idle'`, `'connecting'`, `'open'`, `'reconnecting'`, `'paused'` (sin conexión) o `'closed'`.
+ * @returns {*} lastMessage - El último mensaje recibido, ya interpretado.
+ * @returns {Array} messages - Los últimos `bufferSize` mensajes recibidos, del más antiguo al más reciente.
+ * @returns {Event|Error|null} error - El último evento de error de la conexión, o el error lanzado al abrirla (por ejemplo una URL inválida).
+ * @returns {function} send - Enviar un mensaje por WebSocket. Si la conexión no está abierta se guarda y se envía al reconectar.
+ * @returns {function} close - Cerrar la suscripción sin reconectar.
+ * @returns {function} reconnect - Volver a conectar de inmediato, reiniciando el retroceso.
+ * @returns {function} clearMessages - Vaciar el búfer de mensajes.
+ *
+ * @example
+ * import useFetch from './useFetch';
+ * import useSubscription from './useSubscription';
+ *
+ * const LiveOrders = () => {
+ *   const { data: orders } = useFetch('/api/orders', {}, { cachePolicy: 'default' });
+ *
+ *   // Cada evento SSE "order" se agrega a la lista cacheada de useFetch
+ *   const { status } = useSubscription('/api/orders/stream', {
+ *     events: ['order'],
+ *     mergeInto: [{ url: '/api/orders', updater: (prev = [], order) => [order, ...prev] }],
+ *   });
+ *
+ *   // WebSocket bidireccional con búfer de mensajes
+ *   const { messages, send } = useSubscription('wss://example.com/chat', { bufferSize: 100 });
+ *
+ *   return (
+ *     <div>
+ *       <p>Estado: {status}</p>
+ *       <ul>{orders && orders.map(order => <li key={order.id}>{order.total}</li>)}</ul>
+ *       <button onClick={() => send({ type: 'ping' })}>Ping</button>
+ *       <p>{messages.length} mensajes recibidos</p>
+ *     </div>
+ *   );
+ * };
+ *
+ * @note
+ * - Si la conexión se cae se reconecta con retroceso exponencial; al abrirse de nuevo el contador de intentos vuelve a cero.
+ * - Mientras `useNetworkStatus` informa que no hay conexión la suscripción se cierra (`status === 'paused'`) y se reabre al volver la red.
+ * - `mergeInto` solo actualiza entradas que ya existen en la caché, por lo que el `useFetch` correspondiente debe usar una `cachePolicy` distinta de `'no-cache'`.
+ * - Las suscripciones SSE son de solo lectura: `send` lanza un error.
+ * - Los callbacks se leen de la última renderización, por lo que no es necesario memorizarlos.
+ *
+ * @internal
+ * - La conexión se abre en un `useEffect` que depende de la URL, el protocolo, `enabled`, el estado de la red y un contador de reconexiones manuales.
+ * - El reintento nativo de `EventSource` se desactiva cerrándolo en `onerror`, para usar el mismo retroceso que con WebSocket.
+ * - Los mensajes salientes pendientes se guardan en un `useRef` y se envían en orden al abrirse la conexión.
+ */
+const useSubscription = (url, config = {}) => {
+    const {
+        protocol = 'auto',
+        enabled = true,
+        events = ['message'],
+        withCredentials = false,
+        protocols,
+        retryDelay = 1000,
+        maxRetryDelay = 30000,
+        retryJitter = true,
+        maxRetries = Infinity,
+        bufferSize = 50,
+    } = config;
+
+
+
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+    /*VARIABLES (useStates)-------------------------------------------------------------------------*/
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+    const [status, setStatus] = useState('idle');
+    const [lastMessage, setLastMessage] = useState(null);
+    const [messages, setMessages] = useState([]);
+    const [error, setError] = useState(null);
+    const [active, setActive] = useState(true);
+    const [connectionId, setConnectionId] = useState(0);
+
+
+
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+    /*VARIABLES (useRef)----------------------------------------------------------------------------*/
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+    const cache = useFetchCache();
+    const isOnline = useNetworkStatus();
+    const connectionRef = useRef(null);
+    const outboxRef = useRef([]);
+    const latest = useRef(config);
+    const resolvedProtocol = url ? resolveProtocol(url, protocol) : null;
+    const eventsKey = events.join(',');
+    const protocolsKey = [].concat(protocols || []).join(',');
+
+    latest.current = config;
+
+
+
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+    /*FUNCIONES (useCallbacks)----------------------------------------------------------------------*/
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+    const send = useCallback((data) => {
+        const connection = connectionRef.current;
+        if (resolvedProtocol === 'sse') {
+            throw new Error('Las suscripciones SSE no permiten enviar mensajes; usa una URL ws:// o wss://.');
+        }
+        if (connection && connection.isOpen()) {
+            connection.send(data);
+            return;
+        }
+        // Guardar el mensaje hasta que la conexión se abra
+        outboxRef.current = [...outboxRef.current, data].slice(-bufferSize);
+    }, [resolvedProtocol, bufferSize]);
+
+    const close = useCallback(() => {
+        setActive(false);
+    }, []);
+
+    const reconnect = useCallback(() => {
+        setActive(true);
+        setConnectionId((id) => id + 1);
+    }, []);
+
+    const clearMessages = useCallback(() => {
+        setMessages([]);
+        setLastMessage(null);
+    }, []);
+
+
+
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+    /*FUNCIONES (useEffects)------------------------------------------------------------------------*/
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+    useEffect(() => {
+        if (!url || !enabled) {
+            setStatus('idle');
+            return;
+        }
+        if (!active) {
+            setStatus('closed');
+            return;
+        }
+        if (!isOnline) {
+            setStatus('paused');
+            return;
+        }
+
+        let disposed = false;
+        let attempt = 0;
+        let retryTimer = null;
+
+        const handleMessage = (data, event) => {
+            const { parse = defaultParse, mergeInto = null, onMessage = null } = latest.current;
+            const message = parse(data);
+
+            setLastMessage(message);
+            setMessages((prev) => [...prev, message].slice(-bufferSize));
+
+            // Mezclar el mensaje en las entradas cacheadas de useFetch
+            resolveCacheTargets(mergeInto, [message]).forEach(({ key, updater }) => {
+                if (cache.get(key) !== undefined) cache.mutate(key, (prev) => updater(prev, message));
+            });
+
+            if (onMessage) onMessage(message, event);
+        };
+
+        // Registrar el error y programar la siguiente reconexión con retroceso exponencial
+        const handleFailure = (failure) => {
+            if (disposed) return;
+            setError(failure);
+            if (latest.current.onError) latest.current.onError(failure);
+
+            attempt += 1;
+            if (attempt > maxRetries) {
+                setStatus('closed');
+                return;
+            }
+            setStatus('reconnecting');
+            retryTimer = setTimeout(connect, computeBackoff(attempt, { retryDelay, maxRetryDelay, jitter: retryJitter }));
+        };
+
+        const connect = () => {
+            setStatus(attempt === 0 ? 'connecting' : 'reconnecting');
+
+            try {
+                connectionRef.current = openConnection(url, {
+                    protocol: resolvedProtocol,
+                    events: eventsKey.split(','),
+                    withCredentials,
+                    protocols: protocolsKey ? protocolsKey.split(',') : undefined,
+                }, {
+                    onOpen: () => {
+                        if (disposed) return;
+                        attempt = 0;
+                        setStatus('open');
+                        setError(null);
+
+                        // Enviar los mensajes pendientes en orden
+                        const pending = outboxRef.current;
+                        outboxRef.current = [];
+                        pending.forEach((data) => connectionRef.current.send(data));
+
+                        if (latest.current.onOpen) latest.current.onOpen();
+                    },
+                    onMessage: (data, event) => {
+                        if (!disposed) handleMessage(data, event);
+                    },
+                    onFailure: handleFailure,
+                });
+            } catch (err) {
+                // El constructor lanza de forma síncrona ante una URL o un subprotocolo inválidos
+                connectionRef.current = null;
+                handleFailure(err);
+            }
+        };
+
+        connect();
+
+        return () => {
+            disposed = true;
+            if (retryTimer) clearTimeout(retryTimer);
+            if (connectionRef.current) connectionRef.current.close();
+            connectionRef.current = null;
+        };
+    }, [url, resolvedProtocol, enabled, active, isOnline, connectionId, eventsKey, withCredentials, protocolsKey, retryDelay, maxRetryDelay, retryJitter, maxRetries, bufferSize, cache]);
+
+
+
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+    /*RETURN ---------------------------------------------------------------------------------------*/
+    /*//////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+    return {
+        status,
+        lastMessage,
+        messages,
+        error,
+        send,
+        close,
+        reconnect,
+        clearMessages,
+    };
+};
+
+
+
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+/*EXPORTS----------------------------------------------------------------------------------------*/
+/*///////////////////////////////////////////////////////////////////////////////////////////////*/
+
+
+
+export default useSubscription;
@@ -389,4 +389,5 @@ function useTranslation(translations, defaultLanguage = 'es') {
 
 
 
-export default useTranslation;
\ No newline at end of file
+export default useTranslation;
+export { getLanguageData, saveLanguageData };
\ No newline at end of file
@@ -0,0 +1,328 @@
+// GemiDevtools.jsx
+import React, { useEffect, useRef, useState } from 'react';
+import './GemiDevtools.css'; // Importamos los estilos específicos
+import { Close, Edit, FileDownload, FileUpload, Refresh } from '@mui/icons-material'; // Importar íconos
+import { useContextManager } from '../../../context/ContextManager';
+import { useItemHolder } from '../../../hooks/providers/useItemHolder';
+import { useFetchCache } from '../../../hooks/providers/useFetchCache';
+import useKeyboardShortcuts from '../../../hooks/useKeyboardShortcuts';
+import { getLanguageData, saveLanguageData } from '../../../hooks/useTranslation';
+import { createSnapshot, parseSnapshot, serializeValue } from '../../../core/devtools/devtoolsSnapshot';
+
+const TABS = [
+    { id: 'slices', label: 'Slices' },
+    { id: 'items', label: 'Items' },
+    { id: 'cache', label: 'Caché' },
+    { id: 'settings', label: 'Tema e idioma' },
+];
+
+/**
+ * Muestra un valor como JSON y, si se indica `onSave`, permite editarlo.
+ *
+ * @param {Object} props
+ * @param {*} props.value - El valor.
+ * @param {function} [props.onSave] - Recibe el valor editado. Si lanza un error, se muestra bajo el editor.
+ */
+const JsonValue = ({ value, onSave }) => {
+    const [draft, setDraft] = useState(null);
+    const [error, setError] = useState(null);
+    const text = JSON.stringify(serializeValue(value), null, 2) ?? 'null';
+
+    const save = () => {
+        try {
+            onSave(JSON.parse(draft));
+            setDraft(null);
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    if (draft === null) {
+        return (
+            <div className="devtools-value">
+                <pre>{text}</pre>
+                {onSave && (
+                    <button type="button" className="devtools-icon" onClick={() => setDraft(text)} title="Editar">
+                        <Edit />
+                    </button>
+                )}
+            </div>
+        );
+    }
+
+    return (
+        <div className="devtools-value is-editing">
+            <textarea value={draft} onChange={(event) => setDraft(event.target.value)} spellCheck={false} />
+            {error && <p className="devtools-error">{error}</p>}
+            <div className="devtools-row-actions">
+                <button type="button" onClick={save}>Guardar</button>
+                <button type="button" onClick={() => { setDraft(null); setError(null); }}>Cancelar</button>
+            </div>
+        </div>
+    );
+};
+
+/**
+ * Contenido del panel. Solo se monta mientras el panel está abierto, así sus suscripciones
+ * y el refresco periódico no cuestan nada cuando está cerrado.
+ */
+const DevtoolsPanel = ({ onClose, languages, refreshInterval }) => {
+    const state = useContextManager();
+    const itemHolder = useItemHolder({ optional: true });
+    const cache = useFetchCache();
+    const fileInputRef = useRef(null);
+
+    const [tab, setTab] = useState(TABS[0].id);
+    const [status, setStatus] = useState(null);
+    const [newItemKey, setNewItemKey] = useState('');
+    // La caché y el idioma no avisan de sus cambios: se vuelven a leer periódicamente
+    const [, setTick] = useState(0);
+
+    useEffect(() => {
+        if (!refreshInterval) return;
+        const intervalId = setInterval(() => setTick((tick) => tick + 1), refreshInterval);
+        return () => clearInterval(intervalId);
+    }, [refreshInterval]);
+
+    const themes = state.themes;
+    const currentTheme = themes ? themes.theme() : null;
+    const currentLanguage = getLanguageData().current || null;
+    const items = itemHolder ? itemHolder.getAllItems() : null;
+    const cacheEntries = cache.keys()
+        .map((key) => [key, cache.get(key)])
+        .filter(([, entry]) => entry);
+
+    const setTheme = (themeName) => {
+        if (themes && themeName && themeName !== currentTheme) themes.methods.utils.setTheme(themeName);
+    };
+
+    const setLanguage = (language) => {
+        if (!language || language === currentLanguage) return;
+        // `useTranslation` vuelve a leer el idioma guardado cuando cambia el DOM
+        saveLanguageData(currentLanguage || language, language);
+        setTick((tick) => tick + 1);
+    };
+
+    const exportSnapshot = () => {
+        const snapshot = createSnapshot({
+            slices: state,
+            items,
+            cache: Object.fromEntries(cacheEntries.map(([key, entry]) => [key, entry.data])),
+            theme: currentTheme,
+            language: currentLanguage,
+        });
+
+        const url = URL.createObjectURL(new Blob([JSON.stringify(snapshot, null, 2)], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `geminis-state-${snapshot.createdAt.replace(/[:.]/g, '-')}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+        setStatus({ type: 'info', message: 'Instantánea exportada.' });
+    };
+
+    const importSnapshot = async (event) => {
+        const [file] = event.target.files;
+        event.target.value = '';
+        if (!file) return;
+
+        try {
+            const snapshot = parseSnapshot(await file.text());
+
+            if (snapshot.items && itemHolder) {
+                itemHolder.clear();
+                Object.entries(snapshot.items).forEach(([key, value]) => itemHolder.addItem(key, value));
+            }
+            Object.entries(snapshot.cache).forEach(([key, data]) => cache.set(key, data));
+            if (snapshot.theme) setTheme(snapshot.theme);
+            if (snapshot.language) setLanguage(snapshot.language);
+
+            setStatus({ type: 'info', message: `Instantánea del ${new Date(snapshot.createdAt).toLocaleString()} importada.` });
+        } catch (err) {
+            setStatus({ type: 'error', message: err.message });
+        }
+    };
+
+    const addItem = (event) => {
+        event.preventDefault();
+        const key = newItemKey.trim();
+        if (!key || !itemHolder) return;
+        itemHolder.addItem(key, null);
+        setNewItemKey('');
+    };
+
+    return (
+        <aside className="gemi-devtools" role="dialog" aria-label="Devtools">
+            {/* Encabezado */}
+            <header className="devtools-header">
+                <h3>Devtools</h3>
+                <div className="devtools-actions">
+                    <button type="button" className="devtools-icon" onClick={() => setTick((tick) => tick + 1)} title="Actualizar">
+                        <Refresh />
+                    </button>
+                    <button type="button" className="devtools-icon" onClick={exportSnapshot} title="Exportar instantánea">
+                        <FileDownload />
+                    </button>
+                    <button type="button" className="devtools-icon" onClick={() => fileInputRef.current.click()} title="Importar instantánea">
+                        <FileUpload />
+                    </button>
+                    <button type="button" className="devtools-icon" onClick={onClose} title="Cerrar">
+                        <Close />
+                    </button>
+                    <input ref={fileInputRef} type="file" accept="application/json,.json" hidden onChange={importSnapshot} />
+                </div>
+            </header>
+
+            {status && <p className={`devtools-status is-${status.type}`}>{status.message}</p>}
+
+            {/* Pestañas */}
+            <nav className="devtools-tabs">
+                {TABS.map(({ id, label }) => (
+                    <button key={id} type="button" className={id === tab ? 'is-active' : ''} onClick={() => setTab(id)}>
+                        {label}
+                    </button>
+                ))}
+            </nav>
+
+            <div className="devtools-body">
+                {/* Slices del ContextManagerProvider (solo lectura: su estado es interno de cada manager) */}
+                {tab === 'slices' && (
+                    <ul className="devtools-list">
+                        {Object.entries(state).map(([name, value]) => (
+                            <li key={name}>
+                                <span className="devtools-key">{name}</span>
+                                <JsonValue value={value} />
+                            </li>
+                        ))}
+                    </ul>
+                )}
+
+                {/* Items de useItemHolder */}
+                {tab === 'items' && (!itemHolder ? (
+                    <p className="devtools-empty">No hay un ItemHolderProvider en el árbol.</p>
+                ) : (
+                    <>
+                        <form className="devtools-add" onSubmit={addItem}>
+                            <input value={newItemKey} onChange={(event) => setNewItemKey(event.target.value)} placeholder="Nueva llave" />
+                            <button type="submit">Agregar</button>
+                        </form>
+                        {Object.keys(items).length === 0 && <p className="devtools-empty">Sin items.</p>}
+                        <ul className="devtools-list">
+                            {Object.entries(items).map(([key, value]) => (
+                                <li key={key}>
+                                    <div className="devtools-row">
+                                        <span className="devtools-key">{key}</span>
+                                        <button type="button" onClick={() => itemHolder.removeItem(key)}>Eliminar</button>
+                                    </div>
+                                    <JsonValue value={value} onSave={(next) => itemHolder.updateItem(key, next)} />
+                                </li>
+                            ))}
+                        </ul>
+                    </>
+                ))}
+
+                {/* Entradas de la caché de useFetch */}
+                {tab === 'cache' && (
+                    <>
+                        {cacheEntries.length === 0 && <p className="devtools-empty">La caché está vacía.</p>}
+                        <ul className="devtools-list">
+                            {cacheEntries.map(([key, entry]) => (
+                                <li key={key}>
+                                    <div className="devtools-row">
+                                        <span className="devtools-key">{key}</span>
+                                        <span className={entry.staleAt <= Date.now() ? 'devtools-badge is-stale' : 'devtools-badge'}>
+                                            {entry.staleAt <= Date.now() ? 'obsoleta' : 'fresca'}
+                                        </span>
+                                        <button type="button" onClick={() => cache.invalidate(key)}>Invalidar</button>
+                                    </div>
+                                    <small className="devtools-meta">
+                                        Actualizada {new Date(entry.updatedAt).toLocaleTimeString()} · expira {new Date(entry.expiresAt).toLocaleTimeString()}
+                                    </small>
+                                    <JsonValue value={entry.data} onSave={(next) => cache.mutate(key, next)} />
+                                </li>
+                            ))}
+                        </ul>
+                    </>
+                )}
+
+                {/* Tema e idioma */}
+                {tab === 'settings' && (
+                    <dl className="devtools-settings">
+                        <dt>Tema</dt>
+                        <dd>
+                            {themes ? (
+                                <select value={currentTheme || ''} onChange={(event) => setTheme(event.target.value)}>
+                                    {themes.names.values().map((name) => <option key={name} value={name}>{name}</option>)}
+                                </select>
+                            ) : 'Sin slice de temas'}
+                        </dd>
+
+                        <dt>Idioma</dt>
+                        <dd>
+                            {languages.length > 0 ? (
+                                <select value={currentLanguage || ''} onChange={(event) => setLanguage(event.target.value)}>
+                                    {!currentLanguage && <option value="">—</option>}
+                                    {languages.map((language) => <option key={language} value={language}>{language}</option>)}
+                                </select>
+                            ) : (
+                                <input
+                                    key={currentLanguage}
+                                    defaultValue={currentLanguage || ''}
+                                    placeholder="es, en…"
+                                    onBlur={(event) => setLanguage(event.target.value.trim())}
+                                />
+                            )}
+                        </dd>
+                    </dl>
+                )}
+            </div>
+        </aside>
+    );
+};
+
+/**
+ * Panel flotante para inspeccionar el estado global de la aplicación: los slices del
+ * `ContextManagerProvider`, los items de `useItemHolder`, la caché de `useFetch`, el tema y el idioma.
+ * Permite editar los valores en vivo y exportar o importar una instantánea en JSON.
+ *
+ * @param {Object} props
+ * @param {string} [props.shortcut='Ctrl+Shift+D'] - Atajo que abre y cierra el panel (ver `useKeyboardShortcuts`).
+ * @param {boolean} [props.enabled=import.meta.env.DEV] - Si el panel está disponible. Por defecto solo en desarrollo.
+ * @param {boolean} [props.defaultOpen=false] - Si el panel empieza abierto.
+ * @param {string[]} [props.languages=[]] - Idiomas a ofrecer en el selector. Si no se indican, el idioma se escribe a mano.
+ * @param {number} [props.refreshInterval=1000] - Cada cuántos milisegundos se vuelven a leer la caché y el idioma mientras el panel está abierto.
+ *
+ * @note
+ * - Debe montarse dentro de `ContextManagerProvider` (y del `ItemHolderProvider` o `FetchCacheProvider` que se quieran inspeccionar).
+ * - Los slices son de solo lectura; la instantánea los incluye como referencia, pero al importarla solo se restauran los items, la caché, el tema y el idioma.
+ * - `Escape` cierra el panel.
+ */
+const GemiDevtools = ({
+    shortcut = 'Ctrl+Shift+D',
+    enabled = import.meta.env.DEV,
+    defaultOpen = false,
+    languages = [],
+    refreshInterval = 1000,
+}) => {
+    const [open, setOpen] = useState(defaultOpen);
+    const { registerShortcut, removeShortcut } = useKeyboardShortcuts({ enabled });
+
+    useEffect(() => {
+        registerShortcut(shortcut, () => setOpen((current) => !current));
+        return () => removeShortcut(shortcut);
+    }, [shortcut, registerShortcut, removeShortcut]);
+
+    // Solo mientras está abierto, para no interceptar `Escape` en el resto de la aplicación
+    useEffect(() => {
+        if (!open) return;
+        registerShortcut('Escape', () => setOpen(false));
+        return () => removeShortcut('Escape');
+    }, [open, registerShortcut, removeShortcut]);
+
+    if (!enabled || !open) return null;
+
+    return <DevtoolsPanel onClose={() => setOpen(false)} languages={languages} refreshInterval={refreshInterval} />;
+};
+
+export default GemiDevtools;
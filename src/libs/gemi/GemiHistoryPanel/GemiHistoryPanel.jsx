@@ -0,0 +1,121 @@
+// GemiHistoryPanel.jsx
+import React from 'react';
+import './GemiHistoryPanel.css'; // Importamos los estilos específicos
+import { Undo, Redo, RestartAlt } from '@mui/icons-material'; // Importar íconos
+import { ROOT_ID, getChildren, getPath } from '../../../core/history/historyTree';
+
+/**
+ * Texto que se muestra para una entrada del historial.
+ * @function describeEntry
+ * @param {Object} entry - La entrada del historial.
+ * @returns {string} - La etiqueta, o una descripción genérica si no tiene.
+ */
+const describeEntry = (entry) => {
+    if (entry.label) return entry.label;
+    return entry.patches.length === 0 ? 'Punto de control' : `Cambio #${entry.id}`;
+};
+
+/**
+ * Panel que muestra el árbol de `useHistoryState` y permite saltar a cualquier punto.
+ * Recibe directamente el objeto que devuelve el hook: `<GemiHistoryPanel {...historyState} />`.
+ *
+ * @param {Object} props
+ * @param {Array} props.history - Las entradas del árbol (`history` de `useHistoryState`).
+ * @param {number} props.currentId - La entrada actual.
+ * @param {function} props.goTo - Saltar a una entrada por su `id`.
+ * @param {function} [props.undo] - Si se indica, se muestra el botón de deshacer.
+ * @param {function} [props.redo] - Si se indica, se muestra el botón de rehacer.
+ * @param {boolean} [props.canUndo=false]
+ * @param {boolean} [props.canRedo=false]
+ * @param {boolean} [props.labelledOnly=false] - Listar solo las entradas con etiqueta (puntos de control y transacciones con nombre), en orden cronológico.
+ * @param {string} [props.title='Historial'] - Título del panel.
+ * @param {function} [props.formatTime] - Formato de la hora de cada entrada. Recibe el `timestamp`.
+ */
+const GemiHistoryPanel = ({
+    history = [],
+    currentId = ROOT_ID,
+    goTo,
+    undo,
+    redo,
+    canUndo = false,
+    canRedo = false,
+    labelledOnly = false,
+    title = 'Historial',
+    formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString(),
+}) => {
+    const activePath = new Set(getPath(history, currentId).map((entry) => entry.id));
+
+    const renderEntry = (entry) => {
+        const classNames = ['history-entry'];
+        if (entry.id === currentId) classNames.push('is-current');
+        else if (activePath.has(entry.id)) classNames.push('is-active');
+
+        return (
+            <button type="button" className={classNames.join(' ')} onClick={() => goTo(entry.id)}>
+                <span className="history-label">{describeEntry(entry)}</span>
+                <time className="history-time" dateTime={new Date(entry.timestamp).toISOString()}>
+                    {formatTime(entry.timestamp)}
+                </time>
+            </button>
+        );
+    };
+
+    // Cada rama se anida bajo la entrada de la que salió
+    const renderBranch = (parentId) => {
+        const children = getChildren(history, parentId);
+        if (children.length === 0) return null;
+
+        return (
+            <ul className={children.length > 1 ? 'history-branch is-forked' : 'history-branch'}>
+                {children.map((entry) => (
+                    <li key={entry.id}>
+                        {renderEntry(entry)}
+                        {renderBranch(entry.id)}
+                    </li>
+                ))}
+            </ul>
+        );
+    };
+
+    return (
+        <div className="gemi-history-panel">
+            {/* Encabezado */}
+            <header className="history-header">
+                <h3>{title}</h3>
+                <div className="history-actions">
+                    {undo && (
+                        <button type="button" onClick={undo} disabled={!canUndo} title="Deshacer">
+                            <Undo />
+                        </button>
+                    )}
+                    {redo && (
+                        <button type="button" onClick={redo} disabled={!canRedo} title="Rehacer">
+                            <Redo />
+                        </button>
+                    )}
+                </div>
+            </header>
+
+            {/* Estado inicial */}
+            <button
+                type="button"
+                className={currentId === ROOT_ID ? 'history-entry is-current' : 'history-entry is-active'}
+                onClick={() => goTo(ROOT_ID)}
+            >
+                <RestartAlt />
+                <span className="history-label">Estado inicial</span>
+            </button>
+
+            {/* Entradas */}
+            {labelledOnly ? (
+                <ul className="history-branch">
+                    {history.filter((entry) => entry.label).map((entry) => (
+                        <li key={entry.id}>{renderEntry(entry)}</li>
+                    ))}
+                </ul>
+            ) : renderBranch(ROOT_ID)}
+        </div>
+    );
+};
+
+export default GemiHistoryPanel;
@@ -2,12 +2,15 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
-import { BrowserRouter } from 'react-router-dom'
+import { ContextManagerProvider } from './context/ContextManager'
+import { BrowserHistoryRouter } from './hooks/providers/BrowserHistoryRouter'
 
 createRoot(document.getElementById('root')).render(
     <StrictMode>
-        <BrowserRouter future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>
-            <App />
-        </BrowserRouter>
+        <BrowserHistoryRouter>
+            <ContextManagerProvider>
+                <App />
+            </ContextManagerProvider>
+        </BrowserHistoryRouter>
     </StrictMode>,
 )